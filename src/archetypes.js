@@ -0,0 +1,86 @@
+// Enemy archetypes: stats, weapon, perception, AI profile and look per enemy type,
+// plus weighted spawn tables. _createEnemy() reads everything from here.
+//
+// health / armor    armor is the share of incoming damage that is absorbed (0..1)
+// speed, cooldown   [min, max] ranges, rolled per enemy
+// weapons           one is picked at random (types from _createEnemyWeapon)
+// detectionRange    meters, fov = vision cone in radians
+// accuracy          multiplier on the weapon's hit chance
+// behavior          behaviour tree name from behaviors.js
+// rooftop           spawns on the edge of a roof near the spawn zone when one is found
+// visual            clothing color (null = random), body scale and extra gear
+//                   ('helmet', 'cap', 'medic')
+
+export const ENEMY_ARCHETYPES = {
+  grunt: {
+    health: 100, armor: 0,
+    speed: [1.5, 2.5], cooldown: [1, 3],
+    weapons: ['rifle', 'smg'],
+    detectionRange: 20, fov: Math.PI * 2 / 3, accuracy: 1,
+    behavior: 'soldier',
+    visual: { clothing: null, scale: [1, 1, 1], gear: null }
+  },
+  sniper: {
+    health: 70, armor: 0,
+    speed: [1.2, 1.8], cooldown: [3, 4],
+    weapons: ['sniper'],
+    detectionRange: 60, fov: Math.PI * 0.4, accuracy: 1.2,
+    behavior: 'sniper',
+    rooftop: true,
+    visual: { clothing: 0x3b4a2a, scale: [1, 1, 1], gear: 'cap' }
+  },
+  rusher: {
+    health: 90, armor: 0,
+    speed: [3, 3.8], cooldown: [0.8, 1.2],
+    weapons: ['shotgun'],
+    detectionRange: 18, fov: Math.PI * 0.8, accuracy: 1,
+    behavior: 'rusher',
+    visual: { clothing: 0x6a2a1a, scale: [0.95, 1, 0.95], gear: null }
+  },
+  heavy: {
+    health: 250, armor: 0.4,
+    speed: [1, 1.3], cooldown: [0.6, 1],
+    weapons: ['rifle'],
+    detectionRange: 25, fov: Math.PI * 2 / 3, accuracy: 0.8,
+    behavior: 'heavy',
+    visual: { clothing: 0x2a2a30, scale: [1.3, 1, 1.3], gear: 'helmet' }
+  },
+  medic: {
+    health: 80, armor: 0,
+    speed: [1.8, 2.4], cooldown: [1.2, 2.5],
+    weapons: ['smg'],
+    detectionRange: 20, fov: Math.PI * 2 / 3, accuracy: 0.9,
+    behavior: 'medic',
+    healRate: 15, // HP per second on a teammate
+    visual: { clothing: 0xe8e8e8, scale: [1, 1, 1], gear: 'medic' }
+  }
+};
+
+// weighted archetype mix per spawn zone kind
+export const ENEMY_SPAWN_TABLES = {
+  initial: [
+    { archetype: 'grunt', weight: 6 },
+    { archetype: 'sniper', weight: 2 },
+    { archetype: 'rusher', weight: 2 },
+    { archetype: 'heavy', weight: 1 },
+    { archetype: 'medic', weight: 1 }
+  ],
+  respawn: [
+    { archetype: 'grunt', weight: 5 },
+    { archetype: 'sniper', weight: 1 },
+    { archetype: 'rusher', weight: 3 },
+    { archetype: 'heavy', weight: 2 },
+    { archetype: 'medic', weight: 1 }
+  ]
+};
+
+// roll an archetype name from a spawn table with the given random function
+export function pickArchetype(table, random) {
+  const total = table.reduce((sum, e) => sum + e.weight, 0);
+  let roll = random() * total;
+  for (const entry of table) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.archetype;
+  }
+  return table[table.length - 1].archetype;
+}
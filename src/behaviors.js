@@ -0,0 +1,181 @@
+// Enemy personalities as behaviour-tree data (node format: see behaviortree.js).
+// The Game evaluates the tree named by enemy.userData.behavior every fixed step.
+//
+// Conditions: canSeePlayer, underAttack, hostileToPlayer, hasLastKnownPosition, inCover,
+//   seesRival { range }, allyNeedsHealing { range }, alliedWithPlayer { range }, hasObjective,
+//   heardNoise, inSquad, squadRegrouping, hasPost
+// Actions: rememberPlayer, engage { keepDistance, speed }, charge { keepDistance, speed },
+//   aim, shoot { minRange, maxRange, jitter }, holdCover, search, patrol { speed },
+//   followPlayer { distance }, followLeader { distance }, regroup, contestBlock,
+//   investigate { move }, holdPost, lookAround, healAlly, bossPhase
+//
+// engage runs the tactical layer (cover, peek, flank, reload, retreat) against the current
+// target and decides whether shoot may fire; charge goes straight at it, aim holds position.
+// canSeePlayer / seesRival pick that target. Both follow the faction relations (factions.js):
+// only factions hostile to the player go after it, allied ones follow it instead.
+// Squads (squads.js) share sightings and targets; in engage their members take turns
+// suppressing and advancing.
+// Movement goes through doors into buildings (interiors.js) whenever a goal lies inside one;
+// there engage fights at close quarters instead of using cover.
+
+// lost sight (or shot at from out of sight): hold the cover we are in, else search
+const LOST_SIGHT = { sequence: [
+  { selector: [
+    { condition: 'hasLastKnownPosition' },
+    { sequence: [{ condition: 'underAttack' }, { condition: 'hostileToPlayer' }, { action: 'rememberPlayer' }] }
+  ] },
+  { selector: [
+    { sequence: [{ condition: 'inCover' }, { action: 'holdCover' }] },
+    { action: 'search' }
+  ] }
+] };
+
+// the squad leader died: gather around the new one
+const REGROUP = { sequence: [{ condition: 'squadRegrouping' }, { action: 'regroup' }] };
+
+// gunfire, footsteps, doors or explosions nearby (see Game._emitNoise)
+const INVESTIGATE = { sequence: [{ condition: 'heardNoise' }, { action: 'investigate' }] };
+
+const SOLDIER_COMBAT = [
+  { sequence: [
+    { condition: 'canSeePlayer' },
+    { action: 'engage', args: { keepDistance: 3 } },
+    { action: 'shoot', args: { minRange: 3, maxRange: 30, jitter: 0.5 } }
+  ] },
+  LOST_SIGHT,
+  { sequence: [
+    { condition: 'seesRival', args: { range: 35 } },
+    { action: 'engage', args: { keepDistance: 2, speed: 0.8 } },
+    { action: 'shoot', args: { minRange: 2, maxRange: 25, jitter: 1 } }
+  ] },
+  REGROUP,
+  INVESTIGATE
+];
+
+// garrisoned in a building: stay at the post in the room when nothing else is going on
+const GARRISON = { sequence: [{ condition: 'hasPost' }, { action: 'holdPost' }] };
+
+// squad member sent to contest a city block (territory.js)
+const CONTEST_BLOCK = { sequence: [{ condition: 'hasObjective' }, { action: 'contestBlock' }] };
+
+// allied with the player: walk along with it when there is nothing to fight
+const FOLLOW_PLAYER = { sequence: [
+  { condition: 'alliedWithPlayer', args: { range: 30 } },
+  { action: 'followPlayer', args: { distance: 4 } }
+] };
+
+// squad members move with their leader instead of wandering off alone
+const FOLLOW_LEADER = { sequence: [{ condition: 'inSquad' }, { action: 'followLeader' }] };
+
+export const ENEMY_BEHAVIORS = {
+  // the default street soldier: fights the player on sight, searches where it lost them,
+  // otherwise fights rival teams, checks out noises, guards its post, contests blocks, follows
+  // an allied player or its squad leader, or wanders the city
+  soldier: {
+    selector: [
+      ...SOLDIER_COMBAT,
+      GARRISON,
+      CONTEST_BLOCK,
+      FOLLOW_PLAYER,
+      FOLLOW_LEADER,
+      { action: 'patrol', args: { speed: 0.7 } }
+    ]
+  },
+
+  // holds its spot (a rooftop) and picks off targets at long range
+  sniper: {
+    selector: [
+      { sequence: [
+        { condition: 'canSeePlayer' },
+        { action: 'aim' },
+        { action: 'shoot', args: { minRange: 5, maxRange: 75, jitter: 1 } }
+      ] },
+      { sequence: [
+        { condition: 'seesRival', args: { range: 60 } },
+        { action: 'aim' },
+        { action: 'shoot', args: { minRange: 5, maxRange: 75, jitter: 1.5 } }
+      ] },
+      { sequence: [{ condition: 'heardNoise' }, { action: 'investigate', args: { move: false } }] },
+      { action: 'lookAround' }
+    ]
+  },
+
+  // runs straight at the target, no cover
+  rusher: {
+    selector: [
+      { sequence: [
+        { condition: 'canSeePlayer' },
+        { action: 'charge', args: { keepDistance: 1.5, speed: 1.2 } },
+        { action: 'shoot', args: { minRange: 0, maxRange: 15, jitter: 0.3 } }
+      ] },
+      { sequence: [{ condition: 'hasLastKnownPosition' }, { action: 'search' }] },
+      { sequence: [
+        { condition: 'seesRival', args: { range: 30 } },
+        { action: 'charge', args: { keepDistance: 1.5 } },
+        { action: 'shoot', args: { minRange: 0, maxRange: 15, jitter: 0.5 } }
+      ] },
+      REGROUP,
+      INVESTIGATE,
+      GARRISON,
+      CONTEST_BLOCK,
+      FOLLOW_PLAYER,
+      FOLLOW_LEADER,
+      { action: 'patrol', args: { speed: 0.9 } }
+    ]
+  },
+
+  // slow, armoured, walks into the open and keeps firing
+  heavy: {
+    selector: [
+      { sequence: [
+        { condition: 'canSeePlayer' },
+        { action: 'charge', args: { keepDistance: 8 } },
+        { action: 'shoot', args: { minRange: 2, maxRange: 35, jitter: 0.2 } }
+      ] },
+      { sequence: [{ condition: 'hasLastKnownPosition' }, { action: 'search' }] },
+      { sequence: [
+        { condition: 'seesRival', args: { range: 35 } },
+        { action: 'charge', args: { keepDistance: 8 } },
+        { action: 'shoot', args: { minRange: 2, maxRange: 30, jitter: 0.5 } }
+      ] },
+      REGROUP,
+      INVESTIGATE,
+      GARRISON,
+      CONTEST_BLOCK,
+      FOLLOW_PLAYER,
+      FOLLOW_LEADER,
+      { action: 'patrol', args: { speed: 0.6 } }
+    ]
+  },
+
+  // patches up wounded teammates first, otherwise fights like a soldier
+  medic: {
+    selector: [
+      { sequence: [
+        { condition: 'allyNeedsHealing', args: { range: 20 } },
+        { action: 'healAlly' }
+      ] },
+      ...SOLDIER_COMBAT,
+      GARRISON,
+      CONTEST_BLOCK,
+      FOLLOW_PLAYER,
+      FOLLOW_LEADER,
+      { action: 'patrol', args: { speed: 0.7 } }
+    ]
+  },
+
+  // bosses always know where the player is; bossPhase runs phases and special attacks
+  boss: {
+    sequence: [
+      { action: 'bossPhase' },
+      { selector: [
+        { sequence: [
+          { condition: 'canSeePlayer' },
+          { action: 'charge', args: { keepDistance: 10 } },
+          { action: 'shoot', args: { minRange: 2, maxRange: 45, jitter: 0.2 } }
+        ] },
+        { sequence: [{ action: 'rememberPlayer' }, { action: 'search' }] }
+      ] }
+    ]
+  }
+};
@@ -0,0 +1,76 @@
+// Minimal behaviour-tree runtime for the enemy AI.
+// A tree is plain data (see behaviors.js) and is compiled once into closures:
+//   { selector: [nodes] }   first child that does not fail wins
+//   { sequence: [nodes] }   runs children in order, stops at the first that does not succeed
+//   { not: node }           swaps success and failure
+//   { condition: 'name', args }   handlers.conditions[name](ctx, args) -> boolean
+//   { action: 'name', args }      handlers.actions[name](ctx, args) -> status (undefined = success)
+
+export const SUCCESS = 'success';
+export const FAILURE = 'failure';
+export const RUNNING = 'running';
+
+export default class BehaviorTree {
+  // throws an Error naming the node path when the data references an unknown node type or handler
+  constructor(def, handlers) {
+    this.root = compile(def, handlers, 'root');
+  }
+
+  tick(ctx) {
+    return this.root(ctx);
+  }
+}
+
+function compile(node, handlers, path) {
+  if (!node || typeof node !== 'object') throw new Error(`Invalid behavior node at ${path}`);
+
+  if (Array.isArray(node.selector)) {
+    const children = node.selector.map((c, i) => compile(c, handlers, `${path}.selector[${i}]`));
+    return (ctx) => {
+      for (const child of children) {
+        const status = child(ctx);
+        if (status !== FAILURE) return status;
+      }
+      return FAILURE;
+    };
+  }
+
+  if (Array.isArray(node.sequence)) {
+    const children = node.sequence.map((c, i) => compile(c, handlers, `${path}.sequence[${i}]`));
+    return (ctx) => {
+      for (const child of children) {
+        const status = child(ctx);
+        if (status !== SUCCESS) return status;
+      }
+      return SUCCESS;
+    };
+  }
+
+  if (node.not) {
+    const child = compile(node.not, handlers, `${path}.not`);
+    return (ctx) => {
+      const status = child(ctx);
+      if (status === SUCCESS) return FAILURE;
+      if (status === FAILURE) return SUCCESS;
+      return status;
+    };
+  }
+
+  const args = node.args || {};
+  if (node.condition) {
+    const fn = handlers.conditions[node.condition];
+    if (!fn) throw new Error(`Unknown behavior condition "${node.condition}" at ${path}`);
+    return (ctx) => (fn(ctx, args) ? SUCCESS : FAILURE);
+  }
+
+  if (node.action) {
+    const fn = handlers.actions[node.action];
+    if (!fn) throw new Error(`Unknown behavior action "${node.action}" at ${path}`);
+    return (ctx) => {
+      const status = fn(ctx, args);
+      return status === undefined ? SUCCESS : status;
+    };
+  }
+
+  throw new Error(`Invalid behavior node at ${path}`);
+}
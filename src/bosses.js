@@ -0,0 +1,27 @@
+// Boss encounters: large multi-phase enemies that show up after enough kills.
+//
+// archetype     base enemy model/weapon from archetypes.js, scaled up by `scale`
+// weakPoints    damage multipliers for hits on the named parts ('head', 'core' = glowing pack on the back)
+// phases        picked by remaining health share: the first phase with health > above applies.
+//               speed multiplies the boss speed; grenadeEvery / summonEvery are cooldowns in
+//               seconds (0 = never) for grenade barrages and reinforcements from spawn zones
+// reward        money paid out when the boss dies
+
+export const BOSS_TYPES = {
+  juggernaut: {
+    name: 'Juggernaut',
+    archetype: 'heavy',
+    health: 1500, armor: 0.3,
+    speed: 1.3, scale: 2, cooldown: 0.45,
+    weakPoints: { head: 2.5, core: 4 },
+    reward: 500,
+    phases: [
+      { above: 0.66, speed: 1, grenadeEvery: 0, summonEvery: 0 },
+      { above: 0.33, speed: 1.2, grenadeEvery: 9, grenades: 4, summonEvery: 0 },
+      { above: 0, speed: 1.5, grenadeEvery: 6, grenades: 6, summonEvery: 20, summon: 3 }
+    ]
+  }
+};
+
+// kills by the player before the first boss, then between bosses
+export const BOSS_SCHEDULE = { type: 'juggernaut', firstAfterKills: 20, everyKills: 30 };
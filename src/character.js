@@ -0,0 +1,414 @@
+// Player character controller: a vertical capsule from the feet to just above the eyes, moved
+// through the collision index (spatial.js) every fixed step.
+// Horizontal motion is swept in sub-steps of at most half the radius; after each one the capsule
+// is pushed out of building solids (interiors.js) and prop boxes (trees, lamps, benches, the
+// fountain), so it slides along walls instead of stopping or tunnelling through them. Ledges up
+// to stepHeight are walked onto. The ground is the highest surface under the capsule that the
+// feet can reach: the street, floors, stair flights, balconies, roofs, the elevator car, benches
+// and the fountain; ground steeper than maxSlope is not walked up and slid down.
+// On top of that the movement set: walking, crouching, sprinting on a stamina pool, sliding out
+// of a sprint into a crouch, vaulting over low obstacles (benches, railings) and mantling onto
+// the balconies of climbable buildings. `state` names what the character is doing; the Game
+// widens the weapon spread by it (inaccuracy).
+//
+// radius          capsule radius in m
+// headroom        capsule top above the eyes
+// stepHeight      highest ledge walked onto without jumping
+// maxSlope        steepest walkable ground in radians (the steepest stair flights are just below it)
+// snapDown        drop the feet follow while walking (down steps and flights) instead of falling
+// steepSlide      speed down ground that is too steep
+// eyeSpeed        rate the eye height follows crouching (1/s)
+// gravity, jumpSpeed  in m/s² and m/s
+// walkSpeed, crouchSpeed, sprintSpeed  in m/s
+// stamina         size of the pool; sprintCost per second, slideCost, vaultCost and mantleCost
+//                 per action; staminaRegen per second after staminaDelay seconds of rest;
+//                 once empty, sprinting waits until the pool is back at staminaRecover
+// slideSpeed      speed at the start of a slide, slideFriction slows it down (m/s²) until it is
+//                 down to crouchSpeed
+// vaultHeight     highest obstacle (above the feet) vaulted over, vaultDepth its deepest,
+//                 vaultTime the duration of the vault
+// mantleReach     highest ledge (above the feet) grabbed while jumping, mantleTime the pull-up
+// inaccuracy      extra weapon spread in radians per state
+
+import { INTERIOR } from './interiors.js';
+
+export const CHARACTER = {
+  radius: 0.3,
+  headroom: 0.1,
+  stepHeight: INTERIOR.step,
+  maxSlope: 60 * Math.PI / 180,
+  snapDown: 0.6,
+  steepSlide: 4,
+  eyeSpeed: 12,
+  gravity: -24,
+  jumpSpeed: 8,
+  walkSpeed: 6,
+  crouchSpeed: 3,
+  sprintSpeed: 9.5,
+  stamina: 100,
+  sprintCost: 20,
+  slideCost: 15,
+  vaultCost: 10,
+  mantleCost: 20,
+  staminaRegen: 18,
+  staminaDelay: 1,
+  staminaRecover: 30,
+  slideSpeed: 11,
+  slideFriction: 9,
+  vaultHeight: 1.2,
+  vaultDepth: 1.0,
+  vaultTime: 0.45,
+  mantleReach: 2.4,
+  mantleTime: 0.7,
+  inaccuracy: { idle: 0, crouch: 0, walk: 0.01, sprint: 0.08, slide: 0.05, air: 0.06, vault: 0.15, mantle: 0.2 }
+};
+
+export default class CharacterController {
+  // position: eye point (moved in place), velocity: only y is used (jumping and falling),
+  // heights: eye heights { stand, crouch }
+  constructor(position, velocity, heights) {
+    this.position = position;
+    this.velocity = velocity;
+    this.heights = heights;
+    this.eyeHeight = heights.stand;
+    this.grounded = false;
+    this.slope = null; // flight under the feet ({ angle, x, z } from Interior.slopeAt) or null
+    this.stamina = CHARACTER.stamina;
+    this.exhausted = false; // ran the pool empty, no sprinting until it recovered
+    this.sprinting = false;
+    this.crouched = false;
+    this.moving = false;
+    this.slide = null;   // { x, z, speed } while sliding
+    this.action = null;  // vault or mantle in progress (see _vault, _mantle)
+    this._rest = 0;      // seconds since stamina was last used
+  }
+
+  // what the character is doing: idle, walk, crouch, sprint, slide, air, vault or mantle
+  get state() {
+    if (this.action) return this.action.kind;
+    if (this.slide) return 'slide';
+    if (!this.grounded) return 'air';
+    if (this.sprinting) return 'sprint';
+    if (this.crouched) return 'crouch';
+    return this.moving ? 'walk' : 'idle';
+  }
+
+  // one fixed step of player input: x/z move direction (unit or zero), forward (moving ahead,
+  // sprinting only goes forward), sprint and crouch held, jump pressed this step, jumpHeld
+  update(world, input, dt) {
+    const moving = !!(input.x || input.z);
+    this.moving = moving;
+    this._regen(dt);
+    if (this.action) {
+      this._animate(dt);
+      return null;
+    }
+    if (input.jump && this.grounded && !this.slide) {
+      // vor einem niedrigen Hindernis: drüber, vor einem Balkon: hoch, sonst springen
+      if (!(moving && (this._vault(world, input) || this._mantle(world, input)))) this.jump();
+    } else if (input.jumpHeld && !this.grounded && moving && this._mantle(world, input)) {
+      return null;
+    }
+    if (this.action) return null;
+
+    // aus dem Sprint in die Hocke: rutschen
+    if (input.crouch && this.sprinting && this.grounded && !this.slide && this.stamina >= CHARACTER.slideCost) {
+      this._spend(CHARACTER.slideCost);
+      this.slide = { x: input.x, z: input.z, speed: CHARACTER.slideSpeed };
+    }
+    // Sprint nur vorwärts, am Boden kostet er Ausdauer
+    this.sprinting = input.sprint && input.forward && !input.crouch && !this.exhausted && this.stamina > 0;
+    if (this.sprinting && this.grounded) this._spend(CHARACTER.sprintCost * dt);
+    this.crouched = input.crouch;
+
+    let dx, dz, speed;
+    if (this.slide) {
+      const sl = this.slide;
+      sl.speed -= CHARACTER.slideFriction * dt;
+      dx = sl.x;
+      dz = sl.z;
+      speed = sl.speed;
+      this.sprinting = false;
+      if (sl.speed <= CHARACTER.crouchSpeed || !input.crouch) this.slide = null;
+    } else {
+      dx = input.x;
+      dz = input.z;
+      speed = this.sprinting ? CHARACTER.sprintSpeed : input.crouch ? CHARACTER.crouchSpeed : CHARACTER.walkSpeed;
+    }
+    const eye = input.crouch || this.slide ? this.heights.crouch : this.heights.stand;
+    const touched = this.move(world, dx * speed * dt, dz * speed * dt, eye, dt);
+    if (this.slide && !this.grounded) this.slide = null;
+    return touched;
+  }
+
+  get feetY() {
+    return this.position.y - this.eyeHeight;
+  }
+
+  // one fixed step: walk by (dx, dz), crouch towards eyeHeight, fall and land.
+  // Returns the building wall or door solid the capsule was last pushed out of, or null
+  move(world, dx, dz, eyeHeight, dt) {
+    const pos = this.position, r = CHARACTER.radius;
+    let touched = null;
+
+    // zu steil: abrutschen
+    if (this.grounded && this.slope && this.slope.angle > CHARACTER.maxSlope) {
+      dx += this.slope.x * CHARACTER.steepSlide * dt;
+      dz += this.slope.z * CHARACTER.steepSlide * dt;
+    }
+    const steps = Math.max(1, Math.ceil(Math.hypot(dx, dz) / (r / 2)));
+    for (let i = 0; i < steps; i++) {
+      const sx = dx / steps, sz = dz / steps;
+      // blocked: slide along the side of a flight or ledge on the free axis
+      if (this._canStep(world, pos.x + sx, pos.z + sz)) { pos.x += sx; pos.z += sz; }
+      else if (this._canStep(world, pos.x + sx, pos.z)) pos.x += sx;
+      else if (this._canStep(world, pos.x, pos.z + sz)) pos.z += sz;
+      else break;
+      touched = this._pushOut(world) || touched;
+    }
+
+    // Augenhöhe folgt dem Ducken, unter niedriger Decke geht es nicht höher
+    const feet = this.feetY;
+    const ceiling = this.ceilingAt(world, pos.x, pos.z, feet + CHARACTER.stepHeight);
+    const eye = Math.min(eyeHeight, ceiling - CHARACTER.headroom - feet);
+    this.eyeHeight += (eye - this.eyeHeight) * (1 - Math.exp(-CHARACTER.eyeSpeed * dt));
+    pos.y = feet + this.eyeHeight;
+
+    // vertical: keep the feet on the ground while walking, otherwise fall (or rise) and land
+    const ground = this.groundAt(world, pos.x, pos.z, feet + CHARACTER.stepHeight);
+    if (this.grounded && this.velocity.y <= 0 && feet - ground <= CHARACTER.snapDown) {
+      this.velocity.y = 0;
+      pos.y = ground + this.eyeHeight;
+    } else {
+      this.grounded = false;
+      this.velocity.y += CHARACTER.gravity * dt;
+      let newFeet = feet + this.velocity.y * dt;
+      if (newFeet + this.eyeHeight + CHARACTER.headroom > ceiling) {
+        newFeet = ceiling - this.eyeHeight - CHARACTER.headroom;
+        this.velocity.y = Math.min(0, this.velocity.y);
+      }
+      // surfaces between the old and the new feet catch us, so fast falls don't pass slabs
+      if (newFeet <= ground) {
+        newFeet = ground;
+        this.velocity.y = 0;
+        this.grounded = true;
+      }
+      pos.y = newFeet + this.eyeHeight;
+    }
+    this.slope = this.grounded ? this.slopeAt(world, pos.x, pos.z, this.feetY) : null;
+    return touched;
+  }
+
+  // jump off the ground (not off ground too steep to stand on)
+  jump() {
+    if (!this.grounded || this.action || (this.slope && this.slope.angle > CHARACTER.maxSlope)) return false;
+    this.velocity.y = CHARACTER.jumpSpeed;
+    this.grounded = false;
+    return true;
+  }
+
+  // after the position was set from outside (spawn, level load): at rest, falling onto the
+  // ground below
+  reset() {
+    this.velocity.set(0, 0, 0);
+    this.grounded = false;
+    this.slope = null;
+    this.slide = null;
+    this.action = null;
+  }
+
+  _spend(amount) {
+    this.stamina = Math.max(0, this.stamina - amount);
+    this._rest = 0;
+    if (this.stamina <= 0) this.exhausted = true;
+  }
+
+  _regen(dt) {
+    this._rest += dt;
+    if (this._rest >= CHARACTER.staminaDelay) this.stamina = Math.min(CHARACTER.stamina, this.stamina + CHARACTER.staminaRegen * dt);
+    if (this.exhausted && this.stamina >= CHARACTER.staminaRecover) this.exhausted = false;
+  }
+
+  // vault over a low obstacle right ahead (bench, railing) when there is room above it and a
+  // free spot behind it; the character lands on whatever is behind (or falls down there)
+  _vault(world, dir) {
+    if (this.stamina < CHARACTER.vaultCost) return false;
+    const pos = this.position, r = CHARACTER.radius, feet = this.feetY;
+    const low = feet + CHARACTER.stepHeight;
+    let top = -Infinity, at = 0;
+    for (let s = r + 0.1; s <= r + 0.5 && top === -Infinity; s += 0.1) {
+      top = this._topAt(world, pos.x + dir.x * s, pos.z + dir.z * s, low, pos.y + CHARACTER.headroom);
+      at = s;
+    }
+    if (top === -Infinity || top > feet + CHARACTER.vaultHeight) return false;
+    // over it crouched, then the first spot a capsule clear of it
+    const body = this.heights.crouch + CHARACTER.headroom;
+    let blocked = at, land = 0;
+    for (let s = at; s <= at + CHARACTER.vaultDepth + r + 0.1; s += 0.05) {
+      const x = pos.x + dir.x * s, z = pos.z + dir.z * s;
+      if (this._topAt(world, x, z, top + 0.01, top + body) > -Infinity) return false;
+      if (this._topAt(world, x, z, low, top + 0.01) > -Infinity) blocked = s;
+      else if (s - blocked > r + 0.05) { land = s; break; }
+    }
+    if (!land) return false;
+    if (this.ceilingAt(world, pos.x, pos.z, feet + CHARACTER.stepHeight) < top + body) return false;
+    this._spend(CHARACTER.vaultCost);
+    this.action = {
+      kind: 'vault', t: 0, time: CHARACTER.vaultTime, eye: this.heights.crouch,
+      x0: pos.x, z0: pos.z, feet0: feet, x1: pos.x + dir.x * land, z1: pos.z + dir.z * land, up: top + 0.05, rise: 0.5
+    };
+    return true;
+  }
+
+  // pull up onto a balcony of a climbable building within reach: from just outside its edge
+  // (under it there is no way up) up past the edge and the railing, then over onto it
+  _mantle(world, dir) {
+    if (this.stamina < CHARACTER.mantleCost) return false;
+    const pos = this.position, r = CHARACTER.radius, feet = this.feetY;
+    const low = feet + CHARACTER.stepHeight, reach = feet + CHARACTER.mantleReach;
+    const at = (s) => this._ledgeAt(world, pos.x + dir.x * s, pos.z + dir.z * s, low, reach);
+    // the edge: first ledge point along the way, also a bit behind when we jumped under it
+    let edge = null;
+    for (let s = -r - 0.8; s <= r + 1.0; s += 0.05) {
+      if (at(s) > -Infinity) { edge = s; break; }
+    }
+    if (edge === null) return false;
+    const land = edge + r + 0.15;
+    const ledge = at(land);
+    const x = pos.x + dir.x * land, z = pos.z + dir.z * land;
+    if (ledge === -Infinity || this._topAt(world, x, z, ledge + 0.01, ledge + this.heights.stand + CHARACTER.headroom) > -Infinity) return false;
+    // highest thing on the way over the edge (the railing), and room to rise above it
+    let up = ledge;
+    for (let q = edge; q < land; q += 0.05) up = Math.max(up, this._topAt(world, pos.x + dir.x * q, pos.z + dir.z * q, low, ledge + 1.2));
+    const start = Math.min(0, edge - r - 0.05);
+    const sx = pos.x + dir.x * start, sz = pos.z + dir.z * start;
+    if (this.ceilingAt(world, sx, sz, low) < up + this.heights.crouch + CHARACTER.headroom) return false;
+    this._spend(CHARACTER.mantleCost);
+    this.velocity.y = 0;
+    this.action = {
+      kind: 'mantle', t: 0, time: CHARACTER.mantleTime, eye: this.heights.crouch,
+      x0: pos.x, z0: pos.z, xs: sx, zs: sz, feet0: feet, x1: x, z1: z, up: up + 0.05, rise: 0.6
+    };
+    return true;
+  }
+
+  // vault and mantle follow a fixed path (checked when they start): rise to `up` during the
+  // first `rise` share of the time (the mantle back out to its start xs/zs meanwhile), then
+  // across to x1/z1; afterwards the character falls onto whatever is below
+  _animate(dt) {
+    const a = this.action, pos = this.position;
+    a.t += dt;
+    const u = Math.min(1, a.t / a.time);
+    const lift = Math.sin(Math.min(1, u / a.rise) * Math.PI / 2);
+    this.eyeHeight += (a.eye - this.eyeHeight) * (1 - Math.exp(-CHARACTER.eyeSpeed * dt));
+    if (a.kind === 'mantle') {
+      const across = Math.max(0, (u - a.rise) / (1 - a.rise));
+      pos.x = a.x0 + (a.xs - a.x0) * lift + (a.x1 - a.xs) * across;
+      pos.z = a.z0 + (a.zs - a.z0) * lift + (a.z1 - a.zs) * across;
+    } else {
+      pos.x = a.x0 + (a.x1 - a.x0) * u;
+      pos.z = a.z0 + (a.z1 - a.z0) * u;
+    }
+    pos.y = a.feet0 + (a.up - a.feet0) * lift + this.eyeHeight;
+    if (u >= 1) {
+      this.action = null;
+      this.grounded = false;
+      this.velocity.y = 0;
+    }
+  }
+
+  // highest closed solid (building part or prop box) at x/z reaching into y0..y1, or -Infinity
+  _topAt(world, x, z, y0, y1) {
+    let top = -Infinity;
+    for (const e of world.queryRect(x, z, x, z)) {
+      if (e.interior) top = Math.max(top, e.interior.topAt(x, z, y0, y1));
+      else if (e.box3.max.y > y0 && e.box3.min.y < y1 && inRect(e.box3, x, z, 0)) top = Math.max(top, e.box3.max.y);
+    }
+    return top;
+  }
+
+  // balcony of a climbable building at x/z with its floor between minY and maxY, or -Infinity
+  _ledgeAt(world, x, z, minY, maxY) {
+    let top = -Infinity;
+    for (const e of world.queryRect(x, z, x, z)) {
+      if (e.interior && e.climbable) top = Math.max(top, e.interior.ledgeAt(x, z, minY, maxY));
+    }
+    return top;
+  }
+
+  // highest surface at x/z not above maxY (0 = street)
+  groundAt(world, x, z, maxY) {
+    let y = 0;
+    for (const e of world.queryRect(x, z, x, z)) {
+      if (e.interior) y = Math.max(y, e.interior.groundAt(x, z, maxY));
+      else if (e.box3.max.y <= maxY && inRect(e.box3, x, z, 0)) y = Math.max(y, e.box3.max.y);
+    }
+    return y;
+  }
+
+  // lowest underside above minY at x/z (Infinity = open sky)
+  ceilingAt(world, x, z, minY) {
+    let y = Infinity;
+    for (const e of world.queryRect(x, z, x, z)) {
+      if (e.interior) y = Math.min(y, e.interior.ceilingAt(x, z, minY));
+      else if (e.box3.min.y >= minY && inRect(e.box3, x, z, 0)) y = Math.min(y, e.box3.min.y);
+    }
+    return y;
+  }
+
+  // steepness and downhill direction of the ground at height y (only stair flights slope)
+  slopeAt(world, x, z, y) {
+    for (const e of world.queryRect(x, z, x, z)) {
+      const slope = e.interior ? e.interior.slopeAt(x, z, y) : null;
+      if (slope) return slope;
+    }
+    return null;
+  }
+
+  // can the feet move to x/z: nothing higher than a step between them and the head (the side of
+  // a stair flight, a ledge) and no ground too steep to walk up
+  _canStep(world, x, z) {
+    const feet = this.feetY;
+    const ground = this.groundAt(world, x, z, this.position.y + CHARACTER.headroom);
+    if (ground > feet + CHARACTER.stepHeight) return false;
+    if (ground <= feet + 1e-3) return true;
+    const slope = this.slopeAt(world, x, z, ground);
+    return !slope || slope.angle <= CHARACTER.maxSlope;
+  }
+
+  // push the capsule out of everything between its feet (plus a step) and its head
+  _pushOut(world) {
+    const pos = this.position, r = CHARACTER.radius;
+    const feet = this.feetY, head = pos.y + CHARACTER.headroom;
+    let touched = null;
+    for (const e of world.queryRect(pos.x - r, pos.z - r, pos.x + r, pos.z + r)) {
+      if (e.interior) {
+        if (feet < e.interior.bounds.y1) touched = e.interior.collide(pos, r, feet, head) || touched;
+        continue;
+      }
+      const b = e.box3;
+      if (b.max.y <= feet + CHARACTER.stepHeight || b.min.y >= head) continue;
+      const cx = Math.max(b.min.x, Math.min(pos.x, b.max.x)), cz = Math.max(b.min.z, Math.min(pos.z, b.max.z));
+      const ox = pos.x - cx, oz = pos.z - cz, d2 = ox * ox + oz * oz;
+      if (d2 >= r * r) continue;
+      if (d2 > 1e-8) {
+        const d = Math.sqrt(d2);
+        pos.x = cx + ox / d * r;
+        pos.z = cz + oz / d * r;
+      } else {
+        // Mittelpunkt in der Box: auf kürzestem Weg hinaus
+        const pen = [pos.x - b.min.x, b.max.x - pos.x, pos.z - b.min.z, b.max.z - pos.z];
+        const i = pen.indexOf(Math.min(...pen));
+        if (i === 0) pos.x = b.min.x - r;
+        else if (i === 1) pos.x = b.max.x + r;
+        else if (i === 2) pos.z = b.min.z - r;
+        else pos.z = b.max.z + r;
+      }
+    }
+    return touched;
+  }
+}
+
+function inRect(b, x, z, margin) {
+  return x >= b.min.x - margin && x <= b.max.x + margin && z >= b.min.z - margin && z <= b.max.z + margin;
+}
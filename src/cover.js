@@ -0,0 +1,87 @@
+// Cover points around the city's static obstacles.
+// Points sit just outside building walls (every few meters), around benches, trees and
+// the fountain. Each point stores the outward normal of the obstacle face it hides behind:
+// a threat on the other side of the obstacle (dot(normal, toThreat) < 0) is covered.
+
+const WALL_SPACING = 4;
+
+export default class CoverMap {
+  constructor(cellSize = 8) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.points = [];
+  }
+
+  // build cover points from collision index entries ({ box3, kind }).
+  // isFree(x, z) rejects points that would stand inside another obstacle.
+  static fromObstacles(entries, isFree, offset = 0.7) {
+    const map = new CoverMap();
+    for (const e of entries) {
+      const b = e.box3;
+      const cx = (b.min.x + b.max.x) / 2, cz = (b.min.z + b.max.z) / 2;
+      if (e.kind === 'building') {
+        // along all four walls, corners included
+        const w = b.max.x - b.min.x, d = b.max.z - b.min.z;
+        const nx = Math.max(1, Math.round(w / WALL_SPACING)), nz = Math.max(1, Math.round(d / WALL_SPACING));
+        for (let i = 0; i <= nx; i++) {
+          const x = b.min.x + (w * i) / nx;
+          map._add(x, b.max.z + offset, 0, 1, e, isFree);
+          map._add(x, b.min.z - offset, 0, -1, e, isFree);
+        }
+        for (let i = 0; i <= nz; i++) {
+          const z = b.min.z + (d * i) / nz;
+          map._add(b.max.x + offset, z, 1, 0, e, isFree);
+          map._add(b.min.x - offset, z, -1, 0, e, isFree);
+        }
+      } else {
+        // small props: one point per side (eight around the round fountain)
+        const rx = (b.max.x - b.min.x) / 2 + offset, rz = (b.max.z - b.min.z) / 2 + offset;
+        const n = e.kind === 'fountain' ? 8 : 4;
+        for (let i = 0; i < n; i++) {
+          const a = (i / n) * Math.PI * 2;
+          map._add(cx + Math.cos(a) * rx, cz + Math.sin(a) * rz, Math.cos(a), Math.sin(a), e, isFree);
+        }
+      }
+    }
+    return map;
+  }
+
+  _add(x, z, nx, nz, entry, isFree) {
+    if (isFree && !isFree(x, z)) return;
+    const point = { x, z, nx, nz, entry, occupant: null };
+    const key = this._key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    let cell = this.cells.get(key);
+    if (!cell) { cell = []; this.cells.set(key, cell); }
+    cell.push(point);
+    this.points.push(point);
+  }
+
+  _key(i, j) {
+    return (i + 32768) * 65536 + (j + 32768);
+  }
+
+  // all points within radius of x/z
+  query(x, z, radius, out = []) {
+    const s = this.cellSize;
+    const i0 = Math.floor((x - radius) / s), i1 = Math.floor((x + radius) / s);
+    const j0 = Math.floor((z - radius) / s), j1 = Math.floor((z + radius) / s);
+    const r2 = radius * radius;
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        const cell = this.cells.get(this._key(i, j));
+        if (!cell) continue;
+        for (const p of cell) {
+          if ((p.x - x) ** 2 + (p.z - z) ** 2 <= r2) out.push(p);
+        }
+      }
+    }
+    return out;
+  }
+
+  // does the obstacle behind this point face away from the threat?
+  static shields(point, threatX, threatZ) {
+    const dx = threatX - point.x, dz = threatZ - point.z;
+    const len = Math.hypot(dx, dz) || 1;
+    return (point.nx * dx + point.nz * dz) / len < -0.2;
+  }
+}
@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { storeysFor, balconyLimit } from './level.js';
+
+// In-browser level editor (toggle with F2).
+// Edits the level data of the running game (game.level) and rebuilds the world
+// from it after every change, so what you see is exactly what exportLevel() saves.
+
+const FLY_SPEED = 20;
+const ZONE_COLORS = { initial: 0xff8800, respawn: 0xaa44ff };
+
+export default class Editor {
+  constructor(game) {
+    this.game = game;
+    this.active = false;
+    this.selected = null; // { def, list, kind, object }
+    this.snap = true;
+    this.keys = {};
+    this.looking = false;
+    this.helpers = new THREE.Group(); // spawn zone markers, only visible while editing
+    this.raycaster = new THREE.Raycaster();
+
+    this.controls = new TransformControls(game.camera, game.renderer.domElement);
+    this.controls.enabled = false;
+    this.controls.visible = false;
+    this.controls.addEventListener('objectChange', () => this._onObjectChange());
+    this.controls.addEventListener('mouseUp', () => this._commitSelected());
+
+    this._setupInput();
+    this._setupPanel();
+  }
+
+  toggle() {
+    if (this.active) this.exit(); else this.enter();
+  }
+
+  enter() {
+    if (this.active) return;
+    const game = this.game;
+    if (game.insideBuilding) game._leaveBuilding();
+    this.active = true;
+    game.shooting = false;
+    game.scoped = false;
+    // remember where the player was, the editor camera flies freely
+    this.savedPose = { position: game.yawObject.position.clone(), yaw: game.targetYaw, pitch: game.targetPitch };
+    try { document.exitPointerLock(); } catch (e) {}
+    game.scene.add(this.helpers);
+    game.scene.add(this.controls);
+    this.controls.enabled = true;
+    this._refreshHelpers();
+    this.panelEl.style.display = 'block';
+    const info = document.getElementById('info');
+    if (info) info.textContent = 'EDITOR • RMB drag: look • WASD/Q/E: fly • Click: select • 1/2/3: move/rotate/scale • G: snap • Del: delete • F2: play';
+  }
+
+  exit() {
+    if (!this.active) return;
+    const game = this.game;
+    this._select(null);
+    this.active = false;
+    this.controls.enabled = false;
+    game.scene.remove(this.controls);
+    game.scene.remove(this.helpers);
+    this.panelEl.style.display = 'none';
+    this.keys = {};
+    this.looking = false;
+    if (this.savedPose) {
+      game.yawObject.position.copy(this.savedPose.position);
+      game.targetYaw = this.savedPose.yaw;
+      game.targetPitch = this.savedPose.pitch;
+    }
+    game.controller.reset();
+    const info = document.getElementById('info');
+    if (info) info.textContent = 'Click to lock pointer • WASD to move • Mouse to look';
+  }
+
+  // fly camera; called from Game._fixedUpdate instead of the gameplay update
+  update(dt) {
+    const game = this.game;
+    const forward = new THREE.Vector3();
+    game.camera.getWorldDirection(forward);
+    const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
+    const move = new THREE.Vector3();
+    if (this.keys.KeyW) move.add(forward);
+    if (this.keys.KeyS) move.sub(forward);
+    if (this.keys.KeyD) move.add(right);
+    if (this.keys.KeyA) move.sub(right);
+    if (this.keys.KeyE) move.y += 1;
+    if (this.keys.KeyQ) move.y -= 1;
+    if (move.lengthSq() > 0.0001) {
+      const fast = this.keys.ShiftLeft || this.keys.ShiftRight ? 3 : 1;
+      game.yawObject.position.addScaledVector(move.normalize(), FLY_SPEED * fast * dt);
+      game.yawObject.position.y = Math.max(0.5, game.yawObject.position.y);
+    }
+  }
+
+  _setupInput() {
+    const game = this.game;
+    const dom = game.renderer.domElement;
+
+    window.addEventListener('keydown', (e) => {
+      if (!this.active) return;
+      if (e.target && e.target.tagName === 'INPUT') return;
+      this.keys[e.code] = true;
+      switch (e.code) {
+        case 'Digit1': this._setMode('translate'); break;
+        case 'Digit2': this._setMode('rotate'); break;
+        case 'Digit3': this._setMode('scale'); break;
+        case 'KeyG': this._setSnap(!this.snap); break;
+        case 'Delete':
+        case 'Backspace': e.preventDefault(); this.deleteSelected(); break;
+        case 'Escape': this._select(null); break;
+        case 'KeyS':
+          if (e.ctrlKey || e.metaKey) { e.preventDefault(); this.keys.KeyS = false; this.save(); }
+          break;
+      }
+    });
+    window.addEventListener('keyup', (e) => { this.keys[e.code] = false; });
+
+    // hold right mouse button to look around, left click selects
+    dom.addEventListener('pointerdown', (e) => {
+      if (!this.active) return;
+      if (e.button === 2) { this.looking = true; return; }
+      if (e.button !== 0 || this.controls.dragging) return;
+      this._pick(e);
+    });
+    window.addEventListener('pointerup', (e) => { if (e.button === 2) this.looking = false; });
+    window.addEventListener('pointermove', (e) => {
+      if (!this.active || !this.looking) return;
+      const s = game.baseSensitivity;
+      game.targetYaw -= e.movementX * s.x;
+      game.targetPitch -= e.movementY * s.y;
+      const limit = Math.PI / 2 - 0.01;
+      game.targetPitch = Math.max(-limit, Math.min(limit, game.targetPitch));
+    });
+    window.addEventListener('contextmenu', (e) => { if (this.active) e.preventDefault(); });
+  }
+
+  _setupPanel() {
+    this.panelEl = document.createElement('div');
+    const el = this.panelEl;
+    el.style.position = 'fixed';
+    el.style.right = '12px';
+    el.style.top = '12px';
+    el.style.padding = '10px';
+    el.style.width = '200px';
+    el.style.background = 'rgba(10,10,12,0.9)';
+    el.style.color = '#fff';
+    el.style.border = '1px solid #333';
+    el.style.borderRadius = '6px';
+    el.style.fontSize = '12px';
+    el.style.display = 'none';
+    el.style.zIndex = 10002;
+    el.innerHTML = `
+      <div style="font-weight:600;margin-bottom:6px">Level Editor</div>
+      <div id="editor-add" style="display:grid;grid-template-columns:1fr 1fr;gap:4px"></div>
+      <div id="editor-modes" style="display:flex;gap:4px;margin-top:8px"></div>
+      <label style="display:block;margin-top:8px"><input type="checkbox" id="editor-snap"> Snap to road grid (G)</label>
+      <div id="editor-selection" style="margin-top:8px;min-height:16px;color:#aaa">Nothing selected</div>
+      <div style="display:flex;gap:4px;margin-top:8px">
+        <button id="editor-zone-kind" style="flex:1" title="Spawn zone: initial wave / respawn">Zone kind</button>
+        <button id="editor-delete" style="flex:1">Delete</button>
+        <button id="editor-save" style="flex:1">Save</button>
+      </div>
+      <div style="margin-top:6px"><small>F2 to play</small></div>
+    `;
+    const addEl = el.querySelector('#editor-add');
+    const addBtn = (label, kind) => {
+      const btn = document.createElement('button');
+      btn.textContent = `+ ${label}`;
+      btn.onclick = () => this.add(kind);
+      addEl.appendChild(btn);
+    };
+    addBtn('Building', 'building');
+    addBtn('Tree', 'tree');
+    addBtn('Lamp', 'lamp');
+    addBtn('Bench', 'bench');
+    addBtn('Target', 'target');
+    addBtn('Spawn zone', 'spawnZone');
+
+    const modesEl = el.querySelector('#editor-modes');
+    this.modeButtons = {};
+    for (const [mode, label] of [['translate', 'Move'], ['rotate', 'Rotate'], ['scale', 'Scale']]) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.style.flex = '1';
+      btn.onclick = () => this._setMode(mode);
+      modesEl.appendChild(btn);
+      this.modeButtons[mode] = btn;
+    }
+
+    this.snapEl = el.querySelector('#editor-snap');
+    this.snapEl.onchange = () => this._setSnap(this.snapEl.checked);
+    this.selectionEl = el.querySelector('#editor-selection');
+    el.querySelector('#editor-zone-kind').onclick = () => this.toggleZoneKind();
+    el.querySelector('#editor-delete').onclick = () => this.deleteSelected();
+    el.querySelector('#editor-save').onclick = () => this.save();
+    document.body.appendChild(el);
+    this._setMode('translate');
+    this._setSnap(this.snap);
+  }
+
+  _setMode(mode) {
+    this.controls.setMode(mode);
+    // buildings, props and zones only rotate around the vertical axis
+    this.controls.showX = mode !== 'rotate';
+    this.controls.showZ = mode !== 'rotate';
+    for (const [m, btn] of Object.entries(this.modeButtons || {})) {
+      btn.style.outline = m === mode ? '2px solid #00ff88' : 'none';
+    }
+  }
+
+  _setSnap(on) {
+    this.snap = on;
+    if (this.snapEl) this.snapEl.checked = on;
+    this.controls.setRotationSnap(on ? THREE.MathUtils.degToRad(15) : null);
+    this.controls.setScaleSnap(on ? 0.1 : null);
+  }
+
+  // snap step: a quarter block, aligned with the level's road grid
+  _snapValue(value, origin) {
+    const grid = this.game.level.grid;
+    const step = (grid.blockW + grid.gap) / 4;
+    return origin + Math.round((value - origin) / step) * step;
+  }
+
+  _onObjectChange() {
+    const sel = this.selected;
+    if (!sel || !this.snap || this.controls.mode !== 'translate') return;
+    const grid = this.game.level.grid;
+    sel.object.position.x = this._snapValue(sel.object.position.x, grid.startX);
+    sel.object.position.z = this._snapValue(sel.object.position.z, grid.startZ);
+  }
+
+  // write the gizmo transform back into the level data and rebuild
+  _commitSelected() {
+    const sel = this.selected;
+    if (!sel) return;
+    const { def, kind, object } = sel;
+    const scale = Math.max(object.scale.x, object.scale.z);
+    def.x = object.position.x;
+    def.z = object.position.z;
+    switch (kind) {
+      case 'building':
+        def.rotation = object.rotation.y;
+        def.width = Math.max(2, def.width * object.scale.x);
+        def.depth = Math.max(2, def.depth * object.scale.z);
+        def.height = Math.max(3, def.height * object.scale.y);
+        if (object.scale.y !== 1) {
+          // Stockwerke neu aufteilen; Räume und Balkone über dem neuen Dach fallen weg
+          def.interior.floors = storeysFor(def.height);
+          def.interior.rooms = def.interior.rooms.filter(r => r.floor < def.interior.floors);
+          def.balconies = def.balconies.filter(b => b.floor < balconyLimit(def.height));
+        }
+        break;
+      case 'tree':
+        def.rotation = object.rotation.y;
+        def.radius = Math.max(0.3, (def.radius || 1.2) * scale);
+        break;
+      case 'lamp':
+      case 'bench':
+        def.rotation = object.rotation.y;
+        def.scale = Math.max(0.2, object.scale.x);
+        break;
+      case 'target':
+        def.y = Math.max(0.3, object.position.y);
+        break;
+      case 'spawnZone':
+        def.radius = Math.max(1, def.radius * scale);
+        break;
+    }
+    this._rebuild(def);
+  }
+
+  _rebuild(selectDef) {
+    this.controls.detach();
+    this.game.rebuildWorld();
+    this._refreshHelpers();
+    const obj = selectDef ? this._findObject(selectDef) : null;
+    this._select(obj ? this._entryFor(obj) : null);
+  }
+
+  _refreshHelpers() {
+    for (const child of [...this.helpers.children]) {
+      this.helpers.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+    for (const zone of this.game.level.enemySpawnZones) {
+      const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(zone.radius, 32),
+        new THREE.MeshBasicMaterial({ color: ZONE_COLORS[zone.kind] || 0xff8800, transparent: true, opacity: 0.35, depthWrite: false })
+      );
+      disc.geometry.rotateX(-Math.PI / 2);
+      disc.position.set(zone.x, 0.08, zone.z);
+      disc.userData.levelDef = zone;
+      this.helpers.add(disc);
+    }
+  }
+
+  _findObject(def) {
+    let found = null;
+    const visit = (obj) => {
+      if (!found && obj.userData.levelDef === def) found = obj;
+    };
+    this.game.world.traverse(visit);
+    this.helpers.traverse(visit);
+    return found;
+  }
+
+  // work out which level list an object belongs to
+  _entryFor(object) {
+    const def = object.userData.levelDef;
+    const level = this.game.level;
+    if (level.buildings.includes(def)) return { def, object, kind: 'building', list: level.buildings };
+    if (level.props.includes(def)) return { def, object, kind: def.type, list: level.props };
+    if (level.targets.includes(def)) return { def, object, kind: 'target', list: level.targets };
+    if (level.enemySpawnZones.includes(def)) return { def, object, kind: 'spawnZone', list: level.enemySpawnZones };
+    return null;
+  }
+
+  _pick(e) {
+    const dom = this.game.renderer.domElement;
+    const rect = dom.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(ndc, this.game.camera);
+    const hits = this.raycaster.intersectObjects([this.game.world, this.helpers], true);
+    for (const hit of hits) {
+      let obj = hit.object;
+      while (obj && !obj.userData.levelDef) obj = obj.parent;
+      if (obj) { this._select(this._entryFor(obj)); return; }
+    }
+    this._select(null);
+  }
+
+  _select(entry) {
+    this.selected = entry;
+    if (entry) {
+      this.controls.attach(entry.object);
+      this.controls.visible = true;
+      const d = entry.def;
+      const label = entry.kind === 'spawnZone' ? `spawn zone (${d.kind})` : entry.kind;
+      this.selectionEl.textContent = `${label}${d.id ? ` ${d.id}` : ''} @ ${d.x.toFixed(1)}, ${d.z.toFixed(1)}`;
+    } else {
+      this.controls.detach();
+      this.controls.visible = false;
+      if (this.selectionEl) this.selectionEl.textContent = 'Nothing selected';
+    }
+  }
+
+  // ground point in the middle of the screen (or in front of the camera when looking up)
+  _placementPoint() {
+    const game = this.game;
+    const origin = new THREE.Vector3();
+    const dir = new THREE.Vector3();
+    game.camera.getWorldPosition(origin);
+    game.camera.getWorldDirection(dir);
+    const ray = new THREE.Ray(origin, dir);
+    const point = new THREE.Vector3();
+    if (!ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), point) || point.distanceTo(origin) > 200) {
+      point.copy(origin).addScaledVector(dir.setY(0).normalize(), 15);
+    }
+    if (this.snap) {
+      const grid = game.level.grid;
+      point.x = this._snapValue(point.x, grid.startX);
+      point.z = this._snapValue(point.z, grid.startZ);
+    }
+    return point;
+  }
+
+  add(kind) {
+    const level = this.game.level;
+    const p = this._placementPoint();
+    let def;
+    switch (kind) {
+      case 'building': {
+        const ids = new Set(level.buildings.map(b => b.id));
+        let n = level.buildings.length;
+        while (ids.has(`b${n}`)) n++;
+        def = {
+          id: `b${n}`, x: p.x, z: p.z, width: 12, depth: 12, height: 12, rotation: 0, color: 0xd9e6f2,
+          doors: [{ kind: 'main', face: 'z+', offset: 0 }], balconies: [],
+          interior: { floors: 2, elevator: true, rooms: [{ floor: 0, target: false }, { floor: 1, target: false }] }
+        };
+        level.buildings.push(def);
+        break;
+      }
+      case 'tree': def = { type: 'tree', x: p.x, z: p.z, radius: 1.2, rotation: 0, scale: 1 }; level.props.push(def); break;
+      case 'lamp': def = { type: 'lamp', x: p.x, z: p.z, rotation: 0, scale: 1 }; level.props.push(def); break;
+      case 'bench': def = { type: 'bench', x: p.x, z: p.z, rotation: 0, scale: 1 }; level.props.push(def); break;
+      case 'target': def = { x: p.x, y: 1.5, z: p.z }; level.targets.push(def); break;
+      case 'spawnZone': def = { x: p.x, z: p.z, radius: 10, kind: 'initial' }; level.enemySpawnZones.push(def); break;
+      default: return;
+    }
+    this._rebuild(def);
+  }
+
+  // switch the selected spawn zone between first wave and reinforcements
+  toggleZoneKind() {
+    const sel = this.selected;
+    if (!sel || sel.kind !== 'spawnZone') return;
+    sel.def.kind = sel.def.kind === 'initial' ? 'respawn' : 'initial';
+    this._refreshHelpers();
+    this._select(this._entryFor(this._findObject(sel.def)));
+  }
+
+  deleteSelected() {
+    const sel = this.selected;
+    if (!sel) return;
+    const idx = sel.list.indexOf(sel.def);
+    if (idx >= 0) sel.list.splice(idx, 1);
+    this._select(null);
+    this._rebuild(null);
+  }
+
+  // download the edited level as JSON
+  save() {
+    const json = JSON.stringify(this.game.exportLevel(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `level-${this.game.seed}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this.game._showTemporaryMessage('Level saved', 1200);
+  }
+}
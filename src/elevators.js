@@ -0,0 +1,102 @@
+// Elevators: one car per shaft (interiors.js), simulated in Game._fixedUpdate. The call
+// buttons on every floor and the panel in the car queue floor requests; the car serves them in
+// the order they came in, opens its doors, waits and closes them again before moving on.
+// The Game moves the player and riding enemies with the car and opens the shaft gates.
+//
+// speed     car speed in m/s
+// doorTime  seconds the doors take to open or close
+// dwell     seconds the doors stay open at a floor
+
+export const ELEVATOR = {
+  speed: 3,
+  doorTime: 0.8,
+  dwell: 3
+};
+
+export default class Elevator {
+  constructor(interior) {
+    this.interior = interior;
+    this.floors = interior.floors;
+    const s = interior.shaft;
+    this.center = interior.toWorld((s.x0 + s.x1) / 2, (s.z0 + s.z1) / 2);
+    this.y = 0;           // floor level of the car
+    this.floor = 0;       // storey the car is at (or passing)
+    this.queue = [];      // requested floors, oldest first
+    this.state = 'idle';  // idle | moving | opening | open | closing
+    this.doors = 0;       // 0 closed .. 1 open
+    this.timer = 0;
+  }
+
+  // call button or car panel; at the floor already the doors (re)open instead
+  request(floor) {
+    if (floor < 0 || floor >= this.floors) return;
+    if (this.state !== 'moving' && floor === this.floor) {
+      if (this.state === 'open') this.timer = ELEVATOR.dwell;
+      else if (this.state !== 'opening') this.state = 'opening';
+      return;
+    }
+    if (!this.queue.includes(floor)) this.queue.push(floor);
+  }
+
+  requested(floor) {
+    return this.queue.includes(floor);
+  }
+
+  // how far the doors are open on a storey (0 where the car is not)
+  doorsAt(floor) {
+    return this.state === 'moving' || floor !== this.floor ? 0 : this.doors;
+  }
+
+  // can one walk between the car and the storey
+  openAt(floor) {
+    return this.doorsAt(floor) > 0.9;
+  }
+
+  // is the world point inside the car (feet at y)
+  carries(x, y, z) {
+    const s = this.interior.shaft;
+    const l = this.interior.toLocal(x, z);
+    return l.x > s.x0 && l.x < s.x1 && l.z > s.z0 && l.z < s.z1 && Math.abs(y - this.y) < 0.4;
+  }
+
+  // advance one step; returns how far the car moved (riders move along)
+  update(dt) {
+    let dy = 0;
+    switch (this.state) {
+      case 'opening':
+        this.doors = Math.min(1, this.doors + dt / ELEVATOR.doorTime);
+        if (this.doors >= 1) { this.state = 'open'; this.timer = ELEVATOR.dwell; }
+        break;
+      case 'open':
+        this.timer -= dt;
+        if (this.timer <= 0) this.state = 'closing';
+        break;
+      case 'closing':
+        this.doors = Math.max(0, this.doors - dt / ELEVATOR.doorTime);
+        if (this.doors <= 0) this.state = 'idle';
+        break;
+      case 'moving': {
+        const target = this.interior.floorY(this.queue[0]);
+        dy = Math.max(-ELEVATOR.speed * dt, Math.min(ELEVATOR.speed * dt, target - this.y));
+        this.y += dy;
+        this.floor = this.interior.floorAt(this.y + 0.01);
+        if (Math.abs(target - this.y) < 1e-6) {
+          this.y = target;
+          this.floor = this.queue.shift();
+          this.state = 'opening';
+        }
+        break;
+      }
+      default:
+        if (!this.queue.length) break;
+        if (this.queue[0] === this.floor) {
+          this.queue.shift();
+          this.state = 'opening';
+        } else {
+          this.state = 'moving';
+        }
+    }
+    this.interior.carY = this.y;
+    return dy;
+  }
+}
@@ -0,0 +1,156 @@
+// Factions, their relationships and the player's reputation with each of them.
+//
+// FACTIONS          street gangs (joinable) plus the boss army, badge color per faction
+// FACTION_RELATIONS standing between two factions, unlisted pairs are hostile
+// REPUTATION        player reputation per faction (-100..100) and the thresholds that turn it
+//                   into a standing; shooting members lowers it, killing their rivals raises it
+// FRIENDLY_FIRE     damage multipliers between allies (0 = no damage)
+
+export const FACTIONS = {
+  red: { name: 'Red Cobras', color: 0xff2222, joinable: true },
+  blue: { name: 'Blue Sharks', color: 0x2222ff, joinable: true },
+  green: { name: 'Green Vipers', color: 0x22ff22, joinable: true },
+  yellow: { name: 'Yellow Jackals', color: 0xffff22, joinable: true },
+  boss: { name: 'Juggernaut Army', color: 0xff7a00, joinable: false }
+};
+
+export const FACTION_RELATIONS = {
+  'red:yellow': 'allied',
+  'blue:green': 'neutral'
+};
+
+export const REPUTATION = {
+  start: -40,
+  hostileBelow: -20,  // below: members shoot the player on sight
+  alliedFrom: 40,     // from here on: members follow the player and fight alongside
+  joinFrom: -20,      // joining needs at least a neutral standing
+  hit: -8,            // player hits a member
+  kill: -25,          // player kills a member
+  allyOfVictimKill: -10,
+  rivalOfVictimKill: 6
+};
+
+export const FRIENDLY_FIRE = {
+  sameFaction: 0,      // bots never hurt their own faction
+  allies: 0.5,         // bots of allied factions
+  playerToAllies: 0.5, // the player hitting allied bots (still costs reputation)
+  alliesToPlayer: 0    // allied bots never hurt the player
+};
+
+export default class Diplomacy {
+  constructor() {
+    this.relations = new Map();
+    for (const [pair, relation] of Object.entries(FACTION_RELATIONS)) {
+      const [a, b] = pair.split(':');
+      this.setRelation(a, b, relation);
+    }
+    this.reputation = {};
+    for (const id of Object.keys(FACTIONS)) {
+      if (FACTIONS[id].joinable) this.reputation[id] = REPUTATION.start;
+    }
+    this.playerFaction = null;
+  }
+
+  // faction ids that members can be assigned to when spawning
+  static gangs() {
+    return Object.keys(FACTIONS).filter(id => FACTIONS[id].joinable);
+  }
+
+  setRelation(a, b, relation) {
+    this.relations.set(a < b ? `${a}:${b}` : `${b}:${a}`, relation);
+  }
+
+  // 'hostile' | 'neutral' | 'allied' between two factions; 'player' stands for the player
+  relation(a, b) {
+    if (a === b) return 'allied';
+    if (a === 'player') return this.standing(b);
+    if (b === 'player') return this.standing(a);
+    return this.relations.get(a < b ? `${a}:${b}` : `${b}:${a}`) || 'hostile';
+  }
+
+  isHostile(a, b) {
+    return this.relation(a, b) === 'hostile';
+  }
+
+  // the player's standing with a faction, derived from reputation and membership
+  standing(faction) {
+    const rep = this.reputation[faction];
+    if (rep === undefined || rep < REPUTATION.hostileBelow) return 'hostile';
+    if (faction === this.playerFaction || rep >= REPUTATION.alliedFrom) return 'allied';
+    return 'neutral';
+  }
+
+  // damage multiplier for attacker -> victim (faction ids or 'player')
+  damageScale(attacker, victim) {
+    if (this.relation(attacker, victim) !== 'allied') return 1;
+    if (attacker === victim) return FRIENDLY_FIRE.sameFaction;
+    if (attacker === 'player') return FRIENDLY_FIRE.playerToAllies;
+    if (victim === 'player') return FRIENDLY_FIRE.alliesToPlayer;
+    return FRIENDLY_FIRE.allies;
+  }
+
+  canJoin(faction) {
+    return !!FACTIONS[faction] && FACTIONS[faction].joinable && faction !== this.playerFaction &&
+      this.reputation[faction] >= REPUTATION.joinFrom;
+  }
+
+  // join a faction: its rivals turn hostile, a previous faction feels betrayed.
+  // Returns the standing changes like changeReputation().
+  join(faction) {
+    if (!this.canJoin(faction)) throw new Error(`Cannot join faction "${faction}"`);
+    const before = this._standings();
+    if (this.playerFaction) this.reputation[this.playerFaction] = REPUTATION.hostileBelow - 20;
+    this.playerFaction = faction;
+    this.reputation[faction] = 100;
+    for (const other of Object.keys(this.reputation)) {
+      const relation = this.relation(faction, other);
+      if (relation === 'hostile') this.reputation[other] = Math.min(this.reputation[other], REPUTATION.start);
+      else if (relation === 'allied') this.reputation[other] = Math.max(this.reputation[other], REPUTATION.alliedFrom);
+    }
+    return this._changes(before);
+  }
+
+  leave() {
+    const before = this._standings();
+    this.playerFaction = null;
+    return this._changes(before);
+  }
+
+  // the player attacked a member of faction; shifts reputation with it, its allies and its rivals
+  onPlayerAttack(faction, killed) {
+    if (this.reputation[faction] === undefined) return [];
+    const before = this._standings();
+    this._shift(faction, killed ? REPUTATION.kill : REPUTATION.hit);
+    if (killed) {
+      for (const other of Object.keys(this.reputation)) {
+        if (other === faction) continue;
+        const relation = this.relation(faction, other);
+        if (relation === 'allied') this._shift(other, REPUTATION.allyOfVictimKill);
+        else if (relation === 'hostile') this._shift(other, REPUTATION.rivalOfVictimKill);
+      }
+    }
+    // thrown out when the own faction turns hostile
+    if (this.playerFaction && this.reputation[this.playerFaction] < REPUTATION.hostileBelow) this.playerFaction = null;
+    return this._changes(before);
+  }
+
+  _shift(faction, delta) {
+    this.reputation[faction] = Math.max(-100, Math.min(100, this.reputation[faction] + delta));
+  }
+
+  _standings() {
+    const out = {};
+    for (const id of Object.keys(this.reputation)) out[id] = this.standing(id);
+    return out;
+  }
+
+  // [{ faction, from, to }] for every standing that differs from before
+  _changes(before) {
+    const out = [];
+    for (const id of Object.keys(this.reputation)) {
+      const to = this.standing(id);
+      if (to !== before[id]) out.push({ faction: id, from: before[id], to });
+    }
+    return out;
+  }
+}
@@ -1,11 +1,50 @@
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createRng, randomSeed } from './rng.js';
+import { generateLevel, parseLevel } from './level.js';
+import Editor from './editor.js';
+import NavGrid from './navigation.js';
+import SpatialIndex from './spatial.js';
+import CoverMap from './cover.js';
+import BehaviorTree, { FAILURE } from './behaviortree.js';
+import { ENEMY_BEHAVIORS } from './behaviors.js';
+import { ENEMY_ARCHETYPES, ENEMY_SPAWN_TABLES, pickArchetype } from './archetypes.js';
+import { BOSS_TYPES, BOSS_SCHEDULE } from './bosses.js';
+import Diplomacy, { FACTIONS } from './factions.js';
+import TerritoryMap, { TERRITORY } from './territory.js';
+import Squad, { SQUAD } from './squads.js';
+import Interior, { INTERIOR } from './interiors.js';
+import Elevator from './elevators.js';
+import CharacterController, { CHARACTER } from './character.js';
+import { WEAPONS, AMMO_DROP, HIT_ZONES, HEADSHOT_BONUS, PENETRATION, damageFalloff, createWeaponMaterials, buildWeaponModel } from './weapons.js';
 
 const FIXED_STEP = 1 / 60;
 const MAX_BULLETS = 30;
 const MAX_TRACERS = 40;
+const ENEMY_RADIUS = 0.35;
+const ENEMY_EYE_HEIGHT = 0.5;   // above enemy.position
+const ENEMY_NEAR_SENSE = 4;     // notice the player this close even outside the vision cone
+const ENEMY_SEARCH_TIME = 10;   // seconds spent searching the last known player position
+const WOUNDED_HEALTH = 0.35;    // below this share of maxHealth enemies retreat to cover
+const ENEMY_MAGAZINES = { rifle: 30, smg: 25, shotgun: 6, sniper: 5 };
+const GRAVITY = 9.81;
+const MAX_FOLLOWERS = 4;        // allied bots that follow the player at once
+// noise radii in meters; beyond half the radius walls block the sound
+const NOISE = { step: 10, sneakStep: 3, door: 15, explosion: 90, crouchShot: 0.6 };
+const ENEMY_INVESTIGATE_TIME = 8; // seconds spent checking out a noise
+const ENEMY_EYE_TO_FEET = 1.1;  // player eye / muzzle height minus enemy.position height
 
 export default class Game {
-  constructor() {
+  // options.seed (number or string) makes city generation and spawning reproducible
+  // options.level (JSON string or object, see LEVELS.md) loads a hand-authored city instead of generating one
+  constructor(options = {}) {
+    const level = options.level ? parseLevel(options.level) : null;
+    const seed = options.seed !== undefined && options.seed !== null && options.seed !== '' ? options.seed : (level && level.seed);
+    this.seed = seed !== undefined && seed !== null && seed !== '' ? seed : randomSeed();
+    // single PRNG for world generation and spawning (same seed -> same city)
+    this.random = createRng(this.seed);
+    console.log(`World seed: ${this.seed}`);
+
     this.clock = new THREE.Clock();
     this.accumulator = 0;
 
@@ -21,20 +60,6 @@ export default class Game {
   this.pitchObject = new THREE.Object3D();
   this.yawObject.add(this.pitchObject);
   this.pitchObject.add(this.camera);
-  // set initial player position (camera height)
-  // Zufällige Spawn-Punkte in verschiedenen Stadtgebieten
-  const spawnPoints = [
-    { x: 15, y: 1.6, z: 15 },   // Nord-Ost Distrikt
-    { x: -15, y: 1.6, z: 15 },  // Nord-West Distrikt
-    { x: 15, y: 1.6, z: -15 },  // Süd-Ost Distrikt
-    { x: -15, y: 1.6, z: -15 }, // Süd-West Distrikt
-    { x: 35, y: 1.6, z: 0 },    // Ost-Außenbezirk
-    { x: -35, y: 1.6, z: 0 },   // West-Außenbezirk
-    { x: 0, y: 1.6, z: 35 },    // Nord-Außenbezirk
-    { x: 0, y: 1.6, z: -35 }    // Süd-Außenbezirk
-  ];
-  const randomSpawn = spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
-  this.yawObject.position.set(randomSpawn.x, randomSpawn.y, randomSpawn.z);
   this.scene.add(this.yawObject);
 
   // preallocate arrays used by environment creation
@@ -43,12 +68,16 @@ export default class Game {
   this.insideBuilding = null;
   this.clouds = [];
   this.buildingBoxes = []; // { box3, topY, climbable }
-  this.stairBoxes = []; // { box3, topY }
+  this.interiors = []; // waypoint graphs per building (interiors.js)
+  this.elevators = []; // one per building with a shaft (elevators.js)
+  this.elevatorButtons = []; // call buttons and car panel buttons, pressed with E
   // runtime arrays needed during world creation
   this.bullets = [];
   this.tracers = [];
+  this.grenades = [];
   this.targets = [];
   this.enemies = []; // KI-Gegner hinzugefügt
+  this.squads = [];
   this.score = 0;
   // caches and throttles for performance
   this._hittablesCache = null;
@@ -103,22 +132,33 @@ export default class Game {
     }
 
   this._setupLights();
-  this._setupWorld();
+  this._setupWorld(level || generateLevel(this.random, this.seed));
+  this._placePlayerAtSpawn();
   // improved environment
   this._createSky();
   this._createGround();
   this._createClouds();
-    // weapons: configs for hitscan behavior
-    this.weapons = [
-      { id: 'shotgun', name: 'Shotgun', fireRate: 1.2, pellets: 9, spread: 0.14, damage: 1, automatic: false, scopeFov: this.camera.fov },
-      { id: 'sniper', name: 'Sniper', fireRate: 0.6, pellets: 1, spread: 0.0, damage: 10, automatic: false, scopeFov: 12 },
-      { id: 'smg', name: 'SMG', fireRate: 14.0, pellets: 1, spread: 0.02, damage: 1, automatic: true, scopeFov: this.camera.fov }
-    ];
-    this.currentWeaponIndex = 2; // start with SMG
-  this.unlocked = { shotgun: false, sniper: false, smg: true };
+    // weapons: hitscan configs from the registry (weapons.js), in key slot order
+    this.weapons = Object.entries(WEAPONS)
+      .map(([id, def]) => ({ id, ...def, scopeFov: def.scopeFov || this.camera.fov }))
+      .sort((a, b) => a.slot - b.slot);
+    this.unlocked = Object.fromEntries(this.weapons.map(w => [w.id, !!w.owned]));
+    this.currentWeaponIndex = this.weapons.findIndex(w => w.owned); // start with the first owned one
+    this.weaponModels = {}; // first-person models by id, built on first use
+    // rounds in the magazine and in reserve per weapon; reload in progress ({ weapon, t, time })
+    this.ammo = Object.fromEntries(this.weapons.map(w => [w.id, { mag: w.magazine, reserve: w.owned ? w.reserve : 0 }]));
+    this.reloading = null;
+    this.ammoDrops = []; // { mesh, ttl } from killed enemies
   this.money = 50; // starting money
   this.health = 100; // health added
   this.maxHealth = 100;
+  // boss encounters: player kills count towards the next boss
+  this.kills = 0;
+  this.boss = null;
+  this.nextBossAt = BOSS_SCHEDULE.firstAfterKills;
+  // Fraktionen: Beziehungen, Ruf und Gefolgsleute des Spielers
+  this.diplomacy = new Diplomacy();
+  this.followers = [];
   this.buildingPositions = [];
   // shooting / autoshoot state
   this.shooting = false;
@@ -179,434 +219,490 @@ export default class Game {
     }
   }
 
-  _setupWorld() {
-    // Dichtere Stadt mit mehr Gebäuden und kleineren Abständen
-    const cols = 10, rows = 10; // Mehr Gebäudeblöcke
-    const blockW = 28, blockD = 28; // Kleinere Blöcke
-    const gap = 6; // Schmalere Straßen
-    const startX = -((cols * (blockW + gap)) / 2) + (blockW + gap)/2;
-    const startZ = -((rows * (blockD + gap)) / 2) - 120 + (blockD + gap)/2;
-    const palette = [0xd9e6f2, 0xe8d8c3, 0xcfe3d6, 0xd0cbe6, 0xe6e0c9];
+  // build all city meshes from a level description (see level.js / LEVELS.md)
+  _setupWorld(level) {
+    this.level = level;
+    // every world mesh lives in this group so a level can be swapped at runtime
+    this.world = new THREE.Group();
+    this.scene.add(this.world);
+    // static obstacles shared by enemy movement, spawning and navigation
+    this.collision = new SpatialIndex();
+    const { blockW, blockD, gap } = level.grid;
 
     // Kleinerer zentraler Park
-    const parkSize = 45;
-    const park = new THREE.Mesh(new THREE.CircleGeometry(parkSize, 32), new THREE.MeshStandardMaterial({ color: 0x6db36b }));
-    park.rotation.x = -Math.PI/2;
-    park.position.set(startX + (cols/2)*(blockW+gap) - (blockW+gap)/2, 0.01, startZ + (rows/2)*(blockD+gap) - (blockD+gap)/2);
-    this.scene.add(park);
+    if (level.park) {
+      const park = new THREE.Mesh(new THREE.CircleGeometry(level.park.radius || 45, 32), new THREE.MeshStandardMaterial({ color: 0x6db36b }));
+      park.rotation.x = -Math.PI/2;
+      park.position.set(level.park.x, 0.01, level.park.z);
+      this.world.add(park);
+    }
 
     // Kleinerer Brunnen
-    const fountain = new THREE.Mesh(new THREE.CylinderGeometry(4,4,0.6,24), new THREE.MeshStandardMaterial({ color: 0x8fbce6 }));
-    fountain.position.set(park.position.x, 0.3, park.position.z);
-    this.scene.add(fountain);
+    if (level.fountain) {
+      const f = level.fountain;
+      const radius = f.radius || 4, height = f.height || 0.6;
+      const fountain = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, height, 24), new THREE.MeshStandardMaterial({ color: 0x8fbce6 }));
+      fountain.position.set(f.x, height/2, f.z);
+      this.world.add(fountain);
+      this.collision.insert({ box3: new THREE.Box3().setFromObject(fountain), kind: 'fountain', topY: height });
+    }
 
     // materials
     const roadMat = new THREE.MeshStandardMaterial({ color: 0x2e2e2e });
     const sidewalkMat = new THREE.MeshStandardMaterial({ color: 0xd8d6cf });
 
-    // grid of roads and buildings
-    for (let cx = 0; cx < cols; cx++) {
-      for (let cz = 0; cz < rows; cz++) {
-        const px = startX + cx * (blockW + gap);
-        const pz = startZ + cz * (blockD + gap);
-
-        // road X and Z (one horizontal, one vertical) centered between blocks
-        const roadX = new THREE.Mesh(new THREE.PlaneGeometry(blockW + gap, gap), roadMat);
-        roadX.rotation.x = -Math.PI/2; roadX.position.set(px, 0.02, pz - (blockD/2 + gap/2)); this.scene.add(roadX); roadX.userData.hittable = true;
-        const roadZ = new THREE.Mesh(new THREE.PlaneGeometry(gap, blockD + gap), roadMat);
-        roadZ.rotation.x = -Math.PI/2; roadZ.position.set(px - (blockW/2 + gap/2), 0.02, pz); this.scene.add(roadZ); roadZ.userData.hittable = true;
-
-        // park center, add more trees near park center (aber nicht in Gebäuden)
-        if (Math.abs(cx - cols/2) < 1 && Math.abs(cz - rows/2) < 1) {
-          for (let t = 0; t < 6; t++) { // Reduziert von 10 auf 6
-            let tx, tz;
-            let attempts = 0;
-            do {
-              tx = px + (Math.random()-0.5)*blockW*0.4; // Reduziert von 0.6 auf 0.4
-              tz = pz + (Math.random()-0.5)*blockD*0.4;
-              attempts++;
-            } while (attempts < 10); // Verhindere unendliche Schleifen
-            
-            const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.22, 2, 6), new THREE.MeshStandardMaterial({ color: 0x5b3b2b }));
-            trunk.position.set(tx, 1, tz);
-            trunk.castShadow = true;
-            trunk.receiveShadow = true;
-            const foliage = new THREE.Mesh(new THREE.SphereGeometry(1.4, 10, 8), new THREE.MeshStandardMaterial({ color: 0x2f8b2f }));
-            foliage.position.set(0, 1.6, 0); 
-            foliage.castShadow = true;
-            trunk.add(foliage); 
-            this.scene.add(trunk); 
-            trunk.userData.hittable = true;
-          }
-        }
+    // roads: one horizontal and one vertical strip per block, centered between blocks
+    for (const block of level.blocks) {
+      const px = block.x, pz = block.z;
+      const roadX = new THREE.Mesh(new THREE.PlaneGeometry(blockW + gap, gap), roadMat);
+      roadX.rotation.x = -Math.PI/2; roadX.position.set(px, 0.02, pz - (blockD/2 + gap/2)); this.world.add(roadX); roadX.userData.hittable = true;
+      const roadZ = new THREE.Mesh(new THREE.PlaneGeometry(gap, blockD + gap), roadMat);
+      roadZ.rotation.x = -Math.PI/2; roadZ.position.set(px - (blockW/2 + gap/2), 0.02, pz); this.world.add(roadZ); roadZ.userData.hittable = true;
+    }
 
-        // create 1-3 buildings per block, placed neatly
-        const count = 1 + Math.floor(Math.random()*2);
-        for (let i = 0; i < count; i++) {
-          const bw = 10 + Math.random()*12; const bd = 10 + Math.random()*10; const bh = 6 + Math.random()*18;
-          const color = palette[Math.floor(Math.random()*palette.length)];
-          const mat = new THREE.MeshStandardMaterial({ color, roughness: 0.6 });
-          const bx = px + (i === 0 ? -8 : 8) + (Math.random()-0.5)*6;
-          const bz = pz + (Math.random()-0.5)*6;
-          const box = new THREE.Mesh(new THREE.BoxGeometry(bw, bh, bd), mat);
-          box.position.set(bx, bh/2, bz);
+    for (const def of level.buildings) {
+      this._createBuilding(def);
+    }
 
-          // Multiple doors and entrances for better accessibility
-          const doorDepth = 0.12;
-          const doorGeo = new THREE.BoxGeometry(0.9, 1.95, doorDepth);
-          const doorMat = new THREE.MeshStandardMaterial({ color: 0x6b3b2b });
-          
-          // Haupteingang
-          const mainDoor = new THREE.Mesh(doorGeo, doorMat);
-          const face = Math.random() > 0.5 ? 'x+' : 'z+';
-          if (face === 'x+') {
-            mainDoor.position.set(bw/2 - doorDepth/2 - 0.02, -bh/2 + 1.0, 0);
-            mainDoor.rotation.y = -Math.PI/2;
-            mainDoor.userData.hinge = 'x+';
-          } else {
-            mainDoor.position.set(0, -bh/2 + 1.0, bd/2 - doorDepth/2 - 0.02);
-            mainDoor.userData.hinge = 'z+';
-          }
-          mainDoor.userData.isDoor = true; mainDoor.userData.open = false;
-          box.add(mainDoor);
-          
-          // Back entrance for larger buildings (sneak path)
-          if (bw > 12 && bd > 12) {
-            const backDoor = new THREE.Mesh(doorGeo, new THREE.MeshStandardMaterial({ color: 0x4a2a1a }));
-            if (face === 'x+') {
-              // Rückseite
-              backDoor.position.set(-bw/2 + doorDepth/2 + 0.02, -bh/2 + 1.0, bd/4);
-              backDoor.rotation.y = Math.PI/2;
-              backDoor.userData.hinge = 'x-';
-            } else {
-              // Rückseite
-              backDoor.position.set(-bw/4, -bh/2 + 1.0, -bd/2 + doorDepth/2 + 0.02);
-              backDoor.rotation.y = Math.PI;
-              backDoor.userData.hinge = 'z-';
-            }
-            backDoor.userData.isDoor = true; backDoor.userData.open = false;
-            backDoor.userData.isBackEntrance = true;
-            box.add(backDoor);
-          }
-          
-          // Side entrances for very large buildings
-          if (bw > 16 && bd > 16) {
-            const sideDoor = new THREE.Mesh(doorGeo, new THREE.MeshStandardMaterial({ color: 0x5a3a2a }));
-            sideDoor.position.set(bw/4, -bh/2 + 1.0, bd/2 - doorDepth/2 - 0.02);
-            sideDoor.userData.isDoor = true; sideDoor.userData.open = false;
-            sideDoor.userData.isSideEntrance = true;
-            box.add(sideDoor);
-          }
+    // sidewalks along roads
+    for (const s of level.sidewalks) {
+      const sw = new THREE.Mesh(new THREE.PlaneGeometry(s.width, s.depth), sidewalkMat);
+      sw.rotation.x = -Math.PI / 2;
+      sw.position.set(s.x, 0.02, s.z);
+      this.world.add(sw);
+      sw.userData.hittable = true;
+    }
 
-          // windows: verbesserte Fenster mit korrekter Positionierung und ohne Z-Fighting
-          const winMat = new THREE.MeshStandardMaterial({ 
-            color: 0x4488cc, 
-            emissive: 0x112244, 
-            roughness: 0.05, 
-            metalness: 0.1, 
-            transparent: true, 
-            opacity: 0.85,
-            envMapIntensity: 0.8
-          });
-          
-          const frameMat = new THREE.MeshStandardMaterial({ 
-            color: 0x2a2a2a, 
-            metalness: 0.4, 
-            roughness: 0.6 
-          });
-
-          // Symmetrische Fenster-Anordnung
-          const windowsPerRow = Math.floor(bw / 3.5); // Gleichmäßige Verteilung
-          const floorsWithWindows = Math.floor(bh / 3.5);
-          
-          for (let floor = 1; floor <= floorsWithWindows; floor++) {
-            for (let winPos = 0; winPos < windowsPerRow; winPos++) {
-              const ww = 1.2, wh = 1.4;
-              const wy = -bh/2 + floor * (bh / (floorsWithWindows + 1));
-              
-              // Gleichmäßige Verteilung der Fenster
-              const xOffset = -bw/2 + (bw / (windowsPerRow + 1)) * (winPos + 1);
-              
-              // Vorderseite (Z+) - Fenster nach außen versetzt
-              const frontWindow = new THREE.Group();
-              
-              // Fensterrahmen tief in der Wand
-              const frontFrame = new THREE.Mesh(new THREE.BoxGeometry(ww + 0.15, wh + 0.15, 0.12), frameMat);
-              // move frame slightly outwards to avoid z-fighting with glass
-              frontFrame.position.set(xOffset, wy, bd/2 + 0.06);
-              frontWindow.add(frontFrame);
-              
-              // Fensterglas leicht nach außen versetzt (verhindert Z-Fighting)
-              const frontGlass = new THREE.Mesh(new THREE.PlaneGeometry(ww - 0.1, wh - 0.1), winMat);
-              frontGlass.position.set(xOffset, wy, bd/2 + 0.08);
-              frontWindow.add(frontGlass);
-              
-              // Fensterkreuz
-              const frontCrossV = new THREE.Mesh(new THREE.BoxGeometry(0.04, wh - 0.1, 0.02), frameMat);
-              frontCrossV.position.set(xOffset, wy, bd/2 + 0.08);
-              frontWindow.add(frontCrossV);
-              
-              const frontCrossH = new THREE.Mesh(new THREE.BoxGeometry(ww - 0.1, 0.04, 0.02), frameMat);
-              frontCrossH.position.set(xOffset, wy, bd/2 + 0.08);
-              frontWindow.add(frontCrossH);
-              
-              box.add(frontWindow);
-              
-              // Rückseite (Z-) 
-              const backWindow = new THREE.Group();
-              
-              const backFrame = new THREE.Mesh(new THREE.BoxGeometry(ww + 0.15, wh + 0.15, 0.12), frameMat);
-              // move frame slightly outwards on the back face
-              backFrame.position.set(xOffset, wy, -bd/2 - 0.06);
-              backWindow.add(backFrame);
-              
-              const backGlass = new THREE.Mesh(new THREE.PlaneGeometry(ww - 0.1, wh - 0.1), winMat);
-              backGlass.position.set(xOffset, wy, -bd/2 - 0.08);
-              backGlass.rotation.y = Math.PI;
-              backWindow.add(backGlass);
-              
-              box.add(backWindow);
-              
-              // Seitenfenster nur bei größeren Gebäuden
-              if (bw > 12) {
-                // Linke Seite (X-)
-                const leftWindow = new THREE.Group();
-                
-                const leftFrame = new THREE.Mesh(new THREE.BoxGeometry(0.12, wh + 0.15, ww + 0.15), frameMat);
-                // move left frame a bit outward on negative X face
-                leftFrame.position.set(-bw/2 - 0.06, wy, xOffset * 0.8);
-                leftWindow.add(leftFrame);
-                
-                const leftGlass = new THREE.Mesh(new THREE.PlaneGeometry(ww - 0.1, wh - 0.1), winMat);
-                leftGlass.position.set(-bw/2 - 0.05, wy, xOffset * 0.8);
-                leftGlass.rotation.y = Math.PI/2;
-                leftWindow.add(leftGlass);
-                
-                box.add(leftWindow);
-                
-                // Rechte Seite (X+)
-                const rightWindow = new THREE.Group();
-                
-                const rightFrame = new THREE.Mesh(new THREE.BoxGeometry(0.12, wh + 0.15, ww + 0.15), frameMat);
-                // move right frame a bit outward on positive X face
-                rightFrame.position.set(bw/2 + 0.06, wy, xOffset * 0.8);
-                rightWindow.add(rightFrame);
-                
-                const rightGlass = new THREE.Mesh(new THREE.PlaneGeometry(ww - 0.1, wh - 0.1), winMat);
-                rightGlass.position.set(bw/2 + 0.05, wy, xOffset * 0.8);
-                rightGlass.rotation.y = -Math.PI/2;
-                rightWindow.add(rightGlass);
-                
-                box.add(rightWindow);
-              }
-            }
-          }
+    // trees, street lamps and benches
+    for (const prop of level.props) {
+      this._createProp(prop);
+    }
 
-          // roof and small details
-          const roof = new THREE.Mesh(new THREE.BoxGeometry(bw*1.02, 0.4, bd*1.02), new THREE.MeshStandardMaterial({ color: 0x2e2e2e, roughness: 0.7 }));
-          roof.position.set(0, bh/2 + 0.2, 0); 
-          roof.castShadow = true;
-          roof.receiveShadow = true;
-          box.add(roof);
+    for (const t of level.targets) {
+      this._createTarget(t);
+    }
+    this._updateScore();
 
-          // Balkone mit besserer Logik - mehrere Balkone möglich
-          let climbable = false;
-          const numFloors = Math.floor(bh / 3);
-          
-          for (let floorLevel = 1; floorLevel < numFloors; floorLevel++) {
-            if (Math.random() > 0.6) { // 40% Chance für Balkon pro Stockwerk
-              climbable = true;
-              const balconyY = -bh/2 + (floorLevel * (bh / numFloors));
-              
-              // Balkon-Plattform
-              const balcony = new THREE.Mesh(
-                new THREE.BoxGeometry(Math.min(4, bw*0.7), 0.3, 2.5), 
-                new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.6 })
-              );
-              balcony.position.set(bw/2 - 0.2, balconyY, 0);
-              balcony.castShadow = true;
-              balcony.receiveShadow = true;
-              box.add(balcony);
-              
-              // Balkon-Geländer
-              const railingMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-              
-              // Vorderes Geländer
-              const frontRailing = new THREE.Mesh(new THREE.BoxGeometry(balcony.geometry.parameters.width, 1.0, 0.1), railingMat);
-              frontRailing.position.set(0, 0.65, balcony.geometry.parameters.depth/2 - 0.05);
-              balcony.add(frontRailing);
-              
-              // Seitliche Geländer
-              const leftRailing = new THREE.Mesh(new THREE.BoxGeometry(0.1, 1.0, balcony.geometry.parameters.depth), railingMat);
-              leftRailing.position.set(-balcony.geometry.parameters.width/2 + 0.05, 0.65, 0);
-              balcony.add(leftRailing);
-              
-              const rightRailing = new THREE.Mesh(new THREE.BoxGeometry(0.1, 1.0, balcony.geometry.parameters.depth), railingMat);
-              rightRailing.position.set(balcony.geometry.parameters.width/2 - 0.05, 0.65, 0);
-              balcony.add(rightRailing);
-              
-              // Balcony door
-              const balconyDoorGeo = new THREE.BoxGeometry(0.9, 2.0, 0.12);
-              const balconyDoorMat = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
-              const balconyDoor = new THREE.Mesh(balconyDoorGeo, balconyDoorMat);
-              balconyDoor.position.set(bw/2 - 0.12, balconyY, 0);
-              balconyDoor.userData.isDoor = true;
-              balconyDoor.userData.isBalconyDoor = true;
-              balconyDoor.userData.open = false;
-              balconyDoor.castShadow = true;
-              box.add(balconyDoor);
-              
-              balcony.userData.climbable = true;
-            }
-          }
+    // navigation grid for enemy pathfinding (roads preferred, buildings blocked)
+    this.navGrid = NavGrid.fromLevel(level, this.collision.entries);
+    // cover points along building walls, benches, trees and the fountain
+    this.coverMap = CoverMap.fromObstacles(this.collision.entries, (x, z) => !this.collision.overlapsCircle(x, z, ENEMY_RADIUS));
+    // gang turf per city block
+    this.territory = TerritoryMap.fromLevel(level, Diplomacy.gangs());
+    this._territoryTimer = 0;
+    this._squadTimer = TERRITORY.attackEvery;
+    this._playerBlock = null;
+    for (const enemy of this.enemies) {
+      enemy.userData.path = null;
+      this._resetTactics(enemy);
+    }
+  }
 
-          box.userData.hittable = true;
-          box.castShadow = true; // buildings cast shadows
-          box.receiveShadow = true; // buildings receive shadows
-          
-          // enable shadows for building components
-          // if main door exists, enable shadows for it
-          if (typeof mainDoor !== 'undefined' && mainDoor) {
-            mainDoor.castShadow = true;
-            mainDoor.receiveShadow = true;
-          }
-          
-          this.scene.add(box);
-          // compute bounding box for collisions
-          const bb = new THREE.Box3().setFromObject(box);
-          this.buildingBoxes.push({ box3: bb, topY: bb.max.y, climbable });
+  _createBuilding(def) {
+    const bw = def.width, bd = def.depth, bh = def.height;
+    const bx = def.x, bz = def.z;
+    const mat = new THREE.MeshStandardMaterial({ color: def.color, roughness: 0.6 });
+    const box = new THREE.Group();
+    box.position.set(bx, bh/2, bz);
+    box.rotation.y = def.rotation || 0;
+    box.userData.levelDef = def;
+    // building-local (x, z) offset -> world position, for interior parts that are not children of the box
+    const cos = Math.cos(box.rotation.y), sin = Math.sin(box.rotation.y);
+    const local = (lx, y, lz) => new THREE.Vector3(bx + lx * cos + lz * sin, y, bz - lx * sin + lz * cos);
+
+    // hollow shell: outer walls, storey slabs, roof, shaft and room walls from the interior layout
+    const interior = new Interior(def);
+    const solidMats = {
+      wall: mat,
+      slab: new THREE.MeshStandardMaterial({ color: 0x8a8a8a, roughness: 0.9 }),
+      room: new THREE.MeshStandardMaterial({ color: 0xcfcfcf, roughness: 0.9 }),
+      shaft: new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.6 }),
+      roof: new THREE.MeshStandardMaterial({ color: 0x2e2e2e, roughness: 0.7 }),
+      balcony: new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.6 }),
+      railing: new THREE.MeshStandardMaterial({ color: 0x333333 })
+    };
+    // one merged mesh per material keeps the draw calls per building low
+    const parts = {};
+    for (const s of interior.solids) {
+      if (s.kind === 'door' || s.kind === 'window') continue; // Tür-Meshes und Scheiben folgen unten
+      const geo = new THREE.BoxGeometry(s.x1 - s.x0, s.y1 - s.y0, s.z1 - s.z0);
+      geo.translate((s.x0 + s.x1) / 2, (s.y0 + s.y1) / 2 - bh/2, (s.z0 + s.z1) / 2);
+      (parts[s.kind] || (parts[s.kind] = [])).push(geo);
+    }
+    for (const kind in parts) {
+      const part = new THREE.Mesh(mergeGeometries(parts[kind]), solidMats[kind]);
+      for (const geo of parts[kind]) geo.dispose();
+      part.userData.hittable = true;
+      if (kind === 'railing') part.userData.material = 'railing';
+      part.castShadow = true; // buildings cast shadows
+      part.receiveShadow = true; // buildings receive shadows
+      box.add(part);
+    }
 
-          // create interior: visible stairs, floor rooms, and elevator shaft + car
-          const floors = Math.max(2, Math.floor(bh / 6));
-          const stairWidth = Math.min(2.2, bw * 0.4);
-          const stairs = [];
-          // elevator shaft and car
-          const elevShaft = new THREE.Mesh(new THREE.BoxGeometry(1.2, bh * 0.9, 1.2), new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.6 }));
-          elevShaft.position.set(box.position.x, 0, box.position.z - bd/4);
-          this.scene.add(elevShaft);
-          const carHeight = bh / Math.max(1, floors);
-          const elevCar = new THREE.Mesh(new THREE.BoxGeometry(1.0, carHeight * 0.9, 1.0), new THREE.MeshStandardMaterial({ color: 0x111111 }));
-          elevCar.position.set(elevShaft.position.x, -bh/2 + carHeight/2, elevShaft.position.z);
-          this.scene.add(elevCar);
-
-          for (let f = 0; f < floors; f++) {
-            const sy = -bh/2 + (f + 0.5) * (bh / Math.max(1, floors));
-            // visible stair landing
-            const step = new THREE.Mesh(new THREE.BoxGeometry(stairWidth, 0.3, 2.2), new THREE.MeshStandardMaterial({ color: 0x6b6b6b }));
-            step.position.set(bx - bw/4, sy - 0.2, bz);
-            this.scene.add(step);
-            // simple floor room
-            const room = new THREE.Mesh(new THREE.BoxGeometry(bw*0.6, (bh / Math.max(1, floors)) * 0.85, bd*0.6), new THREE.MeshStandardMaterial({ color: 0xcfcfcf, roughness: 0.9 }));
-            room.position.set(box.position.x + bw*0.15, sy, box.position.z);
-            this.scene.add(room);
-            // room door facing corridor
-            const roomDoor = new THREE.Mesh(new THREE.PlaneGeometry(1.0, 1.8), new THREE.MeshStandardMaterial({ color: 0x1e1e1e }));
-            roomDoor.position.set(room.position.x + (bw*0.6)/2 - 0.02, sy - (bh / Math.max(1,floors))/2 + 0.9, room.position.z);
-            roomDoor.rotation.y = -Math.PI/2;
-            this.scene.add(roomDoor);
-            // occasional target in room
-            if (Math.random() > 0.5) {
-              const targ = new THREE.Mesh(new THREE.SphereGeometry(0.35, 10, 10), new THREE.MeshStandardMaterial({ color: 0xff4444 }));
-              targ.position.set(room.position.x, sy - 0.2, room.position.z);
-              this.scene.add(targ);
-              this.targets.push({ mesh: targ, alive: true });
-            }
-            // invisible stair collision helper for climbing/stepping
-            const stairMesh = new THREE.Mesh(new THREE.BoxGeometry(stairWidth, 0.4, 1.6), new THREE.MeshStandardMaterial({ color: 0x000000, opacity: 0.0, transparent: true }));
-            stairMesh.position.set(bx - bw/4, sy - 0.1, bz);
-            stairMesh.visible = false;
-            this.scene.add(stairMesh);
-            const sbb = new THREE.Box3().setFromObject(stairMesh);
-            this.stairBoxes.push({ box3: sbb, topY: sbb.max.y });
-            stairs.push(stairMesh);
-          }
+    // Multiple doors and entrances, hinged at one edge of their opening so they swing inwards
+    const doorDepth = 0.12;
+    const doorW = INTERIOR.doorWidth - 0.05, doorH = INTERIOR.doorHeight - 0.05;
+    const doorGeo = new THREE.BoxGeometry(doorW, doorH, doorDepth).translate(-doorW/2, 0, 0);
+    const doorColors = { main: 0x6b3b2b, back: 0x4a2a1a, side: 0x5a3a2a };
+    const inset = INTERIOR.wall/2;
+    let mainDoor = null;
+    def.doors.forEach((d, i) => {
+      const door = new THREE.Mesh(doorGeo, new THREE.MeshStandardMaterial({ color: doorColors[d.kind] || doorColors.side }));
+      const y = -bh/2 + doorH/2;
+      switch (d.face) {
+        case 'x+': door.position.set(bw/2 - inset, y, d.offset); door.rotation.y = -Math.PI/2; break;
+        case 'x-': door.position.set(-bw/2 + inset, y, d.offset); door.rotation.y = Math.PI/2; break;
+        case 'z-': door.position.set(d.offset, y, -bd/2 + inset); door.rotation.y = Math.PI; break;
+        default: door.position.set(d.offset, y, bd/2 - inset);
+      }
+      // Scharnier an der Kante der Öffnung
+      door.position.x += Math.cos(door.rotation.y) * INTERIOR.doorWidth/2;
+      door.position.z -= Math.sin(door.rotation.y) * INTERIOR.doorWidth/2;
+      door.userData.hinge = d.face;
+      door.userData.isDoor = true; door.userData.open = false;
+      door.userData.closedRotation = door.rotation.y;
+      if (d.kind === 'back') door.userData.isBackEntrance = true;
+      if (d.kind === 'side') door.userData.isSideEntrance = true;
+      door.userData.hittable = true;
+      door.userData.material = 'door';
+      door.castShadow = true;
+      door.receiveShadow = true;
+      box.add(door);
+      interior.doors[i].mesh = door;
+      if (!mainDoor && d.kind === 'main') mainDoor = door;
+    });
+    if (!mainDoor && interior.doors.length) mainDoor = interior.doors[0].mesh;
 
-          // save door world position and interior teleports
-          const doorWorld = (typeof mainDoor !== 'undefined' && mainDoor) ? mainDoor.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3(box.position.x, 0, box.position.z);
-          const insidePos = new THREE.Vector3(box.position.x, 1.2, box.position.z);
-          this.buildingDoors.push({ doorPos: doorWorld.clone(), insidePos, outsidePos: new THREE.Vector3(bx + 2, 1.6, bz + 2), building: box, door: mainDoor, elevator: { shaft: elevShaft, car: elevCar, floors, currentFloor: 0, carHeight: carHeight } });
-          this.buildingPositions.push(box.position.clone());
-        }
+    // windows: verbesserte Fenster mit korrekter Positionierung und ohne Z-Fighting
+    const winMat = new THREE.MeshStandardMaterial({ 
+      color: 0x4488cc, 
+      emissive: 0x112244, 
+      roughness: 0.05, 
+      metalness: 0.1, 
+      transparent: true, 
+      opacity: 0.85,
+      envMapIntensity: 0.8
+    });
+    
+    const frameMat = new THREE.MeshStandardMaterial({ 
+      color: 0x2a2a2a, 
+      metalness: 0.4, 
+      roughness: 0.6 
+    });
+
+    // Fenster sitzen in den Öffnungen, die das Layout in den Außenwänden lässt (interior.windows);
+    // Rahmen und Scheiben eines Gebäudes werden je zu einem Mesh zusammengefasst
+    const frames = [], panes = [];
+    for (const w of interior.windows) {
+      const ww = w.width, wh = w.height;
+      const wy = w.y - bh/2;
+      const side = w.face[0] === 'x';
+      const sign = w.face[1] === '+' ? 1 : -1;
+      const out = (side ? bw : bd) / 2;
+      // Rahmen um die Öffnung, Glas leicht nach außen versetzt (verhindert Z-Fighting)
+      const bars = [[0, (wh + 0.075) / 2, ww + 0.15, 0.075], [0, -(wh + 0.075) / 2, ww + 0.15, 0.075],
+        [(ww + 0.075) / 2, 0, 0.075, wh], [-(ww + 0.075) / 2, 0, 0.075, wh]];
+      // Fensterkreuz vorne
+      if (w.face === 'z+') bars.push([0, 0, 0.04, wh - 0.1, 0.02], [0, 0, ww - 0.1, 0.04, 0.02]);
+      for (const [along, up, len, high, thick = 0.12] of bars) {
+        const depth = thick === 0.12 ? out + 0.06 : out + 0.08;
+        frames.push(side
+          ? new THREE.BoxGeometry(thick, high, len).translate(sign * depth, wy + up, w.at + along)
+          : new THREE.BoxGeometry(len, high, thick).translate(w.at + along, wy + up, sign * depth));
       }
+      const pane = new THREE.PlaneGeometry(ww - 0.1, wh - 0.1);
+      if (side) pane.rotateY(sign * Math.PI/2).translate(sign * (out + 0.05), wy, w.at);
+      else if (sign < 0) pane.rotateY(Math.PI).translate(w.at, wy, -(out + 0.08));
+      else pane.translate(w.at, wy, out + 0.08);
+      panes.push(pane);
+    }
+    if (panes.length) {
+      const frame = new THREE.Mesh(mergeGeometries(frames), frameMat);
+      const glass = new THREE.Mesh(mergeGeometries(panes), winMat);
+      for (const geo of [...frames, ...panes]) geo.dispose();
+      // Scheiben lassen Schüsse durch (PENETRATION)
+      glass.userData.hittable = true;
+      glass.userData.material = 'glass';
+      box.add(frame);
+      box.add(glass);
     }
 
-    // sidewalks along roads
-    for (let i = -6; i <= 6; i += 6) {
-      const sw = new THREE.Mesh(new THREE.PlaneGeometry(1000, 3), sidewalkMat);
-      sw.rotation.x = -Math.PI / 2;
-      sw.position.set(i * 10 - 100, 0.02, -100);
-      this.scene.add(sw);
-      sw.userData.hittable = true;
+    // Balkone: Plattform und Geländer kommen aus dem Layout, hier nur die Balkontür
+    const climbable = def.balconies.length > 0;
+    for (const b of interior.balconies) {
+      const balconyDoor = new THREE.Mesh(new THREE.BoxGeometry(0.9, 2.0, 0.12), new THREE.MeshStandardMaterial({ color: 0x8b4513 }));
+      balconyDoor.position.set(bw/2 + 0.06, b.y + 1.0 - bh/2, 0);
+      balconyDoor.rotation.y = Math.PI/2;
+      balconyDoor.userData.isDoor = true;
+      balconyDoor.userData.isBalconyDoor = true;
+      balconyDoor.userData.open = false;
+      balconyDoor.castShadow = true;
+      box.add(balconyDoor);
     }
 
-    // add street lamps and benches for charm (nur auf Gehwegen, nicht auf Straßen)
-    const lampMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
-    for (let i = -6; i <= 6; i += 4) {
-      const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 3, 8), lampMat);
-      pole.position.set(i * 12, 1.5, -25); // Verschoben von Straße weg
+    this.world.add(box);
+    box.updateMatrixWorld(true);
+    // compute bounding box for collisions
+    const bb = new THREE.Box3().setFromObject(box);
+    const entry = { box3: bb, topY: bb.max.y, climbable, kind: 'building', interior, raycast: (from, to) => interior.raycast(from, to) };
+    interior.entry = entry;
+    this.interiors.push(interior);
+    this.buildingBoxes.push(entry);
+    this.collision.insert(entry);
+
+    // stair flights between the storeys and the elevator (car, gates and buttons)
+    const floors = interior.floors;
+    if (interior.shaft) {
+      const s = interior.shaft;
+      const elevator = new Elevator(interior);
+      elevator.buttons = []; // call buttons and panel, lit while their floor is requested
+      interior.elevator = elevator;
+      const sw = s.x1 - s.x0 - 0.2, sd = s.z1 - s.z0 - 0.2;
+      const carMat = new THREE.MeshStandardMaterial({ color: 0x555a60, metalness: 0.5, roughness: 0.4 });
+      const car = new THREE.Group();
+      const carFloor = new THREE.Mesh(new THREE.BoxGeometry(sw, 0.1, sd), carMat);
+      carFloor.position.y = -0.05;
+      const carTop = new THREE.Mesh(new THREE.BoxGeometry(sw, 0.1, sd), carMat);
+      carTop.position.y = INTERIOR.doorHeight + 0.1;
+      car.add(carFloor, carTop);
+      // Bedienfeld an der Innenwand (x+), ein Knopf je Stockwerk von unten nach oben
+      const panel = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.2 + floors * 0.12, 0.25), new THREE.MeshStandardMaterial({ color: 0x1a1a1a }));
+      panel.position.set(sw / 2 - 0.02, 1.2, sd / 2 - 0.2);
+      car.add(panel);
+      const buttonGeo = new THREE.BoxGeometry(0.03, 0.08, 0.08);
+      const button = (floor, inCar) => {
+        const b = new THREE.Mesh(buttonGeo, new THREE.MeshStandardMaterial({ color: 0xdddddd, emissive: 0x000000 }));
+        b.userData.elevatorButton = { elevator, floor, inCar };
+        elevator.buttons.push(b);
+        this.elevatorButtons.push(b);
+        return b;
+      };
+      for (let f = 0; f < floors; f++) {
+        const b = button(f, true);
+        b.position.set(-0.03, -floors * 0.06 + 0.06 + f * 0.12, 0);
+        panel.add(b);
+      }
+      car.position.set(elevator.center.x, 0, elevator.center.z);
+      car.rotation.y = box.rotation.y;
+      this.world.add(car);
+      elevator.mesh = car;
+
+      // Schiebetüren je Stockwerk (schrumpfen zur x+ Seite hin) und Rufknöpfe daneben
+      const gateGeo = new THREE.BoxGeometry(sw, INTERIOR.doorHeight, 0.06).translate(-sw / 2, 0, 0);
+      const gateMat = new THREE.MeshStandardMaterial({ color: 0x8c9096, metalness: 0.6, roughness: 0.3 });
+      for (const gate of interior.gates) {
+        const y = interior.floorY(gate.floor) - bh/2;
+        const mesh = new THREE.Mesh(gateGeo, gateMat);
+        mesh.position.set(s.x1 - 0.1, y + INTERIOR.doorHeight / 2, s.z1 - 0.05);
+        mesh.userData.hittable = true;
+        mesh.userData.material = 'door';
+        mesh.userData.open = false;
+        box.add(mesh);
+        gate.mesh = mesh;
+        const call = button(gate.floor, false);
+        call.position.set(s.x1 + 0.02, y + 1.2, s.z1 - 0.2);
+        box.add(call);
+      }
+      this.elevators.push(elevator);
+    }
+
+    const stairMat = new THREE.MeshStandardMaterial({ color: 0x6b6b6b });
+    for (const f of interior.flights) {
+      // eine Rampe je Treppenlauf, steigt nach z+ (der letzte endet auf dem Dach)
+      const run = f.z1 - f.z0, rise = f.y1 - f.y0;
+      const flight = new THREE.Mesh(new THREE.BoxGeometry(f.x1 - f.x0, 0.2, Math.hypot(run, rise)), stairMat);
+      flight.position.set((f.x0 + f.x1) / 2, (f.y0 + f.y1) / 2 - 0.1 - bh/2, (f.z0 + f.z1) / 2);
+      flight.rotation.x = -Math.atan2(rise, run);
+      flight.userData.hittable = true;
+      flight.castShadow = true;
+      flight.receiveShadow = true;
+      box.add(flight);
+    }
+
+    // occasional target in a room
+    const room = interior.room;
+    for (const r of def.interior.rooms) {
+      if (!r.target || r.floor < 0 || r.floor >= floors) continue;
+      const targ = new THREE.Mesh(new THREE.SphereGeometry(0.35, 10, 10), new THREE.MeshStandardMaterial({ color: 0xff4444 }));
+      targ.position.copy(local((room.x0 + room.x1) / 2, interior.floorY(r.floor) + 1.3, (room.z0 + room.z1) / 2));
+      this.world.add(targ);
+      this.targets.push({ mesh: targ, alive: true });
+    }
+
+    // save door world position (main entrance) for the interaction prompt
+    const doorWorld = mainDoor ? mainDoor.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3(box.position.x, 0, box.position.z);
+    this.buildingDoors.push({ doorPos: doorWorld.clone(), building: box, door: mainDoor, interior, entry });
+    this.buildingPositions.push(box.position.clone());
+    return box;
+  }
+
+  _createProp(prop) {
+    if (prop.type === 'tree') {
+      const radius = prop.radius || 1.2;
+      const trunk = new THREE.Mesh(new THREE.CylinderGeometry(radius > 1.3 ? 0.18 : 0.16, 0.22, 2, 6), new THREE.MeshStandardMaterial({ color: 0x5b3b2b }));
+      trunk.position.set(prop.x, 1, prop.z);
+      trunk.castShadow = true;
+      trunk.receiveShadow = true;
+      const foliage = new THREE.Mesh(new THREE.SphereGeometry(radius, radius > 1.3 ? 10 : 8, 8), new THREE.MeshStandardMaterial({ color: 0x2f8b2f }));
+      foliage.position.set(0, 1.6, 0);
+      foliage.castShadow = true;
+      foliage.userData.material = 'foliage';
+      trunk.add(foliage);
+      trunk.rotation.y = prop.rotation || 0;
+      this.world.add(trunk);
+      trunk.userData.hittable = true;
+      trunk.userData.propType = 'tree';
+      trunk.userData.levelDef = prop;
+      // only the trunk blocks movement, the crown is above head height
+      this.collision.insert({ box3: new THREE.Box3(new THREE.Vector3(prop.x - 0.22, 0, prop.z - 0.22), new THREE.Vector3(prop.x + 0.22, 2, prop.z + 0.22)), kind: 'tree', topY: 2 });
+      return trunk;
+    }
+    if (prop.type === 'lamp') {
+      if (!this._lampMat) this._lampMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
+      const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 3, 8), this._lampMat);
+      pole.position.set(prop.x, 1.5, prop.z);
       pole.castShadow = true;
       pole.receiveShadow = true;
-      this.scene.add(pole);
+      // bulb sits on top of the pole (local offset keeps it attached when moved)
       const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.18, 8, 8), new THREE.MeshBasicMaterial({ color: 0xfff1b6 }));
-      bulb.position.set(pole.position.x, 2.6, pole.position.z);
-      this.scene.add(bulb);
+      bulb.position.set(0, 1.1, 0);
+      pole.add(bulb);
+      pole.rotation.y = prop.rotation || 0;
+      pole.scale.setScalar(prop.scale || 1);
+      pole.position.y = 1.5 * pole.scale.y;
+      this.world.add(pole);
       pole.userData.hittable = true;
+      pole.userData.propType = 'lamp';
+      pole.userData.levelDef = prop;
+      this.collision.insert({ box3: new THREE.Box3().setFromObject(pole), kind: 'lamp', topY: 3 * pole.scale.y });
+      return pole;
     }
-
-    // benches (nur in Parks und Gehwegen)
-    const benchMat = new THREE.MeshStandardMaterial({ color: 0x6b3b2b });
-    for (let i = 0; i < 8; i++) { // Reduziert von 12 auf 8
-      const bx = -80 + i * 20;
-      const bz = -15 + (i % 2) * 10; // Weiter von Straße weg
-      const bench = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.3, 0.6), benchMat);
-      bench.position.set(bx, 0.4, bz);
+    if (prop.type === 'bench') {
+      if (!this._benchMat) this._benchMat = new THREE.MeshStandardMaterial({ color: 0x6b3b2b });
+      const bench = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.3, 0.6), this._benchMat);
+      bench.position.set(prop.x, 0.4, prop.z);
+      bench.rotation.y = prop.rotation || 0;
+      bench.scale.setScalar(prop.scale || 1);
       bench.castShadow = true;
       bench.receiveShadow = true;
-      this.scene.add(bench);
+      this.world.add(bench);
+      bench.userData.hittable = true;
+      bench.userData.material = 'wood';
+      bench.userData.propType = 'bench';
+      bench.userData.levelDef = prop;
+      const benchBox = new THREE.Box3().setFromObject(bench);
+      this.collision.insert({ box3: benchBox, kind: 'bench', topY: benchBox.max.y });
+      return bench;
     }
+    return null;
+  }
+  // Zufälliger Spawn-Punkt aus dem Level
+  _placePlayerAtSpawn() {
+    const spawns = this.level.playerSpawns;
+    const spawn = spawns[Math.floor(this.random() * spawns.length)];
+    this.yawObject.position.set(spawn.x, spawn.y, spawn.z);
+    if (this.controller) this.controller.reset();
+  }
 
-    // add some trees along sidewalks (aber nicht auf Straßen)
-    for (let i = 0; i < 25; i++) { // Reduziert von 40 auf 25
-      let x, z;
-      let onRoad = true;
-      let attempts = 0;
-      
-  // Try to find a position that is not on a road or inside a building
-      do {
-        x = -150 + Math.random() * 300;
-        z = -150 + Math.random() * 300;
-        
-        // Prüfe ob auf Straße (vereinfacht)
-        const roadSpacing = 44;
-        const isOnHorizontalRoad = Math.abs((z + 100) % roadSpacing - roadSpacing/2) < 4;
-        const isOnVerticalRoad = Math.abs(x % roadSpacing - roadSpacing/2) < 4;
-        onRoad = isOnHorizontalRoad || isOnVerticalRoad;
-        
-        attempts++;
-      } while (onRoad && attempts < 20);
-      
-      if (!onRoad) {
-        const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.22, 2, 6), new THREE.MeshStandardMaterial({ color: 0x5b3b2b }));
-        trunk.position.set(x, 1, z);
-        trunk.castShadow = true;
-        trunk.receiveShadow = true;
-        const foliage = new THREE.Mesh(new THREE.SphereGeometry(1.2, 8, 8), new THREE.MeshStandardMaterial({ color: 0x2f8b2f }));
-        foliage.position.set(0, 1.6, 0);
-        foliage.castShadow = true;
-        trunk.add(foliage);
-        this.scene.add(trunk);
-        trunk.userData.hittable = true;
-      }
+  // returns a JSON-serialisable copy of the current level (generated or loaded)
+  exportLevel() {
+    return JSON.parse(JSON.stringify(this.level));
+  }
+
+  // replace the current city with a level (JSON string or object); throws on invalid data
+  loadLevel(data) {
+    const level = parseLevel(data);
+    if (this.insideBuilding) this._leaveBuilding();
+    this._clearWorld();
+    for (const e of this.enemies) this.scene.remove(e);
+    this.enemies = [];
+    this.squads = [];
+    this.followers = [];
+    this.boss = null;
+    for (const g of this.grenades) this.scene.remove(g.mesh);
+    this.grenades = [];
+    for (const d of this.ammoDrops) this.scene.remove(d.mesh);
+    this.ammoDrops = [];
+    for (const b of this.bullets) this.scene.remove(b.mesh);
+    this.bullets = [];
+
+    if (level.seed !== null && level.seed !== undefined) {
+      this.seed = level.seed;
+      this.random = createRng(this.seed);
+    }
+    this._setupWorld(level);
+    this._placePlayerAtSpawn();
+    if (this.started) this._spawnEnemies(16);
+  }
+
+  // switch between playing and the level editor
+  toggleEditor() {
+    if (!this.editor) return;
+    this.editor.toggle();
+    if (this.weapon) this.weapon.group.visible = !this.editor.active;
+  }
+
+  // rebuild the meshes of the current level after its data was edited (keeps enemies and player)
+  rebuildWorld() {
+    const territory = this.territory;
+    this._clearWorld();
+    this._setupWorld(this.level);
+    // die Reviere bleiben, Trupps ziehen zum selben Block der neuen Karte weiter
+    if (!territory) return;
+    this.territory.adopt(territory);
+    for (const enemy of this.enemies) {
+      const data = enemy.userData;
+      if (data.objective) data.objective = this.territory.match(data.objective);
     }
   }
+
+  // tear down all level meshes and the collision data derived from them
+  _clearWorld() {
+    this.scene.remove(this.world);
+    // GPU-Puffer freigeben; nur was über Rebuilds geteilt wird bleibt
+    const shared = new Set([this._targetGeo, this._lampMat, this._benchMat]);
+    const disposed = new Set();
+    const dispose = (resource) => {
+      if (!resource || shared.has(resource) || disposed.has(resource)) return;
+      disposed.add(resource);
+      resource.dispose();
+    };
+    this.world.traverse((obj) => {
+      dispose(obj.geometry);
+      for (const mat of [].concat(obj.material || [])) {
+        dispose(mat.map);
+        dispose(mat);
+      }
+    });
+    this.targets = [];
+    this.buildingBoxes = [];
+    this.buildingDoors = [];
+    this.buildingPositions = [];
+    this.interiors = [];
+    this.elevators = [];
+    this.elevatorButtons = [];
+    this._hittablesCache = null;
+  }
+
   _setupUI() {
     this.targetsEl = document.getElementById('targets');
     this.weaponEl = document.getElementById('current-weapon');
+    this.hitMarkerEl = document.getElementById('hit-marker');
+    this.ammoEl = document.getElementById('ammo');
+    this.ammoMagEl = document.getElementById('ammo-mag');
+    this.ammoReserveEl = document.getElementById('ammo-reserve');
     this.healthEl = document.getElementById('health-value');
     this.healthFillEl = document.getElementById('health-fill');
+    this.staminaFillEl = document.getElementById('stamina-fill');
     this.moneyEl = document.getElementById('money-value');
+    this.bossBarEl = document.getElementById('boss-bar');
+    this.bossNameEl = document.getElementById('boss-name');
+    this.bossFillEl = document.getElementById('boss-fill');
+    const hint = document.getElementById('weapon-hint');
+    if (hint) hint.textContent = `1-${this.weapons[this.weapons.length - 1].slot} / Q / Wheel: Switch weapons | R: Reload | B: Shop | J: Factions`;
     this._updateScore();
     this._updateWeaponDisplay();
+    this._updateAmmoDisplay();
     this._updateHealthDisplay();
     this._updateMoneyDisplay();
 
@@ -642,11 +738,31 @@ export default class Game {
       list.appendChild(btn);
       if (this.unlocked[id]) { btn.disabled = true; btn.textContent = `${label} (Owned)`; }
     };
-    addBtn('smg', 'SMG', 120);
-    addBtn('shotgun', 'Shotgun', 150);
-    addBtn('sniper', 'Sniper', 200);
+    for (const w of [...this.weapons].sort((a, b) => a.price - b.price)) addBtn(w.id, w.name, w.price);
+    // reserve ammo for the weapon in hand, label follows the weapon (_updateAmmoShop)
+    this.ammoBtn = document.createElement('button');
+    this.ammoBtn.style.padding = '10px'; this.ammoBtn.style.fontSize = '14px';
+    this.ammoBtn.onclick = () => { this._buyAmmo(); };
+    list.appendChild(this.ammoBtn);
+    this._updateAmmoShop();
     document.body.appendChild(this.shopEl);
 
+    // faction overview (hidden by default): reputation, standing, join / leave
+    this.factionEl = document.createElement('div');
+    this.factionEl.style.position = 'fixed';
+    this.factionEl.style.left = '50%';
+    this.factionEl.style.top = '50%';
+    this.factionEl.style.transform = 'translate(-50%,-50%)';
+    this.factionEl.style.padding = '14px';
+    this.factionEl.style.minWidth = '360px';
+    this.factionEl.style.background = 'rgba(10,10,12,0.95)';
+    this.factionEl.style.color = '#fff';
+    this.factionEl.style.border = '1px solid #333';
+    this.factionEl.style.display = 'none';
+    this.factionEl.style.zIndex = 9999;
+    document.body.appendChild(this.factionEl);
+    this._updateFactionPanel();
+
     // mini-map canvas (top-left) mit verbesserter Funktionalität
     this.miniCanvas = document.createElement('canvas');
     this.miniCanvas.width = 220; this.miniCanvas.height = 220;
@@ -670,20 +786,95 @@ export default class Game {
       const currentWeapon = this.weapons[this.currentWeaponIndex];
       this.weaponEl.textContent = currentWeapon.name.toUpperCase();
       
-      // Ändere Farbe basierend auf Waffe
-      if (currentWeapon.id === 'sniper') {
-        this.weaponEl.style.color = '#ff6666';
-        this.weaponEl.style.textShadow = '0 0 4px rgba(255, 102, 102, 0.6)';
-      } else if (currentWeapon.id === 'shotgun') {
-        this.weaponEl.style.color = '#ffaa00';
-        this.weaponEl.style.textShadow = '0 0 4px rgba(255, 170, 0, 0.6)';
-      } else {
-        this.weaponEl.style.color = '#00ff88';
-        this.weaponEl.style.textShadow = '0 0 4px rgba(0, 255, 136, 0.6)';
-      }
+      // Farbe der Waffe aus der Registry
+      this.weaponEl.style.color = currentWeapon.color;
+      this.weaponEl.style.textShadow = `0 0 4px ${currentWeapon.color}99`;
+    }
+  }
+
+  // equip a weapon by index in this.weapons (only owned ones)
+  _selectWeapon(index) {
+    const weapon = this.weapons[index];
+    if (!weapon || !this.unlocked[weapon.id]) return false;
+    this.currentWeaponIndex = index;
+    this.fireRate = weapon.fireRate;
+    this.scopeFov = weapon.scopeFov;
+    this.reloading = null; // Wechseln bricht das Nachladen ab
+    this._updateWeaponDisplay();
+    this._updateAmmoDisplay();
+    this._updateAmmoShop();
+    if (this.weapon) this._createWeapon();
+    return true;
+  }
+
+  _updateAmmoDisplay() {
+    if (!this.ammoEl) return;
+    const weapon = this.weapons[this.currentWeaponIndex];
+    const ammo = this.ammo[weapon.id];
+    this.ammoMagEl.textContent = this.reloading ? '--' : ammo.mag;
+    this.ammoReserveEl.textContent = ammo.reserve;
+    this.ammoEl.classList.toggle('empty', !this.reloading && ammo.mag === 0);
+    this.ammoEl.classList.toggle('reloading', !!this.reloading);
+  }
+
+  // R, or the magazine ran empty: takes the weapon's reloadTime, see _updateReload
+  _startReload() {
+    const weapon = this.weapons[this.currentWeaponIndex];
+    const ammo = this.ammo[weapon.id];
+    if (this.reloading || ammo.mag >= weapon.magazine || ammo.reserve <= 0) return false;
+    this.reloading = { weapon: weapon.id, t: 0, time: weapon.reloadTime };
+    this._updateAmmoDisplay();
+    return true;
+  }
+
+  _updateReload(dt) {
+    const r = this.reloading;
+    if (!r) return;
+    r.t += dt;
+    if (r.t < r.time) return;
+    const weapon = this.weapons[this.currentWeaponIndex];
+    const ammo = this.ammo[weapon.id];
+    const n = Math.min(weapon.magazine - ammo.mag, ammo.reserve);
+    ammo.mag += n;
+    ammo.reserve -= n;
+    this.reloading = null;
+    this._updateAmmoDisplay();
+    this._updateAmmoShop();
+  }
+
+  // takes a round from the magazine; false when there is none (reloading or empty)
+  _useAmmo(weapon) {
+    const ammo = this.ammo[weapon.id];
+    if (this.reloading || ammo.mag <= 0) {
+      if (!this.reloading) this._startReload();
+      return false;
+    }
+    ammo.mag--;
+    if (ammo.mag === 0) this._startReload();
+    this._updateAmmoDisplay();
+    return true;
+  }
+
+  // Q / mouse wheel: next (or previous) owned weapon
+  _cycleWeapon(step) {
+    const n = this.weapons.length;
+    for (let k = 1; k < n; k++) {
+      if (this._selectWeapon((this.currentWeaponIndex + step * k + n * k) % n)) return;
     }
   }
 
+  // only touches the DOM when the (rounded) value changed
+  _updateStaminaDisplay() {
+    if (!this.staminaFillEl) return;
+    const c = this.controller;
+    const value = Math.round(c.stamina / CHARACTER.stamina * 100);
+    if (value === this._shownStamina && c.exhausted === this._shownExhausted) return;
+    this._shownStamina = value;
+    this._shownExhausted = c.exhausted;
+    this.staminaFillEl.style.width = value + '%';
+    this.staminaFillEl.classList.toggle('exhausted', c.exhausted);
+  }
+
   _updateHealthDisplay() {
     if (this.healthEl) {
       this.healthEl.textContent = Math.ceil(this.health);
@@ -713,57 +904,54 @@ export default class Game {
     // basic pointer lock + movement
   this.move = { forward: 0, right: 0 };
   this.velocity = new THREE.Vector3();
-  this.gravity = -24.0;
-  this.jumpSpeed = 8.0;
   this.standingHeight = 1.6;
   this.crouchHeight = 1.05;
   this.crouching = false;
-  this.grounded = false;
+  this.sprinting = false; // Shift gehalten
+  this.jumpHeld = false;
+  this._jumpPressed = false; // Space seit dem letzten Schritt gedrückt
+  // capsule collision, stepping, jumping, sprint, slide, vault and mantle (character.js)
+  this.controller = new CharacterController(this.yawObject.position, this.velocity, { stand: this.standingHeight, crouch: this.crouchHeight });
 
     const onKey = (e, value) => {
       const down = value;
+      if (e.code === 'F2') {
+        if (down) { e.preventDefault(); this.toggleEditor(); }
+        return;
+      }
+      // the editor has its own key bindings
+      if (this.editor && this.editor.active) return;
       switch (e.code) {
         case 'KeyW': this.move.forward = down ? 1 : (this.move.forward === 1 ? 0 : this.move.forward); break;
         case 'KeyS': this.move.forward = down ? -1 : (this.move.forward === -1 ? 0 : this.move.forward); break;
         case 'KeyA': this.move.right = down ? -1 : (this.move.right === -1 ? 0 : this.move.right); break;
         case 'KeyD': this.move.right = down ? 1 : (this.move.right === 1 ? 0 : this.move.right); break;
         case 'Space':
-          if (down && this.grounded) {
-            this.velocity.y = this.jumpSpeed;
-            this.grounded = false;
-          }
+          if (down && !e.repeat) this._jumpPressed = true;
+          this.jumpHeld = down;
           break;
         case 'ShiftLeft':
         case 'ShiftRight':
-          this.sneaking = down;
+          this.sprinting = down;
+          break;
+        case 'KeyC':
           this.crouching = down;
           break;
-  case 'Digit1': if (down && this.unlocked.shotgun) { this.currentWeaponIndex = 0; this.fireRate = this.weapons[0].fireRate; this.scopeFov = this.weapons[0].scopeFov; this._updateWeaponDisplay(); console.log('Weapon: Shotgun'); } break;
-  case 'Digit2': if (down && this.unlocked.sniper) { this.currentWeaponIndex = 1; this.fireRate = this.weapons[1].fireRate; this.scopeFov = this.weapons[1].scopeFov; this._updateWeaponDisplay(); console.log('Weapon: Sniper'); } break;
-  case 'Digit3': if (down && this.unlocked.smg) { this.currentWeaponIndex = 2; this.fireRate = this.weapons[2].fireRate; this.scopeFov = this.weapons[2].scopeFov; this._updateWeaponDisplay(); console.log('Weapon: SMG'); } break;
+  case 'KeyQ': if (down) this._cycleWeapon(1); break;
+  case 'KeyR': if (down) this._startReload(); break;
   case 'KeyB': if (down) { this._toggleShop(); } break;
-      case 'KeyF': if (down) {
-          // F für Türen öffnen/schließen
-          this._interactWithNearestDoor();
-        } break;
+  case 'KeyJ': if (down) { this._toggleFactions(); } break;
+      case 'KeyF':
       case 'KeyE': if (down) {
-          if (this.insideBuilding) {
-            this._closeInterior();
-          } else {
-            // find nearest door with improved range and visual feedback
-            let best = null; let bestDist = 3.5 * 3.5; // Erhöhte Reichweite
-            for (const d of this.buildingDoors) {
-              const dx = d.doorPos.distanceToSquared(this.yawObject.position);
-              if (dx < bestDist) { best = d; bestDist = dx; }
-            }
-            if (best) {
-              this._openInterior(best);
-            } else {
-              // Show hint when no door is nearby
-              this._showTemporaryMessage("No door nearby. Move closer to a building.");
-            }
-          }
+          // E/F: Aufzugknopf drücken, sonst Türen öffnen/schließen; hinein geht es zu Fuß
+          this._interact();
         } break;
+        default:
+          // number keys: weapon in that slot (weapons.js)
+          if (down && e.code.startsWith('Digit')) {
+            const index = this.weapons.findIndex(w => `Digit${w.slot}` === e.code);
+            if (index >= 0) this._selectWeapon(index);
+          }
       }
     };
     window.addEventListener('keydown', (e) => onKey(e, true));
@@ -791,7 +979,7 @@ export default class Game {
       // when pointer is locked to the body we allow shooting
       this.pointerLocked = (document.pointerLockElement === document.body);
       const info = document.getElementById('info');
-      if (info) info.textContent = this.pointerLocked ? 'Pointer locked • Left click to shoot' : 'Click to lock pointer • WASD to move • Mouse to look';
+      if (info) info.textContent = this.pointerLocked ? 'Pointer locked • Left click to shoot' : 'Click to lock pointer • WASD to move • Shift to sprint • C to crouch • Mouse to look';
     });
 
     // shooting: hold left mouse to autofire; right mouse to scope (hold)
@@ -810,6 +998,11 @@ export default class Game {
       if (e.button === 0) this.shooting = false;
       if (e.button === 2) this.scoped = false;
     });
+    // mouse wheel cycles through the owned weapons
+    window.addEventListener('wheel', (e) => {
+      if (!this.pointerLocked || !e.deltaY) return;
+      this._cycleWeapon(e.deltaY > 0 ? 1 : -1);
+    });
     // prevent context menu while scoping/right-click
     window.addEventListener('contextmenu', (e) => { if (this.scoped) e.preventDefault(); });
 
@@ -818,7 +1011,7 @@ export default class Game {
     if (this.renderer && this.renderer.domElement) {
       this.renderer.domElement.style.cursor = 'crosshair';
       this.renderer.domElement.addEventListener('click', () => {
-        if (!this.pointerLocked) {
+        if (!this.pointerLocked && !(this.editor && this.editor.active)) {
           try { document.body.requestPointerLock(); } catch (e) { /* ignore */ }
         }
       });
@@ -834,241 +1027,32 @@ export default class Game {
     }
   }
 
+  // first-person model of the current weapon (weapons.js), attached to the camera
   _createWeapon() {
-  // Hochdetaillierte Waffe mit besseren Materialien und Texturen
-  const gun = new THREE.Group();
-
-  // Verbessertes Canvas für Waffendetails
-  const canvas = document.createElement('canvas');
-  canvas.width = 1024; canvas.height = 256;
-  const ctx = canvas.getContext('2d');
-  
-  // Grundfarbe
-  ctx.fillStyle = '#1a1c20'; 
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  // Metallische Streifen und Details
-  ctx.fillStyle = '#404448';
-  for (let i = 0; i < 16; i++) {
-    ctx.fillRect(10 + i * 60, 20, 35, 8);
-    ctx.fillRect(15 + i * 60, 35, 25, 4);
-  }
-  
-  // Waffenmarkierungen
-  ctx.fillStyle = '#c8d2e0'; 
-  ctx.font = 'bold 24px monospace'; 
-  ctx.fillText('TACTICAL-X7', 20, 80);
-  ctx.font = '16px monospace';
-  ctx.fillText('.556 NATO', 20, 105);
-  ctx.fillText('FULL AUTO', 20, 125);
-  
-  // Seriennummer
-  ctx.fillStyle = '#808080';
-  ctx.font = '12px monospace';
-  ctx.fillText('SN: TX7-2024-001', 20, 145);
-
-  const detailTex = new THREE.CanvasTexture(canvas);
-  detailTex.wrapS = detailTex.wrapT = THREE.RepeatWrapping;
-
-  // Verbesserte Materialien
-  const gunmetalMat = new THREE.MeshStandardMaterial({ 
-    color: 0x1a1d22, 
-    metalness: 0.9, 
-    roughness: 0.2,
-    envMapIntensity: 1.0
-  });
-  
-  const receiverMat = new THREE.MeshStandardMaterial({ 
-    color: 0x2d3037, 
-    metalness: 0.4, 
-    roughness: 0.5, 
-    map: detailTex 
-  });
-
-  const gripMat = new THREE.MeshStandardMaterial({ 
-    color: 0x1e1e1e, 
-    metalness: 0.1, 
-    roughness: 0.9,
-    normalScale: new THREE.Vector2(0.5, 0.5)
-  });
-
-  // Hauptkörper (Receiver) - detaillierter
-  const body = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.16, 0.7), receiverMat);
-  body.position.set(0.25, -0.14, -0.35);
-  gun.add(body);
-
-  // Oberer Receiver Teil
-  const upperReceiver = new THREE.Mesh(new THREE.BoxGeometry(0.48, 0.08, 0.65), gunmetalMat);
-  upperReceiver.position.set(0.25, -0.06, -0.35);
-  gun.add(upperReceiver);
-
-  // Langer Lauf mit realistischen Proportionen
-  const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.028, 1.0, 20), gunmetalMat);
-  barrel.rotation.z = Math.PI / 2;
-  barrel.position.set(0.8, -0.14, -0.05);
-  gun.add(barrel);
-
-  // Laufmündung
-  const muzzleDevice = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.032, 0.12, 16), gunmetalMat);
-  muzzleDevice.rotation.z = Math.PI / 2;
-  muzzleDevice.position.set(1.22, -0.14, -0.05);
-  gun.add(muzzleDevice);
-
-  // Verbesserte Picatinny Rail
-  const rail = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.04, 0.08), gunmetalMat);
-  rail.position.set(0.3, -0.02, -0.14);
-  gun.add(rail);
-
-  // Rail-Zähne für Realismus
-  for (let i = 0; i < 8; i++) {
-    const tooth = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.02, 0.06), gunmetalMat);
-    tooth.position.set(0.1 + i * 0.04, 0.01, -0.14);
-    rail.add(tooth);
-  }
-
-  // Hochwertiges Zielfernrohr mit realistischen Details
-  const scopeBody = new THREE.Mesh(new THREE.CylinderGeometry(0.055, 0.055, 0.35, 16), new THREE.MeshStandardMaterial({ 
-    color: 0x0a0a0c, 
-    metalness: 0.8, 
-    roughness: 0.15 
-  }));
-  scopeBody.rotation.z = Math.PI / 2;
-  scopeBody.position.set(0.6, -0.04, -0.08);
-  gun.add(scopeBody);
-
-  // Vordere Scope-Linse (größer)
-  const frontLens = new THREE.Mesh(new THREE.CircleGeometry(0.048, 16), new THREE.MeshStandardMaterial({ 
-    color: 0x4477aa, 
-    metalness: 0.9, 
-    roughness: 0.02,
-    transparent: true,
-    opacity: 0.85,
-    envMapIntensity: 1.5
-  }));
-  frontLens.position.set(0.775, -0.04, -0.08);
-  frontLens.rotation.y = Math.PI / 2;
-  gun.add(frontLens);
-
-  // Hintere Scope-Linse (kleiner)
-  const rearLens = new THREE.Mesh(new THREE.CircleGeometry(0.035, 16), new THREE.MeshStandardMaterial({ 
-    color: 0x2255aa, 
-    metalness: 0.9, 
-    roughness: 0.02,
-    transparent: true,
-    opacity: 0.9
-  }));
-  rearLens.position.set(0.425, -0.04, -0.08);
-  rearLens.rotation.y = -Math.PI / 2;
-  gun.add(rearLens);
-
-  // Scope-Ringe (Montage)
-  for (let i = 0; i < 2; i++) {
-    const ring = new THREE.Mesh(new THREE.TorusGeometry(0.06, 0.008, 8, 16), new THREE.MeshStandardMaterial({ 
-      color: 0x333333, 
-      metalness: 0.6, 
-      roughness: 0.4 
-    }));
-    ring.position.set(0.5 + i * 0.2, -0.04, -0.08);
-    ring.rotation.z = Math.PI / 2;
-    gun.add(ring);
-  }
-
-  // Scope-Verstellknöpfe
-  const elevationKnob = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.04, 8), new THREE.MeshStandardMaterial({ 
-    color: 0x222222, 
-    metalness: 0.7, 
-    roughness: 0.3 
-  }));
-  elevationKnob.position.set(0.6, 0.015, -0.08);
-  gun.add(elevationKnob);
-
-  const windageKnob = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.04, 8), new THREE.MeshStandardMaterial({ 
-    color: 0x222222, 
-    metalness: 0.7, 
-    roughness: 0.3 
-  }));
-  windageKnob.position.set(0.6, -0.04, -0.025);
-  windageKnob.rotation.x = Math.PI / 2;
-  gun.add(windageKnob);
-
-  // Verbesserter Griff
-  const grip = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.22, 0.14), gripMat);
-  grip.position.set(0.02, -0.32, -0.05);
-  grip.rotation.x = 0.18;
-  gun.add(grip);
-
-  // Griffstruktur für besseren Halt
-  for (let i = 0; i < 6; i++) {
-    const groove = new THREE.Mesh(new THREE.BoxGeometry(0.085, 0.02, 0.12), new THREE.MeshStandardMaterial({ 
-      color: 0x151515, 
-      metalness: 0.1, 
-      roughness: 0.95 
-    }));
-    groove.position.set(0, -0.1 + i * 0.03, 0);
-    grip.add(groove);
-  }
-
-  // Abzug
-  const trigger = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.06, 0.02), gunmetalMat);
-  trigger.position.set(0.02, -0.24, -0.08);
-  trigger.rotation.x = 0.2;
-  gun.add(trigger);
-
-  // Abzugsbügel
-  const triggerGuard = new THREE.Mesh(new THREE.TorusGeometry(0.05, 0.008, 8, 16), gunmetalMat);
-  triggerGuard.position.set(0.02, -0.22, -0.08);
-  triggerGuard.rotation.x = Math.PI / 2;
-  gun.add(triggerGuard);
-
-  // Verbessertes Magazin
-  const mag = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.18, 0.05), new THREE.MeshStandardMaterial({ 
-    color: 0x2a2a2a, 
-    metalness: 0.3, 
-    roughness: 0.6 
-  }));
-  mag.position.set(0.02, -0.08, -0.28);
-  mag.rotation.x = -0.1;
-  gun.add(mag);
-
-  // Magazin-Details
-  const magSpring = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.02, 0.03), new THREE.MeshStandardMaterial({ 
-    color: 0x888888, 
-    metalness: 0.7, 
-    roughness: 0.3 
-  }));
-  magSpring.position.set(0, 0.08, 0);
-  mag.add(magSpring);
-
-  // Schulterstütze
-  const stock = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.12, 0.08), new THREE.MeshStandardMaterial({ 
-    color: 0x1e1e1e, 
-    metalness: 0.1, 
-    roughness: 0.8 
-  }));
-  stock.position.set(-0.15, -0.14, -0.05);
-  gun.add(stock);
-
-  // Verbesserter Mündungsblitz
-  const flash = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 12), new THREE.MeshBasicMaterial({ 
-    color: 0xffcc44, 
-    transparent: true, 
-    opacity: 0.9,
-    blending: THREE.AdditiveBlending
-  }));
-  flash.visible = false;
-
-  // Mündungsposition
-  const muzzle = new THREE.Object3D();
-  muzzle.position.set(1.28, -0.14, -0.05);
-  muzzle.add(flash);
-  gun.add(muzzle);
-
-  this.weapon = { group: gun, flash, muzzle };
-
-  // Waffe an Kamera anhängen
-  gun.position.set(0.4, -0.2, 0);
-  gun.rotation.y = -0.05; // Leichte Neigung für bessere Sicht
-  this.pitchObject.add(gun);
+    const def = this.weapons[this.currentWeaponIndex];
+    if (this.weapon) this.pitchObject.remove(this.weapon.group);
+    if (!this.weaponModels[def.id]) {
+      if (!this.weaponMaterials) this.weaponMaterials = createWeaponMaterials();
+      const { group: gun, muzzle, mag } = buildWeaponModel(def.model, this.weaponMaterials);
+
+      // Mündungsblitz
+      const flash = new THREE.Mesh(new THREE.SphereGeometry(0.06, 12, 12), new THREE.MeshBasicMaterial({
+        color: 0xffcc44,
+        transparent: true,
+        opacity: 0.9,
+        blending: THREE.AdditiveBlending
+      }));
+      flash.visible = false;
+      muzzle.add(flash);
+
+      // Leichte Neigung für bessere Sicht
+      gun.position.set(0.4, -0.2, 0);
+      gun.rotation.y = -0.05;
+      this.weaponModels[def.id] = { group: gun, flash, muzzle, mag, magY: mag ? mag.position.y : 0 };
+    }
+    this.weapon = this.weaponModels[def.id];
+    this.weapon.group.visible = !(this.editor && this.editor.active);
+    this.pitchObject.add(this.weapon.group);
   }
 
   _createSky() {
@@ -1093,9 +1077,9 @@ export default class Game {
     // Füge Wolkenstrukturen hinzu
     ctx.globalCompositeOperation = 'overlay';
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height * 0.7; // Nur im oberen Bereich
-      const size = 100 + Math.random() * 200;
+      const x = this.random() * canvas.width;
+      const y = this.random() * canvas.height * 0.7; // Nur im oberen Bereich
+      const size = 100 + this.random() * 200;
       
       const cloudGrad = ctx.createRadialGradient(x, y, 0, x, y, size);
       cloudGrad.addColorStop(0, 'rgba(255, 255, 255, 0.3)');
@@ -1161,17 +1145,17 @@ export default class Game {
     
     // Gras-Variationen für mehr Realismus
     for (let i = 0; i < 3000; i++) {
-      const brightness = 0.8 + Math.random() * 0.4;
-      ctx.fillStyle = `rgba(${Math.floor(65 * brightness)}, ${Math.floor(120 * brightness)}, ${Math.floor(45 * brightness)}, ${Math.random() * 0.1})`;
-      ctx.fillRect(Math.random() * size, Math.random() * size, 2, 2);
+      const brightness = 0.8 + this.random() * 0.4;
+      ctx.fillStyle = `rgba(${Math.floor(65 * brightness)}, ${Math.floor(120 * brightness)}, ${Math.floor(45 * brightness)}, ${this.random() * 0.1})`;
+      ctx.fillRect(this.random() * size, this.random() * size, 2, 2);
     }
     
     // Füge Erd-Flecken hinzu
     for (let i = 0; i < 200; i++) {
-      ctx.fillStyle = `rgba(101, 67, 33, ${Math.random() * 0.2})`;
-      const x = Math.random() * size;
-      const y = Math.random() * size;
-      const radius = 5 + Math.random() * 15;
+      ctx.fillStyle = `rgba(101, 67, 33, ${this.random() * 0.2})`;
+      const x = this.random() * size;
+      const y = this.random() * size;
+      const radius = 5 + this.random() * 15;
       ctx.beginPath();
       ctx.arc(x, y, radius, 0, Math.PI * 2);
       ctx.fill();
@@ -1213,15 +1197,15 @@ export default class Game {
         const road2 = new THREE.Mesh(new THREE.PlaneGeometry(6, blockD+8), new THREE.MeshStandardMaterial({ color: 0x2f2f2f }));
         road2.rotation.x = -Math.PI/2; road2.position.set(px - (blockW/2 + 3), 0.02, pz); this.scene.add(road2); road2.userData.hittable = true;
         // create buildings in block (maybe 1-3 buildings)
-        const buildingCount = 1 + Math.floor(Math.random()*3);
+        const buildingCount = 1 + Math.floor(this.random()*3);
         for (let b = 0; b < buildingCount; b++) {
-          const bw = 8 + Math.random()*12; const bd = 8 + Math.random()*12; const bh = 6 + Math.random()*20;
-          const color = palette[Math.floor(Math.random()*palette.length)];
+          const bw = 8 + this.random()*12; const bd = 8 + this.random()*12; const bh = 6 + this.random()*20;
+          const color = palette[Math.floor(this.random()*palette.length)];
           // create an actual box geometry with proper dimensions (avoids scaling artifacts)
           const mat = new THREE.MeshStandardMaterial({ color, roughness: 0.6 });
           const box = new THREE.Mesh(new THREE.BoxGeometry(bw, bh, bd), mat);
-          const ox = (Math.random()-0.5)*(blockW-bw);
-          const oz = (Math.random()-0.5)*(blockD-bd);
+          const ox = (this.random()-0.5)*(blockW-bw);
+          const oz = (this.random()-0.5)*(blockD-bd);
           box.position.set(px + ox, bh/2, pz + oz);
           // door (record door world position and inside position)
           const doorGeo = new THREE.PlaneGeometry(1.2, 2.0);
@@ -1233,7 +1217,7 @@ export default class Game {
           box.add(door);
           // world door positions are computed after the building is added to the scene
           // balconies
-          if (Math.random() > 0.6) {
+          if (this.random() > 0.6) {
             const bal = new THREE.Mesh(new THREE.BoxGeometry(bw*0.3, 0.3, 2), new THREE.MeshStandardMaterial({ color: 0x333333 }));
             bal.position.set(bw/2 - 0.3, 0.6, 0);
             box.add(bal);
@@ -1242,15 +1226,15 @@ export default class Game {
           // add simple window rows as small inset blue glass planes
           const winMat = new THREE.MeshStandardMaterial({ color: 0x6fb3ff, emissive: 0x224466, roughness: 0.1, metalness: 0.05, transparent: true, opacity: 0.95 });
           for (let yy = -Math.floor(bh/2)+1; yy < Math.floor(bh/2); yy += 2) {
-            if (Math.random() > 0.6) continue;
+            if (this.random() > 0.6) continue;
             const ww = Math.min(1.2, bw*0.28);
             const wh = 1.0;
             const w = new THREE.Mesh(new THREE.PlaneGeometry(ww, wh), winMat);
-            const face = Math.floor(Math.random()*4);
-            if (face === 0) { w.position.set(bw/2 - 0.03, yy + 0.6, (Math.random()-0.5)*bd*0.6); w.rotation.y = -Math.PI/2; }
-            else if (face === 1) { w.position.set(-bw/2 + 0.03, yy + 0.6, (Math.random()-0.5)*bd*0.6); w.rotation.y = Math.PI/2; }
-            else if (face === 2) { w.position.set((Math.random()-0.5)*bw*0.6, yy + 0.6, bd/2 - 0.03); }
-            else { w.position.set((Math.random()-0.5)*bw*0.6, yy + 0.6, -bd/2 + 0.03); w.rotation.y = Math.PI; }
+            const face = Math.floor(this.random()*4);
+            if (face === 0) { w.position.set(bw/2 - 0.03, yy + 0.6, (this.random()-0.5)*bd*0.6); w.rotation.y = -Math.PI/2; }
+            else if (face === 1) { w.position.set(-bw/2 + 0.03, yy + 0.6, (this.random()-0.5)*bd*0.6); w.rotation.y = Math.PI/2; }
+            else if (face === 2) { w.position.set((this.random()-0.5)*bw*0.6, yy + 0.6, bd/2 - 0.03); }
+            else { w.position.set((this.random()-0.5)*bw*0.6, yy + 0.6, -bd/2 + 0.03); w.rotation.y = Math.PI; }
             box.add(w);
           }
           // roof detail
@@ -1259,7 +1243,7 @@ export default class Game {
           box.add(roof);
           // maybe add balcony
           let climbable = false;
-          if (Math.random() > 0.6) {
+          if (this.random() > 0.6) {
             climbable = true;
             const bal = new THREE.Mesh(new THREE.BoxGeometry(Math.min(3, bw*0.4), 0.28, 2), new THREE.MeshStandardMaterial({ color: 0x333333 }));
             bal.position.set(bw/2 - 0.28, 0.6, 0);
@@ -1292,43 +1276,44 @@ export default class Game {
     cc.fillStyle = grd; cc.fillRect(0,0,512,512);
     // add subtle shapes
     for (let i = 0; i < 6; i++) {
-      cc.globalAlpha = 0.15 + Math.random()*0.25;
-      cc.beginPath(); cc.ellipse(160+Math.random()*200, 160+Math.random()*200, 120+Math.random()*80, 80+Math.random()*60, Math.random()*Math.PI*2, 0, Math.PI*2); cc.fill();
+      cc.globalAlpha = 0.15 + this.random()*0.25;
+      cc.beginPath(); cc.ellipse(160+this.random()*200, 160+this.random()*200, 120+this.random()*80, 80+this.random()*60, this.random()*Math.PI*2, 0, Math.PI*2); cc.fill();
     }
     const cloudTex = new THREE.CanvasTexture(cloudCan); cloudTex.needsUpdate = true;
     const mat = new THREE.SpriteMaterial({ map: cloudTex, transparent: true, opacity: 0.9, depthWrite: false });
     const count = 8;
     for (let i = 0; i < count; i++) {
       const sp = new THREE.Sprite(mat.clone());
-      const s = 140 + Math.random()*180;
+      const s = 140 + this.random()*180;
       sp.scale.set(s, s*0.6, 1);
-      sp.position.set((Math.random()-0.5)*800, 90 + Math.random()*80, -100 + Math.random()*400);
+      sp.position.set((this.random()-0.5)*800, 90 + this.random()*80, -100 + this.random()*400);
       this.scene.add(sp);
       this.clouds.push(sp);
     }
   }
 
-  _spawnTargets(n) {
-    const geo = new THREE.SphereGeometry(0.5, 12, 12);
-    const mat = new THREE.MeshStandardMaterial({ color: 0xff4444, emissive: 0x220000 });
-    for (let i = 0; i < n; i++) {
-      const m = new THREE.Mesh(geo, mat.clone());
-      m.position.set((Math.random() - 0.5) * 40, 0.5 + Math.random() * 4, -10 - Math.random() * 60);
-      this.scene.add(m);
-      this.targets.push({ mesh: m, alive: true });
-    }
-    this._updateScore();
+  _createTarget(def) {
+    if (!this._targetGeo) this._targetGeo = new THREE.SphereGeometry(0.5, 12, 12);
+    const m = new THREE.Mesh(this._targetGeo, new THREE.MeshStandardMaterial({ color: 0xff4444, emissive: 0x220000 }));
+    m.position.set(def.x, def.y, def.z);
+    m.userData.levelDef = def;
+    this.world.add(m);
+    this.targets.push({ mesh: m, alive: true });
+    return m;
   }
 
-  _createEnemy(x, y, z) {
+  // archetype: key of ENEMY_ARCHETYPES (stats, weapon, AI profile and look)
+  _createEnemy(x, y, z, archetypeName = 'grunt', team = null) {
+    const archetype = ENEMY_ARCHETYPES[archetypeName] || ENEMY_ARCHETYPES.grunt;
     const enemy = new THREE.Group();
     
     // Realistische Menschenmodelle mit noch kleineren Proportionen
     const skinColors = [0xd4a574, 0xc49969, 0xb08d57, 0xa67c52, 0x8b5a3c]; // Verschiedene Hauttöne
     const clothingColors = [0x2d4a22, 0x1a3d0a, 0x4a4a4a, 0x3d3d3d, 0x5a4a3a]; // Verschiedene Kleidungsfarben
     
-    const skinColor = skinColors[Math.floor(Math.random() * skinColors.length)];
-    const clothingColor = clothingColors[Math.floor(Math.random() * clothingColors.length)];
+    const skinColor = skinColors[Math.floor(this.random() * skinColors.length)];
+    const randomClothing = clothingColors[Math.floor(this.random() * clothingColors.length)];
+    const clothingColor = archetype.visual.clothing !== null ? archetype.visual.clothing : randomClothing;
     
     const skinMat = new THREE.MeshStandardMaterial({ color: skinColor });
     const bodyMat = new THREE.MeshStandardMaterial({ color: clothingColor });
@@ -1337,18 +1322,20 @@ export default class Game {
     // Noch kleinerer, realistischerer Torso
     const torso = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.4, 0.15), bodyMat);
     torso.position.set(0, 0.2, 0);
+    torso.name = 'torso';
   torso.castShadow = true; // keep main body casting shadow
     enemy.add(torso);
     
     // Kleinerer, runderer Kopf
     const head = new THREE.Mesh(new THREE.SphereGeometry(0.08, 12, 12), skinMat);
     head.position.set(0, 0.48, 0);
+    head.name = 'head';
   head.castShadow = true; // keep head casting shadow
     enemy.add(head);
     
     // Haar (verschiedene Farben)
     const hairColors = [0x4a3428, 0x6b4423, 0x3c2415, 0x8b7355, 0x2c1b0f];
-    const hairColor = hairColors[Math.floor(Math.random() * hairColors.length)];
+    const hairColor = hairColors[Math.floor(this.random() * hairColors.length)];
     const hair = new THREE.Mesh(new THREE.SphereGeometry(0.09, 8, 8), new THREE.MeshStandardMaterial({ color: hairColor }));
     hair.position.set(0, 0.52, 0);
     hair.scale.set(1, 0.8, 1);
@@ -1408,16 +1395,12 @@ export default class Game {
   // rightShoe.castShadow = true;
     enemy.add(rightShoe);
     
-    // Zufällige Teams für Factional Warfare
-    const teams = ['red', 'blue', 'green', 'yellow'];
-    const teamColor = teams[Math.floor(Math.random() * teams.length)];
-    let teamColorHex;
-    switch(teamColor) {
-      case 'red': teamColorHex = 0xff2222; break;
-      case 'blue': teamColorHex = 0x2222ff; break;
-      case 'green': teamColorHex = 0x22ff22; break;
-      case 'yellow': teamColorHex = 0xffff22; break;
-    }
+    // Fraktion: vorgegeben, sonst Besitzer des Blocks, sonst zufällig (nur Gangs mit Revier)
+    const teams = this._gangsWithTurf();
+    const block = this.territory && this.territory.blockAt(x, z);
+    if (!teams.length) teams.push(...Diplomacy.gangs());
+    const teamColor = team || (block && teams.includes(block.owner) ? block.owner : teams[Math.floor(this.random() * teams.length)]);
+    const teamColorHex = FACTIONS[teamColor].color;
     
     // Team-Abzeichen am Arm
     const teamBadge = new THREE.Mesh(
@@ -1428,31 +1411,55 @@ export default class Game {
   // teamBadge.castShadow = true;
     enemy.add(teamBadge);
     
-    // Verschiedene Waffentypen für Enemies
-    const weaponTypes = ['rifle', 'smg', 'shotgun', 'sniper'];
-    const chosenWeapon = weaponTypes[Math.floor(Math.random() * weaponTypes.length)];
+    // Archetyp-Ausrüstung und Statur
+    this._addEnemyGear(enemy, archetype.visual.gear);
+    enemy.scale.set(...archetype.visual.scale);
+    
+    // Waffe je nach Archetyp
+    const weaponTypes = archetype.weapons;
+    const chosenWeapon = weaponTypes[Math.floor(this.random() * weaponTypes.length)];
     
     const weaponGroup = this._createEnemyWeapon(chosenWeapon);
     weaponGroup.position.set(0.15, 0.15, -0.1);
     weaponGroup.rotation.y = -Math.PI/6;
     enemy.add(weaponGroup);
+
+    // Trefferzonen (HIT_ZONES in weapons.js); alles andere zählt als Rumpf
+    for (const part of [head, hair]) part.userData.zone = 'head';
+    for (const part of [leftUpperArm, leftLowerArm, rightUpperArm, rightLowerArm, teamBadge]) part.userData.zone = 'arm';
+    for (const part of [leftUpperLeg, leftLowerLeg, rightUpperLeg, rightLowerLeg, leftShoe, rightShoe]) part.userData.zone = 'leg';
+    weaponGroup.traverse(part => { part.userData.zone = 'arm'; });
     
     enemy.position.set(x, y, z);
     enemy.userData.isEnemy = true;
-    enemy.userData.health = 100;
-    enemy.userData.maxHealth = 100;
+    enemy.userData.archetype = ENEMY_ARCHETYPES[archetypeName] ? archetypeName : 'grunt';
+    enemy.userData.health = archetype.health;
+    enemy.userData.maxHealth = archetype.health;
+    enemy.userData.armor = archetype.armor;
     enemy.userData.alive = true;
-    enemy.userData.speed = 1.5 + Math.random() * 1; // Langsamere, realistischere Geschwindigkeit
+    const [minSpeed, maxSpeed] = archetype.speed;
+    enemy.userData.speed = minSpeed + this.random() * (maxSpeed - minSpeed);
     enemy.userData.weaponType = chosenWeapon;
     enemy.userData.weapon = weaponGroup;
     enemy.userData.lastShot = 0;
-    enemy.userData.shootCooldown = 1 + Math.random() * 2;
-    enemy.userData.detectionRange = 20; // Reduzierte Sichtweite
+    const [minCooldown, maxCooldown] = archetype.cooldown;
+    enemy.userData.shootCooldown = minCooldown + this.random() * (maxCooldown - minCooldown);
+    enemy.userData.accuracy = archetype.accuracy;
+    enemy.userData.detectionRange = archetype.detectionRange;
+    enemy.userData.fov = archetype.fov; // Sichtkegel in Blickrichtung
+    enemy.userData.healRate = archetype.healRate || 0;
+    enemy.userData.lastKnownPlayerPos = null;
+    enemy.userData.searchTimer = 0;
+    enemy.userData.magazineSize = ENEMY_MAGAZINES[chosenWeapon] || 20;
+    enemy.userData.ammo = enemy.userData.magazineSize;
+    enemy.userData.reloadTime = chosenWeapon === 'sniper' ? 3 : 2;
+    enemy.userData.tactic = { mode: 'advance', timer: 0, cover: null };
     enemy.userData.team = teamColor; // Team für Factional Warfare
+    enemy.userData.behavior = archetype.behavior; // Verhaltensbaum aus behaviors.js
     enemy.userData.patrolTarget = new THREE.Vector3(
-      x + (Math.random() - 0.5) * 20,
+      x + (this.random() - 0.5) * 20,
       y,
-      z + (Math.random() - 0.5) * 20
+      z + (this.random() - 0.5) * 20
     );
     
     // Wichtig: userData für Kollisionserkennung hinzufügen
@@ -1462,6 +1469,102 @@ export default class Game {
     return enemy;
   }
 
+  // archetype gear on top of the base model
+  _addEnemyGear(enemy, gear) {
+    if (gear === 'helmet') {
+      const helmet = new THREE.Mesh(new THREE.SphereGeometry(0.1, 10, 8, 0, Math.PI * 2, 0, Math.PI / 2), new THREE.MeshStandardMaterial({ color: 0x2f3a2f, roughness: 0.6 }));
+      helmet.position.set(0, 0.5, 0);
+      helmet.userData.zone = 'head';
+      enemy.add(helmet);
+      const vest = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.3, 0.18), new THREE.MeshStandardMaterial({ color: 0x3a3a2a }));
+      vest.position.set(0, 0.22, 0);
+      enemy.add(vest);
+    } else if (gear === 'cap') {
+      const cap = new THREE.Mesh(new THREE.CylinderGeometry(0.085, 0.09, 0.05, 10), new THREE.MeshStandardMaterial({ color: 0x2a3320 }));
+      cap.position.set(0, 0.55, 0);
+      cap.userData.zone = 'head';
+      enemy.add(cap);
+    } else if (gear === 'medic') {
+      // rotes Kreuz auf Brust und Rücken
+      const crossMat = new THREE.MeshStandardMaterial({ color: 0xcc1111 });
+      for (const z of [0.08, -0.08]) {
+        const bar1 = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.03, 0.01), crossMat);
+        const bar2 = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.1, 0.01), crossMat);
+        bar1.position.set(0, 0.28, z);
+        bar2.position.set(0, 0.28, z);
+        enemy.add(bar1, bar2);
+      }
+    }
+  }
+
+  // roof edge near a spawn zone for rooftop archetypes, or null.
+  // The spot sits on the roof side facing the zone center so the street below is in view.
+  _findRooftopSpot(zone) {
+    const taken = this.enemies.filter(e => e.userData.alive && e.userData.rooftop);
+    const candidates = this.buildingBoxes.filter(bb => {
+      const c = bb.box3.getCenter(new THREE.Vector3());
+      if (Math.hypot(c.x - zone.x, c.z - zone.z) > zone.radius + 30 || bb.topY > 30) return false;
+      // ein Scharfschütze pro Dach
+      return !taken.some(e => bb.box3.containsPoint(new THREE.Vector3(e.position.x, bb.box3.max.y - 0.1, e.position.z)));
+    });
+    if (candidates.length === 0) return null;
+    const bb = candidates[Math.floor(this.random() * candidates.length)];
+    const b = bb.box3;
+    const c = b.getCenter(new THREE.Vector3());
+    const dx = zone.x - c.x, dz = zone.z - c.z;
+    const inset = 0.6;
+    let x = c.x, z = c.z;
+    if (Math.abs(dx) > Math.abs(dz)) x = dx > 0 ? b.max.x - inset : b.min.x + inset;
+    else z = dz > 0 ? b.max.z - inset : b.min.z + inset;
+    return { x, y: bb.topY + 0.5, z, lookX: x + Math.sign(x - c.x) * 10, lookZ: z + Math.sign(z - c.z) * 10 };
+  }
+
+  // spawn one enemy of the archetype in a zone; returns it, or null when no free spot was found.
+  // team defaults to the owner of the block the enemy spawns in
+  _spawnEnemyInZone(zone, archetypeName, attempts = 10, team = null) {
+    if (ENEMY_ARCHETYPES[archetypeName] && ENEMY_ARCHETYPES[archetypeName].rooftop) {
+      const spot = this._findRooftopSpot(zone);
+      if (spot) {
+        const enemy = this._createEnemy(spot.x, spot.y, spot.z, archetypeName, team);
+        enemy.lookAt(spot.lookX, spot.y, spot.lookZ);
+        enemy.userData.rooftop = true;
+        this.enemies.push(enemy);
+        return enemy;
+      }
+    }
+    // Prüfe, dass nicht in Gebäuden gespawnt wird
+    for (let i = 0; i < attempts; i++) {
+      const x = zone.x + (this.random() - 0.5) * zone.radius * 2;
+      const z = zone.z + (this.random() - 0.5) * zone.radius * 2;
+      if (!this._isValidSpawnPosition(x, z)) continue;
+      const enemy = this._createEnemy(x, 0.5, z, archetypeName, team); // Niedrigere Höhe für kleinere Enemies
+      this.enemies.push(enemy);
+      return enemy;
+    }
+    return null;
+  }
+
+  // spawn enemies of one team together as a squad; returns the squad, or null when nobody fit.
+  // options.team (default: owner of the block), options.attempts per member,
+  // options.groundOnly replaces rooftop archetypes with grunts
+  _spawnSquad(zone, size, table, options = {}) {
+    let team = options.team || null;
+    let squad = null;
+    for (let i = 0; i < size; i++) {
+      let archetype = pickArchetype(table, this.random);
+      if (options.groundOnly && ENEMY_ARCHETYPES[archetype].rooftop) archetype = 'grunt';
+      const enemy = this._spawnEnemyInZone(zone, archetype, options.attempts || 10, team);
+      if (!enemy) continue;
+      team = enemy.userData.team;
+      if (!squad) {
+        squad = new Squad(team);
+        this.squads.push(squad);
+      }
+      squad.add(enemy);
+    }
+    return squad;
+  }
+
   _createEnemyWeapon(type) {
     const weaponGroup = new THREE.Group();
     
@@ -1563,41 +1666,15 @@ export default class Game {
   }
 
   _spawnEnemies(count) {
-    const spawnZones = [
-      { x: 50, z: 50 },   // Nord-Ost
-      { x: -50, z: 50 },  // Nord-West
-      { x: 50, z: -50 },  // Süd-Ost
-      { x: -50, z: -50 }, // Süd-West
-      { x: 0, z: 80 },    // Nord
-      { x: 0, z: -80 },   // Süd
-      { x: 80, z: 0 },    // Ost
-      { x: -80, z: 0 }    // West
-    ];
+    const spawnZones = this._getEnemySpawnZones('initial');
     
-    for (let i = 0; i < count; i++) {
-      const zone = spawnZones[i % spawnZones.length];
-      
-      // Zufällige Position in der Zone
-      const x = zone.x + (Math.random() - 0.5) * 30;
-      const z = zone.z + (Math.random() - 0.5) * 30;
-      const y = 0.5; // Niedrigere Höhe für kleinere Enemies
-      
-      // Prüfe, dass nicht in Gebäuden gespawnt wird
-      let validPosition = false;
-      let attempts = 0;
-      let finalX = x, finalZ = z;
-      
-      while (!validPosition && attempts < 10) {
-        validPosition = this._isValidSpawnPosition(finalX, finalZ);
-        if (!validPosition) {
-          finalX = zone.x + (Math.random() - 0.5) * 30;
-          finalZ = zone.z + (Math.random() - 0.5) * 30;
-          attempts++;
-        }
-      }
-      
-      const enemy = this._createEnemy(finalX, y, finalZ);
-      this.enemies.push(enemy);
+    // ein Teil besetzt Gebäude, der Rest zieht in Trupps aus 3-4 Mitgliedern desselben Teams los
+    const garrisoned = this._spawnGarrisons(Math.round(count * INTERIOR.garrisonShare));
+    const [minSize, maxSize] = SQUAD.size;
+    for (let spawned = garrisoned, i = 0; spawned < count; i++) {
+      const size = Math.min(count - spawned, minSize + Math.floor(this.random() * (maxSize - minSize + 1)));
+      this._spawnSquad(spawnZones[i % spawnZones.length], size, ENEMY_SPAWN_TABLES.initial);
+      spawned += size;
     }
     
     // Setze Respawn-Timer
@@ -1606,20 +1683,52 @@ export default class Game {
     this.maxEnemies = count * 2; // Doppelt so viele Enemies erlaubt
   }
 
-  _isValidSpawnPosition(x, z) {
-    // Einfache Prüfung - nicht zu nah an Gebäuden spawnen
-    for (let bx = 0; bx < 20; bx++) {
-      for (let bz = 0; bz < 20; bz++) {
-        const buildingX = (bx - 10) * 20;
-        const buildingZ = (bz - 10) * 20;
-        
-        const dist = Math.sqrt((x - buildingX) ** 2 + (z - buildingZ) ** 2);
-        if (dist < 8) { // Mindestabstand zu Gebäuden
-          return false;
+  // post small squads in rooms of buildings away from the player; returns how many spawned
+  _spawnGarrisons(count) {
+    const playerPos = this.yawObject.position;
+    const buildings = this.interiors.filter(it => it.doors.length && it.nodes.some(n => n.kind === 'room') &&
+      Math.hypot(it.x - playerPos.x, it.z - playerPos.z) > INTERIOR.garrisonMinDist);
+    let spawned = 0;
+    while (spawned < count && buildings.length) {
+      const interior = buildings.splice(Math.floor(this.random() * buildings.length), 1)[0];
+      const rooms = interior.nodes.filter(n => n.kind === 'room');
+      const block = this.territory.blockAt(interior.x, interior.z);
+      let team = block ? block.owner : null;
+      let squad = null;
+      for (let i = 0; i < INTERIOR.garrisonSize && spawned < count; i++) {
+        const room = rooms[Math.floor(this.random() * rooms.length)];
+        let archetype = pickArchetype(ENEMY_SPAWN_TABLES.initial, this.random);
+        if (ENEMY_ARCHETYPES[archetype].rooftop) archetype = 'grunt';
+        const r = interior.room;
+        const post = interior.toWorld(r.x0 + 0.8 + this.random() * (r.x1 - r.x0 - 1.6), r.z0 + 0.8 + this.random() * (r.z1 - r.z0 - 1.6));
+        const enemy = this._createEnemy(post.x, room.y + 0.5, post.z, archetype, team);
+        enemy.userData.inside = interior;
+        enemy.userData.post = enemy.position.clone();
+        this.enemies.push(enemy);
+        team = enemy.userData.team;
+        if (!squad) {
+          squad = new Squad(team);
+          this.squads.push(squad);
         }
+        squad.add(enemy);
+        spawned++;
       }
     }
-    return true;
+    return spawned;
+  }
+
+  // spawn zones of the given kind from the level (falls back to all zones)
+  _getEnemySpawnZones(kind) {
+    const zones = this.level.enemySpawnZones;
+    const matching = zones.filter(z => z.kind === kind);
+    const result = matching.length ? matching : zones;
+    return result.length ? result.slice() : [{ x: 0, z: 0, radius: 30, kind }];
+  }
+
+  _isValidSpawnPosition(x, z) {
+    // nicht in oder direkt an Hindernissen spawnen
+    if (this.collision.overlapsCircle(x, z, 1.5)) return false;
+    return !this.navGrid || this.navGrid.isWalkable(x, z);
   }
 
   _updateScore() {
@@ -1633,118 +1742,38 @@ export default class Game {
     this.camera.getWorldPosition(camPos);
     this.camera.getWorldDirection(camDir);
     const weapon = this.weapons[this.currentWeaponIndex];
+    if (!this._useAmmo(weapon)) return;
+    // Schussgeräusch, geduckt leiser
+    this._emitNoise(camPos, weapon.noise * (this.controller.state === 'crouch' ? NOISE.crouchShot : 1), 'player');
     
-    // build hittable list once - jetzt auch Enemies einschließen
-    const hittables = [];
-    this.scene.traverse((obj) => { 
-      if (obj.isMesh && obj.userData && obj.userData.hittable) {
-        hittables.push(obj); 
-      }
-    });
-    
-    // Füge alle Enemy-Teile zur Hittable-Liste hinzu
-    for (const enemy of this.enemies) {
-      if (enemy.userData.alive) {
-        hittables.push(enemy); // Das Group-Objekt selbst
-        // Füge auch alle Children hinzu
-        enemy.children.forEach(child => {
-          if (child.isMesh) {
-            child.userData.isEnemyPart = true;
-            child.userData.parentEnemy = enemy;
-            hittables.push(child);
-          }
-        });
-      }
-    }
+    const hittables = this._playerHittables();
 
     // for each pellet/ray
     const pellets = weapon.pellets || 1;
     for (let p = 0; p < pellets; p++) {
-      // compute spread direction
+      // compute spread direction; moving, jumping and climbing widen it
       let dir = camDir.clone();
-      if (weapon.spread && weapon.spread > 0.0001) {
+      const spread = (weapon.spread || 0) + CHARACTER.inaccuracy[this.controller.state];
+      if (spread > 0.0001) {
         // random cone using spherical coords
-        const angle = (Math.random() - 0.5) * weapon.spread;
-        const angle2 = (Math.random() - 0.5) * weapon.spread;
+        const angle = (Math.random() - 0.5) * spread;
+        const angle2 = (Math.random() - 0.5) * spread;
         const quat = new THREE.Quaternion().setFromEuler(new THREE.Euler(angle2, angle, 0));
         dir.applyQuaternion(quat).normalize();
       }
+      // Projektilwaffen: die Kugel fliegt im Fixed Step weiter (_updateBullets)
+      if (weapon.ballistics) {
+        this._fireBullet(camPos, dir, weapon);
+        continue;
+      }
       const ray = new THREE.Raycaster(camPos, dir, 0, 2000);
       const intersects = ray.intersectObjects(hittables, true);
       let hitPoint = camPos.clone().add(dir.clone().multiplyScalar(1000));
-      if (intersects.length > 0) {
-        hitPoint = intersects[0].point.clone();
-        // attempt to remove target if we hit a target mesh
-        for (const t of this.targets) {
-          if (!t.alive) continue;
-          let obj = intersects[0].object;
-          while (obj) {
-            if (obj === t.mesh) { 
-              t.alive = false; 
-              this.scene.remove(t.mesh); 
-              this._updateScore(); 
-              this.money += 5; // Geld für Zielabschuss
-              this._updateMoneyDisplay();
-              break; 
-            }
-            obj = obj.parent;
-          }
-        }
-        
-        // Check if we hit an enemy (verbesserte Logik)
-        let enemyHit = false;
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-          const enemy = this.enemies[i];
-          if (!enemy.userData.alive || enemyHit) continue;
-          
-          // Prüfe direkten Treffer auf Enemy oder Enemy-Teil
-          const hitObject = intersects[0].object;
-          let isEnemyHit = false;
-          
-          // 1. Prüfe ob das getroffene Objekt ein Enemy-Teil ist
-          if (hitObject.userData && hitObject.userData.isEnemyPart && hitObject.userData.parentEnemy === enemy) {
-            isEnemyHit = true;
-          }
-          
-          // 2. Prüfe ob das getroffene Objekt der Enemy selbst ist
-          if (hitObject === enemy) {
-            isEnemyHit = true;
-          }
-          
-          // 3. Prüfe die Parent-Hierarchie
-          let obj = hitObject;
-          while (obj && !isEnemyHit) {
-            if (obj === enemy) {
-              isEnemyHit = true;
-              break;
-            }
-            obj = obj.parent;
-          }
-          
-          if (isEnemyHit) {
-            enemyHit = true; // Verhindere mehrfache Treffer
-            
-            // Damage the enemy und markiere als angegriffen
-            const damage = weapon.damage * 10; // Scale damage
-            enemy.userData.health -= damage;
-            enemy.userData.lastDamageTime = Date.now(); // Markiere als unter Beschuss
-            
-            if (enemy.userData.health <= 0) {
-              // Enemy killed
-              enemy.userData.alive = false;
-              this.scene.remove(enemy);
-              this.enemies.splice(i, 1);
-              this.money += 15; // More money for killing enemies
-              this._updateMoneyDisplay();
-              this._showTemporaryMessage(`+$15 Enemy Eliminated!`, 1500);
-            } else {
-              // Enemy damaged - zeige Blut-Effekt
-              this._createBloodEffect(intersects[0].point);
-              this._showTemporaryMessage(`Enemy Hit! (-${damage} HP)`, 800);
-            }
-            break; // Wichtig: Breche ab nachdem ein Enemy getroffen wurde
-          }
-        }
+      // durch dünne Flächen hindurch bis etwas den Schuss aufhält
+      const round = { scale: 1, passed: 0 };
+      for (const hit of intersects) {
+        hitPoint = hit.point.clone();
+        if (!this._roundPasses(hit, weapon, round, hit.distance)) break;
       }
 
       // draw subtle line tracer only (no sphere)
@@ -1764,14 +1793,7 @@ export default class Game {
         line.frustumCulled = false;
         this.scene.add(line);
         this.tracers.push({ line, start: start.clone(), dir: dir.clone(), maxDist: start.distanceTo(hitPoint), t: 0, dur: 0.05 });
-
-        const impactGeo = new THREE.SphereGeometry(0.08, 6, 6);
-        const impactMat = new THREE.MeshBasicMaterial({ color: 0xffcc99, transparent: true, opacity: 0.9 });
-        const impact = new THREE.Mesh(impactGeo, impactMat);
-        impact.position.copy(hitPoint);
-        impact.frustumCulled = false;
-        this.scene.add(impact);
-        setTimeout(() => { this.scene.remove(impact); }, 220);
+        this._showImpact(hitPoint);
       } catch (e) {}
     }
 
@@ -1789,31 +1811,239 @@ export default class Game {
     this.recoil = Math.max(this.recoil, 0.12);
   }
 
-  _loop() {
-    if (!this.running) return;
-    const dt = Math.min(0.1, this.clock.getDelta());
-    this.accumulator += dt;
-    // fixed-step physics updates
-    while (this.accumulator >= FIXED_STEP) {
-      this._fixedUpdate(FIXED_STEP);
-      this.accumulator -= FIXED_STEP;
+  // meshes player shots can hit: world parts tagged hittable plus all living enemies
+  // (built once per fixed step, see _fixedUpdate)
+  _playerHittables() {
+    if (this._hittablesCache) return this._hittablesCache;
+    const hittables = [];
+    this.scene.traverse((obj) => {
+      if (obj.isMesh && obj.userData && obj.userData.hittable) {
+        hittables.push(obj);
+      }
+    });
+
+    // Füge alle Enemy-Teile zur Hittable-Liste hinzu
+    for (const enemy of this.enemies) {
+      if (enemy.userData.alive) {
+        hittables.push(enemy); // Das Group-Objekt selbst
+        // Füge auch alle Children hinzu
+        enemy.children.forEach(child => {
+          if (child.isMesh) {
+            child.userData.isEnemyPart = true;
+            child.userData.parentEnemy = enemy;
+            hittables.push(child);
+          }
+        });
+      }
     }
-    this._render();
-    requestAnimationFrame(this._loop.bind(this));
+    this._hittablesCache = hittables;
+    return hittables;
   }
 
-  _fixedUpdate(dt) {
-  // smooth camera rotation (interpolate towards targets)
-  const smoothFactor = 1 - Math.exp(-this.smoothSpeed * dt); // responsive smoothing
-  this.smoothedPitch += (this.targetPitch - this.smoothedPitch) * smoothFactor;
+  // a round ({ scale, passed }) reached a surface at distance from the muzzle: thin ones
+  // (PENETRATION) let it through with less damage while the weapon has penetration left,
+  // anything else takes the hit and stops it; returns whether the round flies on
+  _roundPasses(hit, weapon, round, distance) {
+    const kept = PENETRATION[hit.object.userData.material];
+    if (kept && round.passed < (weapon.penetration || 0)) {
+      round.scale *= kept;
+      round.passed++;
+      return true;
+    }
+    const scale = round.scale * damageFalloff(weapon, distance);
+    if (scale > 0) this._onPlayerHit(hit, weapon, scale); // spent rounds only leave an impact
+    return false;
+  }
+
+  // a player round (hitscan ray or bullet) hit something: targets, enemies; scale is what is
+  // left of its damage after falloff and penetration
+  _onPlayerHit(hit, weapon, scale = 1) {
+    // attempt to remove target if we hit a target mesh
+    for (const t of this.targets) {
+      if (!t.alive) continue;
+      let obj = hit.object;
+      while (obj) {
+        if (obj === t.mesh) { 
+          t.alive = false; 
+          this.scene.remove(t.mesh); 
+          this._hittablesCache = null;
+          this._updateScore(); 
+          this.money += 5; // Geld für Zielabschuss
+          this._updateMoneyDisplay();
+          break; 
+        }
+        obj = obj.parent;
+      }
+    }
+    
+    // Check if we hit an enemy (verbesserte Logik)
+    let enemyHit = false;
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (!enemy.userData.alive || enemyHit) continue;
+      
+      // Prüfe direkten Treffer auf Enemy oder Enemy-Teil
+      const hitObject = hit.object;
+      let isEnemyHit = false;
+      
+      // 1. Prüfe ob das getroffene Objekt ein Enemy-Teil ist
+      if (hitObject.userData && hitObject.userData.isEnemyPart && hitObject.userData.parentEnemy === enemy) {
+        isEnemyHit = true;
+      }
+      
+      // 2. Prüfe ob das getroffene Objekt der Enemy selbst ist
+      if (hitObject === enemy) {
+        isEnemyHit = true;
+      }
+      
+      // 3. Prüfe die Parent-Hierarchie
+      let obj = hitObject;
+      while (obj && !isEnemyHit) {
+        if (obj === enemy) {
+          isEnemyHit = true;
+          break;
+        }
+        obj = obj.parent;
+      }
+      
+      if (isEnemyHit) {
+        enemyHit = true; // Verhindere mehrfache Treffer
+        // Damage the enemy und markiere als angegriffen
+        // Trefferzone: Kopf mehr, Arme und Beine weniger; Boss-Schwachstellen ersetzen sie
+        const zone = hitObject.userData.zone || 'torso';
+        const headshot = zone === 'head';
+        const weakPoint = hitObject.userData.weakPoint || HIT_ZONES[zone];
+        const friendly = this.diplomacy.damageScale('player', enemy.userData.team); // Friendly Fire
+        let amount = weapon.damage * 10 * weakPoint * friendly * scale; // Scale damage
+        // Kopfschuss mit dem Scharfschützengewehr tötet sofort (nicht Bosse und Verbündete)
+        if (headshot && weapon.headshotKill && !enemy.userData.boss && friendly >= 1) {
+          amount = Math.max(amount, enemy.userData.health / Math.max(0.01, 1 - (enemy.userData.armor || 0)));
+        }
+        const damage = this._applyEnemyDamage(enemy, amount);
+        enemy.userData.lastDamageTime = Date.now(); // Markiere als unter Beschuss
+        const killed = enemy.userData.health <= 0;
+        this._showHitMarker(headshot, killed);
+        
+        if (killed) {
+          // Enemy killed
+          enemy.userData.alive = false;
+          this.scene.remove(enemy);
+          this.enemies.splice(i, 1);
+          this._hittablesCache = null;
+          const reward = 15 + (headshot ? HEADSHOT_BONUS : 0); // More money for killing enemies
+          this.money += reward;
+          this._updateMoneyDisplay();
+          this._showTemporaryMessage(headshot ? `+$${reward} Headshot! Enemy Eliminated!` : `+$${reward} Enemy Eliminated!`, 1500);
+          this._onEnemyKilled(enemy, true);
+        } else {
+          // Enemy damaged - zeige Blut-Effekt
+          this._createBloodEffect(hit.point);
+          const label = friendly < 1 ? 'Friendly fire!' : headshot ? 'Headshot!' : hitObject.userData.weakPoint ? 'Weak point!' : 'Enemy Hit!';
+          this._showTemporaryMessage(`${label} (-${Math.round(damage)} HP)`, 800);
+        }
+        this._onPlayerAttackedFaction(enemy, killed);
+        break; // Wichtig: Breche ab nachdem ein Enemy getroffen wurde
+      }
+    }
+  }
+
+  // short cross over the crosshair for every enemy hit; red and larger for headshots
+  _showHitMarker(headshot, killed) {
+    if (!this.hitMarkerEl) return;
+    this.hitMarkerEl.className = headshot ? 'headshot' : killed ? 'kill' : 'hit';
+    clearTimeout(this._hitMarkerTimer);
+    this._hitMarkerTimer = setTimeout(() => { this.hitMarkerEl.className = ''; }, headshot ? 350 : 150);
+  }
+
+  _showImpact(point) {
+    const impactGeo = new THREE.SphereGeometry(0.08, 6, 6);
+    const impactMat = new THREE.MeshBasicMaterial({ color: 0xffcc99, transparent: true, opacity: 0.9 });
+    const impact = new THREE.Mesh(impactGeo, impactMat);
+    impact.position.copy(point);
+    impact.frustumCulled = false;
+    this.scene.add(impact);
+    setTimeout(() => { this.scene.remove(impact); }, 220);
+  }
+
+  // projectile round for weapons with ballistics (weapons.js): flies at the muzzle velocity
+  // and drops, see _updateBullets
+  _fireBullet(from, dir, weapon) {
+    if (!this._bulletGeometry) {
+      this._bulletGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.6, 4).rotateX(Math.PI / 2);
+      this._bulletMaterial = new THREE.MeshBasicMaterial({ color: 0xffeecc });
+    }
+    const mesh = new THREE.Mesh(this._bulletGeometry, this._bulletMaterial);
+    mesh.position.copy(from);
+    mesh.frustumCulled = false;
+    this.scene.add(mesh);
+    const vel = dir.clone().multiplyScalar(weapon.ballistics.velocity);
+    this.bullets.push({ mesh, pos: from.clone(), vel, life: weapon.ballistics.life, weapon, dist: 0, round: { scale: 1, passed: 0 } });
+  }
+
+  // bullets move in the fixed step: gravity bends their path, and the segment flown this step
+  // is swept against the world and the enemies where they are now (moving targets need leading)
+  _updateBullets(dt) {
+    if (!this.bullets.length) return;
+    const hittables = this._playerHittables();
+    const ray = this._bulletRay || (this._bulletRay = new THREE.Raycaster());
+    const next = new THREE.Vector3(), dir = new THREE.Vector3();
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      const b = this.bullets[i];
+      b.vel.y -= b.weapon.ballistics.gravity * dt;
+      next.copy(b.pos).addScaledVector(b.vel, dt);
+      dir.subVectors(next, b.pos);
+      const len = dir.length();
+      ray.set(b.pos, dir.divideScalar(len));
+      ray.far = len;
+      let stopped = null;
+      for (const hit of ray.intersectObjects(hittables, true)) {
+        if (!this._roundPasses(hit, b.weapon, b.round, b.dist + hit.distance)) { stopped = hit; break; }
+      }
+      b.life -= dt;
+      b.dist += len;
+      if (stopped || b.life <= 0 || next.y < -1) {
+        if (stopped) this._showImpact(stopped.point);
+        this.scene.remove(b.mesh);
+        this.bullets.splice(i, 1);
+        continue;
+      }
+      b.pos.copy(next);
+      b.mesh.position.copy(next);
+      b.mesh.lookAt(next.clone().add(b.vel));
+    }
+  }
+
+  _loop() {
+    if (!this.running) return;
+    const dt = Math.min(0.1, this.clock.getDelta());
+    this.accumulator += dt;
+    // fixed-step physics updates
+    while (this.accumulator >= FIXED_STEP) {
+      this._fixedUpdate(FIXED_STEP);
+      this.accumulator -= FIXED_STEP;
+    }
+    this._render();
+    requestAnimationFrame(this._loop.bind(this));
+  }
+
+  _fixedUpdate(dt) {
+  // smooth camera rotation (interpolate towards targets)
+  const smoothFactor = 1 - Math.exp(-this.smoothSpeed * dt); // responsive smoothing
+  this.smoothedPitch += (this.targetPitch - this.smoothedPitch) * smoothFactor;
   this.smoothedYaw += (this.targetYaw - this.smoothedYaw) * smoothFactor;
   // apply smoothed rotations to yaw/pitch objects
   this.yawObject.rotation.y = this.smoothedYaw;
   this.pitchObject.rotation.x = this.smoothedPitch;
 
+  // editor mode: fly camera only, gameplay is paused
+  if (this.editor && this.editor.active) {
+    this.editor.update(dt);
+    return;
+  }
+
+  this._updateElevators(dt);
+
   // apply movement
-  const baseSpeed = 6.0;
-  const speed = this.crouching || this.sneaking ? baseSpeed * 0.5 : baseSpeed;
     // convert camera orientation to movement direction so W is always forward relative to view
   const camDir = new THREE.Vector3();
   this.pitchObject.getWorldDirection(camDir);
@@ -1828,52 +2058,30 @@ export default class Game {
     moveDir.addScaledVector(right, this.move.right);
     if (moveDir.lengthSq() > 0.0001) moveDir.normalize();
 
-  // horizontal movement
-  this.yawObject.position.addScaledVector(moveDir, speed * dt);
-
-  // vertical movement / simple gravity + grounding
-  this.velocity.y += this.gravity * dt;
-  this.yawObject.position.y += this.velocity.y * dt;
-  // smooth crouch transition: lerp current y towards target height
-  const targetStand = this.crouching ? this.crouchHeight : this.standingHeight;
-  const currentY = this.yawObject.position.y;
-  // interpolate towards target to soften crouch/stand, but only when grounded
-  if (this.grounded) {
-    const yLerp = 1 - Math.exp(-12 * dt);
-    this.yawObject.position.y = THREE.MathUtils.lerp(this.yawObject.position.y, targetStand, yLerp);
-  }
-  if (this.yawObject.position.y <= targetStand + 0.001) {
-    this.yawObject.position.y = targetStand;
-    this.velocity.y = 0;
-    this.grounded = true;
+  // the capsule controller walks, sprints, slides, vaults, climbs, falls and lands (character.js)
+  const pos = this.yawObject.position;
+  this.controller.update(this.collision, {
+    x: moveDir.x, z: moveDir.z, forward: this.move.forward > 0,
+    sprint: this.sprinting, crouch: this.crouching, jump: this._jumpPressed, jumpHeld: this.jumpHeld
+  }, dt);
+  this._jumpPressed = false;
+  this._updateStaminaDisplay();
+  // Schritte sind hörbar, geduckt kaum (nicht beim Rutschen), sprintend öfter
+  if (this.controller.grounded && moveDir.lengthSq() > 0.0001) {
+    this._stepTimer = (this._stepTimer || 0) - dt;
+    if (this._stepTimer <= 0) {
+      this._stepTimer = this.controller.sprinting ? 0.3 : 0.45;
+      this._emitNoise(this.yawObject.position, this.controller.state === 'crouch' ? NOISE.sneakStep : NOISE.step, 'player');
+    }
   }
 
-  // simple collision: prevent walking through building bounding boxes
   if (this.buildingBoxes && this.buildingBoxes.length) {
-    const pos2d = new THREE.Vector2(this.yawObject.position.x, this.yawObject.position.z);
-    for (const bb of this.buildingBoxes) {
-      // expand box slightly for comfortable collision
-      const expanded = bb.box3.clone().expandByScalar(0.25);
-      if (pos2d.x >= expanded.min.x && pos2d.x <= expanded.max.x && pos2d.y >= expanded.min.z && pos2d.y <= expanded.max.z) {
-        // inside horizontally: push out along shortest axis
-        const dxMin = Math.abs(this.yawObject.position.x - expanded.min.x);
-        const dxMax = Math.abs(expanded.max.x - this.yawObject.position.x);
-        const dzMin = Math.abs(this.yawObject.position.z - expanded.min.z);
-        const dzMax = Math.abs(expanded.max.z - this.yawObject.position.z);
-        // choose smallest penetration to resolve
-        const minPen = Math.min(dxMin, dxMax, dzMin, dzMax);
-        if (minPen === dxMin) this.yawObject.position.x = expanded.min.x - 0.26;
-        else if (minPen === dxMax) this.yawObject.position.x = expanded.max.x + 0.26;
-        else if (minPen === dzMin) this.yawObject.position.z = expanded.min.z - 0.26;
-        else this.yawObject.position.z = expanded.max.z + 0.26;
-        // if there's a climbable balcony and player is near its base, allow a small step up
-        if (bb.climbable && this.yawObject.position.y < bb.topY + 0.6) {
-          // small vertical assist to step onto balcony
-          this.yawObject.position.y = Math.min(bb.topY - 0.6, this.yawObject.position.y + 0.6);
-          this.grounded = true;
-          this.velocity.y = 0;
-        }
-      }
+    // drinnen oder draußen: entscheidet nur wo wir stehen
+    const inside = this._interiorAt(pos);
+    const current = this.insideBuilding ? this.insideBuilding.interior : null;
+    if (inside !== current) {
+      if (current) this._leaveBuilding();
+      if (inside) this._enterBuilding(this.buildingDoors.find(d => d.interior === inside));
     }
   }
 
@@ -1883,33 +2091,17 @@ export default class Game {
       this.recoil *= Math.exp(-12 * dt);
       // move weapon group forward/back along local z (positive z moves toward camera)
       this.weapon.group.position.z = this.recoil;
+      // Nachladen: Waffe kippt nach unten, das Magazin fällt heraus und kommt wieder
+      const r = this.reloading;
+      const dip = r ? Math.sin(Math.min(1, r.t / r.time) * Math.PI) : 0;
+      this.weapon.group.rotation.x = dip * 0.5;
+      this.weapon.group.position.y = -0.2 - dip * 0.12;
+      if (this.weapon.mag) this.weapon.mag.position.y = this.weapon.magY - dip * 0.3;
     }
 
-  // update bullets (legacy - left for compatibility; currently unused with hitscan)
-    for (let i = this.bullets.length - 1; i >= 0; i--) {
-      const b = this.bullets[i];
-      const step = b.vel.clone().multiplyScalar(dt);
-      b.mesh.position.add(step);
-      b.life -= dt;
-      if (b.life <= 0) {
-        this.scene.remove(b.mesh);
-        this.bullets.splice(i, 1);
-        continue;
-      }
-      // collision with targets
-      for (const t of this.targets) {
-        if (!t.alive) continue;
-        const dist2 = t.mesh.position.distanceToSquared(b.mesh.position);
-        if (dist2 < 0.6 * 0.6) {
-          t.alive = false;
-          this.scene.remove(t.mesh);
-          this.scene.remove(b.mesh);
-          this.bullets.splice(i, 1);
-          this._updateScore();
-          break;
-        }
-      }
-    }
+  // projectile rounds (weapons with ballistics)
+  this._hittablesCache = null;
+  this._updateBullets(dt);
 
     // update tracers (animate from start -> end over tracer.dur seconds)
     for (let i = this.tracers.length - 1; i >= 0; i--) {
@@ -1977,7 +2169,12 @@ export default class Game {
   this._updateInteractionPrompt();
   
   // Update enemies
+  this._updateReload(dt);
   this._updateEnemies(dt);
+  this._updateGrenades(dt);
+  this._updateAmmoDrops(dt);
+  this._updateBossBar();
+  this._updateTerritory(dt);
   
   // Enemy Respawn System
   this._handleEnemyRespawn();
@@ -1985,145 +2182,910 @@ export default class Game {
 
   _updateEnemies(dt) {
     const playerPos = this.yawObject.position;
+    this._pathBudget = 3;
+    // one context object reused for every enemy's behaviour tree tick
+    const ctx = this._enemyCtx || (this._enemyCtx = {});
+    this._updateSquads(dt);
+    // Gefolgsleute verlieren, die tot oder nicht mehr verbündet sind
+    for (let i = this.followers.length - 1; i >= 0; i--) {
+      const f = this.followers[i];
+      if (!f.userData.alive || this.diplomacy.standing(f.userData.team) !== 'allied') this.followers.splice(i, 1);
+    }
 
     for (let i = this.enemies.length - 1; i >= 0; i--) {
       const enemy = this.enemies[i];
       if (!enemy.userData.alive) continue;
 
-      const enemyPos = enemy.position;
-      const distToPlayer = enemyPos.distanceTo(playerPos);
-
+      ctx.enemy = enemy;
+      ctx.dt = dt;
+      ctx.playerPos = playerPos;
+      ctx.distToPlayer = enemy.position.distanceTo(playerPos);
       // Prüfe ob Enemy unter Beschuss steht (erweiterte Detection)
-      const isUnderAttack = enemy.userData.lastDamageTime && (Date.now() - enemy.userData.lastDamageTime) < 5000;
-      const extendedRange = isUnderAttack ? enemy.userData.detectionRange * 2 : enemy.userData.detectionRange;
-
-      if (distToPlayer < extendedRange || isUnderAttack) {
-        // Spieler entdeckt - verfolge und schieße
-        enemy.userData.state = 'hunting_player';
-        enemy.userData.targetPlayer = true;
-
-        const dirToPlayer = new THREE.Vector3().subVectors(playerPos, enemyPos);
-        dirToPlayer.y = 0;
-        dirToPlayer.normalize();
-
-        const moveVector = dirToPlayer.clone().multiplyScalar(enemy.userData.speed * dt);
-        const candidatePos = enemyPos.clone().add(moveVector);
-        candidatePos.y = 0.5;
-
-        if (this._canMoveTo(enemyPos, candidatePos)) {
-          enemy.position.x = candidatePos.x;
-          enemy.position.z = candidatePos.z;
-          enemy.position.y = 0.5;
-        } else {
-          // try sidestep
-          const side = new THREE.Vector3(-dirToPlayer.z, 0, dirToPlayer.x).multiplyScalar(enemy.userData.speed * dt);
-          const sidePos = enemyPos.clone().add(side);
-          sidePos.y = 0.5;
-          if (this._canMoveTo(enemyPos, sidePos)) {
-            enemy.position.x = sidePos.x;
-            enemy.position.z = sidePos.z;
-            enemy.position.y = 0.5;
+      ctx.underAttack = !!enemy.userData.lastDamageTime && (Date.now() - enemy.userData.lastDamageTime) < 5000;
+      ctx.target = null;
+      ctx.targetDist = Infinity;
+      ctx.mayShoot = false;
+      ctx.suppress = false;
+      this._getBehaviorTree(enemy.userData.behavior).tick(ctx);
+    }
+  }
+
+  // compiled behaviour trees by name (data in behaviors.js), unknown names fall back to the soldier
+  _getBehaviorTree(name) {
+    if (!this._behaviorTrees) this._behaviorTrees = {};
+    const key = ENEMY_BEHAVIORS[name] ? name : 'soldier';
+    if (!this._behaviorTrees[key]) {
+      this._behaviorTrees[key] = new BehaviorTree(ENEMY_BEHAVIORS[key], this._behaviorHandlers());
+    }
+    return this._behaviorTrees[key];
+  }
+
+  // conditions and actions the behaviour trees can use; ctx is filled in _updateEnemies
+  _behaviorHandlers() {
+    return {
+      conditions: {
+        canSeePlayer: (ctx) => {
+          const data = ctx.enemy.userData;
+          // neutral and allied factions leave the player alone
+          if (!this.diplomacy.isHostile(data.team, 'player')) {
+            data.targetPlayer = false;
+            data.lastKnownPlayerPos = null;
+            return false;
+          }
+          const range = ctx.underAttack ? data.detectionRange * 2 : data.detectionRange;
+          // under attack the enemy turns around, so the vision cone does not apply
+          data.targetPlayer = this._enemyCanSee(ctx.enemy, ctx.playerPos, range, ctx.underAttack);
+          if (!data.targetPlayer) return false;
+          if (!data.lastKnownPlayerPos) data.lastKnownPlayerPos = new THREE.Vector3();
+          data.lastKnownPlayerPos.set(ctx.playerPos.x, this._feetY(ctx.playerPos), ctx.playerPos.z);
+          data.searchTimer = ENEMY_SEARCH_TIME;
+          ctx.target = ctx.playerPos;
+          ctx.targetDist = ctx.distToPlayer;
+          if (data.squad) this._squadCallOut(ctx.enemy, ctx.playerPos);
+          return true;
+        },
+        underAttack: (ctx) => ctx.underAttack,
+        hostileToPlayer: (ctx) => this.diplomacy.isHostile(ctx.enemy.userData.team, 'player'),
+        hasObjective: (ctx) => !!ctx.enemy.userData.objective,
+        hasPost: (ctx) => !!ctx.enemy.userData.post,
+        heardNoise: (ctx) => !!ctx.enemy.userData.heardNoise,
+        // squad member with a leader to stay with
+        inSquad: (ctx) => {
+          const squad = ctx.enemy.userData.squad;
+          return !!squad && !!squad.leader && squad.leader !== ctx.enemy;
+        },
+        squadRegrouping: (ctx) => {
+          const squad = ctx.enemy.userData.squad;
+          return !!squad && squad.regroupTimer > 0 && squad.members.length > 1;
+        },
+        // allied with the player and one of the followers (picked while within range)
+        alliedWithPlayer: (ctx, args) => {
+          const enemy = ctx.enemy;
+          if (this.diplomacy.standing(enemy.userData.team) !== 'allied') return false;
+          if (this.followers.includes(enemy)) return true;
+          if (this.followers.length >= MAX_FOLLOWERS || ctx.distToPlayer > (args.range || 30)) return false;
+          this.followers.push(enemy);
+          return true;
+        },
+        hasLastKnownPosition: (ctx) => !!ctx.enemy.userData.lastKnownPlayerPos,
+        inCover: (ctx) => !!ctx.enemy.userData.tactic.cover,
+        // most wounded visible teammate in range (medics)
+        allyNeedsHealing: (ctx, args) => {
+          const enemy = ctx.enemy;
+          // started patients are healed up to full health
+          const patient = enemy.userData.patient;
+          if (patient && patient.userData.alive && patient.userData.health < patient.userData.maxHealth &&
+              enemy.position.distanceTo(patient.position) < (args.range || 20)) {
+            ctx.ally = patient;
+            return true;
+          }
+          enemy.userData.patient = null;
+          let worst = 0.6; // nur unter 60% Gesundheit heilen
+          ctx.ally = null;
+          for (const other of this.enemies) {
+            if (other === enemy || !other.userData.alive || other.userData.team !== enemy.userData.team) continue;
+            const share = other.userData.health / other.userData.maxHealth;
+            if (share >= worst || enemy.position.distanceTo(other.position) > (args.range || 20)) continue;
+            if (!this._hasLineOfSight(enemy.position, other.position)) continue;
+            worst = share;
+            ctx.ally = other;
+          }
+          return !!ctx.ally;
+        },
+        // closest visible member of a hostile faction (followers also fight the player's enemies),
+        // else the target a squad mate is fighting
+        seesRival: (ctx, args) => {
+          const enemy = ctx.enemy;
+          const range = args.range || 35;
+          const team = enemy.userData.team;
+          const squad = enemy.userData.squad;
+          const following = this.followers.includes(enemy);
+          let rival = null;
+          for (const other of this.enemies) {
+            if (other === enemy || !other.userData.alive) continue;
+            if (!this.diplomacy.isHostile(team, other.userData.team) &&
+                !(following && this.diplomacy.isHostile('player', other.userData.team))) continue;
+            const d = enemy.position.distanceTo(other.position);
+            if (d < range && d < ctx.targetDist && this._enemyCanSee(enemy, other.position, range, ctx.underAttack)) {
+              ctx.target = other.position;
+              ctx.targetDist = d;
+              rival = other;
+            }
+          }
+          if (rival && squad) squad.spotTarget(rival);
+          if (!ctx.target && squad && squad.blackboard.target) {
+            const shared = squad.blackboard.target;
+            const d = enemy.position.distanceTo(shared.position);
+            if (d < range * 1.5) {
+              ctx.target = shared.position;
+              ctx.targetDist = d;
+            }
           }
+          return !!ctx.target;
         }
+      },
+      actions: {
+        rememberPlayer: (ctx) => {
+          const data = ctx.enemy.userData;
+          data.lastKnownPlayerPos = new THREE.Vector3(ctx.playerPos.x, this._feetY(ctx.playerPos), ctx.playerPos.z);
+          data.searchTimer = ENEMY_SEARCH_TIME;
+        },
+        // Taktik: vorrücken, Deckung, spähen, flankieren, nachladen, Rückzug
+        // im Trupp: eine Hälfte gibt Sperrfeuer, die andere rückt vor, dann wird getauscht
+        engage: (ctx, args) => {
+          const enemy = ctx.enemy, data = enemy.userData;
+          data.state = ctx.target === ctx.playerPos ? 'hunting_player' : 'fighting_enemy';
+          const role = data.squad ? data.squad.role(enemy) : null;
+          const mode = data.tactic.mode;
+          if (data.inside || this._interiorAt(ctx.target)) {
+            // drinnen: keine Deckungspunkte, direkt ran
+            ctx.mayShoot = this._fightIndoors(enemy, ctx.target, ctx.targetDist, args.keepDistance || 3, ctx.dt, args.speed || 1);
+          } else if (role === 'suppress' && mode !== 'reload' && mode !== 'retreat' && data.ammo > 0 && ctx.targetDist < 40) {
+            data.state = 'suppressing';
+            ctx.suppress = true;
+            ctx.mayShoot = true;
+          } else {
+            const speed = (args.speed || 1) * (role === 'advance' ? 1.2 : 1);
+            ctx.mayShoot = this._updateTactics(enemy, ctx.target, ctx.targetDist, args.keepDistance || 3, ctx.dt, speed);
+          }
+          enemy.lookAt(ctx.target.x, enemy.position.y, ctx.target.z);
+        },
+        // straight at the target without taking cover, reloading on the spot
+        charge: (ctx, args) => {
+          const enemy = ctx.enemy;
+          enemy.userData.state = ctx.target === ctx.playerPos ? 'hunting_player' : 'fighting_enemy';
+          const speed = enemy.userData.speed * (args.speed || 1);
+          if (ctx.targetDist > (args.keepDistance || 2) && !this._followPath(enemy, ctx.target, speed, ctx.dt)) {
+            this._moveEnemyDirect(enemy, ctx.target, speed, ctx.dt);
+          }
+          enemy.lookAt(ctx.target.x, enemy.position.y, ctx.target.z);
+          ctx.mayShoot = !this._reloadInPlace(enemy, ctx.dt);
+        },
+        // hold position and face the target
+        aim: (ctx) => {
+          const enemy = ctx.enemy;
+          enemy.userData.state = ctx.target === ctx.playerPos ? 'hunting_player' : 'fighting_enemy';
+          enemy.lookAt(ctx.target.x, enemy.position.y, ctx.target.z);
+          ctx.mayShoot = !this._reloadInPlace(enemy, ctx.dt);
+        },
+        // shooting timing; suppressive fire is faster and less accurate
+        shoot: (ctx, args) => {
+          const data = ctx.enemy.userData;
+          data.lastShot += ctx.dt;
+          const delay = (data.shootCooldown + Math.random() * (args.jitter || 0)) * (ctx.suppress ? 0.5 : 1);
+          if (ctx.mayShoot && data.lastShot >= delay && ctx.targetDist > (args.minRange || 0) && ctx.targetDist < (args.maxRange || 30)) {
+            this._enemyShoot(ctx.enemy, ctx.target, ctx.suppress ? 0.5 : 1);
+            data.lastShot = 0;
+          }
+        },
+        // hiding on purpose: keep the tactic running against the last known position
+        holdCover: (ctx) => {
+          const enemy = ctx.enemy;
+          const lastKnown = enemy.userData.lastKnownPlayerPos;
+          if (enemy.userData.searchTimer <= 0) return FAILURE;
+          enemy.userData.state = 'in_cover';
+          enemy.userData.searchTimer -= ctx.dt;
+          this._updateTactics(enemy, lastKnown, enemy.position.distanceTo(lastKnown), 3, ctx.dt);
+        },
+        // Sichtkontakt verloren: letzte bekannte Position absuchen
+        search: (ctx) => {
+          const enemy = ctx.enemy;
+          if (enemy.userData.tactic.mode !== 'advance') this._resetTactics(enemy);
+          if (!this._searchLastKnownPosition(enemy, ctx.dt)) return FAILURE;
+          enemy.userData.state = 'searching';
+        },
+        bossPhase: (ctx) => {
+          this._updateBossPhase(ctx.enemy, ctx.dt);
+        },
+        // slowly turn to scan the surroundings
+        lookAround: (ctx) => {
+          ctx.enemy.userData.state = 'watching';
+          ctx.enemy.rotateY(ctx.dt * 0.4);
+          this._reloadInPlace(ctx.enemy, ctx.dt);
+        },
+        // walk to the wounded teammate and heal it
+        healAlly: (ctx) => {
+          const enemy = ctx.enemy, ally = ctx.ally;
+          enemy.userData.state = 'healing';
+          enemy.userData.patient = ally;
+          const dist = enemy.position.distanceTo(ally.position);
+          if (dist > 1.5) {
+            if (!this._followPath(enemy, ally.position, enemy.userData.speed, ctx.dt)) this._moveEnemyDirect(enemy, ally.position, enemy.userData.speed, ctx.dt);
+            return;
+          }
+          enemy.lookAt(ally.position.x, enemy.position.y, ally.position.z);
+          ally.userData.health = Math.min(ally.userData.maxHealth, ally.userData.health + enemy.userData.healRate * ctx.dt);
+        },
+        // walk to a heard noise (or just turn towards it) and look around there
+        investigate: (ctx, args) => {
+          const enemy = ctx.enemy, data = enemy.userData, noise = data.heardNoise;
+          noise.timer -= ctx.dt;
+          if (noise.timer <= 0) { data.heardNoise = null; return FAILURE; }
+          data.state = 'investigating';
+          if (data.tactic.mode !== 'advance') this._resetTactics(enemy);
+          const dist = this._groundDistance(enemy.position, noise.position);
+          if (args.move !== false && dist > 2) {
+            if (!this._followPath(enemy, noise.position, data.speed, ctx.dt)) this._moveEnemyDirect(enemy, noise.position, data.speed, ctx.dt);
+          } else if (dist > 2) {
+            enemy.lookAt(noise.position.x, enemy.position.y, noise.position.z);
+          } else {
+            enemy.rotateY(ctx.dt * 1.2); // umsehen
+          }
+        },
+        // squads: walk into the block to contest and sweep it until the own faction owns it
+        contestBlock: (ctx) => {
+          const enemy = ctx.enemy, data = enemy.userData, block = data.objective;
+          if (block.owner === data.team) { data.objective = null; return FAILURE; }
+          data.state = 'contesting';
+          if (data.tactic.mode !== 'advance') this._resetTactics(enemy);
+          if (!data.currentGoal || enemy.position.distanceTo(data.currentGoal) < 2) {
+            const t = this.territory;
+            const x = block.x + (this.random() - 0.5) * t.pitchX * 0.8;
+            const z = block.z + (this.random() - 0.5) * t.pitchZ * 0.8;
+            const walkable = this.navGrid && this.navGrid.nearestWalkable(x, z);
+            data.currentGoal = walkable ? new THREE.Vector3(walkable.x, 0.5, walkable.z) : new THREE.Vector3(x, 0.5, z);
+          }
+          if (!this._followPath(enemy, data.currentGoal, data.speed, ctx.dt)) data.currentGoal = null;
+        },
+        // stay close to the player, reload while waiting
+        followPlayer: (ctx, args) => {
+          ctx.enemy.userData.state = 'following';
+          if (ctx.enemy.userData.tactic.mode !== 'advance') this._resetTactics(ctx.enemy);
+          this._stayNear(ctx.enemy, ctx.playerPos, args.distance || 4, ctx.dt);
+        },
+        // squad members trail their leader
+        followLeader: (ctx, args) => {
+          const enemy = ctx.enemy;
+          enemy.userData.state = 'following_leader';
+          if (enemy.userData.tactic.mode !== 'advance') this._resetTactics(enemy);
+          this._stayNear(enemy, enemy.userData.squad.leader.position, args.distance || SQUAD.followDistance, ctx.dt);
+        },
+        // after the leader fell: gather around the new one, who waits and looks around
+        regroup: (ctx) => {
+          const enemy = ctx.enemy, squad = enemy.userData.squad;
+          enemy.userData.state = 'regrouping';
+          if (enemy.userData.tactic.mode !== 'advance') this._resetTactics(enemy);
+          if (squad.leader === enemy) {
+            enemy.rotateY(ctx.dt * 0.6);
+            this._reloadInPlace(enemy, ctx.dt);
+            return;
+          }
+          this._stayNear(enemy, squad.leader.position, SQUAD.followDistance, ctx.dt);
+        },
+        // garrison: back to the post in the room, then watch the room
+        holdPost: (ctx) => {
+          const enemy = ctx.enemy, data = enemy.userData;
+          data.state = 'garrison';
+          if (data.tactic.mode !== 'advance') this._resetTactics(enemy);
+          if (this._groundDistance(enemy.position, data.post) > 0.8) {
+            if (!this._followPath(enemy, data.post, data.speed * 0.7, ctx.dt)) return FAILURE;
+            return;
+          }
+          enemy.rotateY(ctx.dt * 0.3);
+          this._reloadInPlace(enemy, ctx.dt);
+        },
+        // free roaming: wander to random walkable goals
+        patrol: (ctx, args) => {
+          ctx.enemy.userData.state = 'free_roaming';
+          if (ctx.enemy.userData.tactic.mode !== 'advance') this._resetTactics(ctx.enemy);
+          this._patrol(ctx.enemy, ctx.enemy.userData.speed * (args.speed || 0.7), ctx.dt);
+        }
+      }
+    };
+  }
 
-        enemy.lookAt(playerPos.x, enemy.position.y, playerPos.z);
+  // close quarters inside a building: no cover or flanking, close in and keep firing.
+  // Returns true when the enemy may fire this step
+  _fightIndoors(enemy, targetPos, dist, keepDistance, dt, speedFactor = 1) {
+    if (enemy.userData.tactic.mode !== 'advance') this._resetTactics(enemy);
+    const speed = enemy.userData.speed * speedFactor;
+    if (dist > keepDistance + 2) {
+      this._followPath(enemy, targetPos, speed, dt);
+    } else if (dist < keepDistance && enemy.userData.inside) {
+      // zu nah: im Raum zurückweichen
+      const pos = enemy.position, inside = enemy.userData.inside;
+      let dx = pos.x - targetPos.x, dz = pos.z - targetPos.z;
+      if (Math.hypot(dx, dz) < 0.1) { dx = inside.x - pos.x; dz = inside.z - pos.z; }
+      const len = Math.hypot(dx, dz) || 1;
+      const p = inside.clamp(pos.x + dx / len * 2, pos.z + dz / len * 2, 0.5);
+      if (inside.walkable(pos.x, pos.z, p.x, p.z, inside.floorAt(pos.y))) this._stepEnemyTowards(enemy, p.x, pos.y, p.z, speed * dt);
+      enemy.lookAt(targetPos.x, pos.y, targetPos.z);
+    }
+    return !this._reloadInPlace(enemy, dt);
+  }
 
-        // shooting timing
-        enemy.userData.lastShot += dt;
-        const shootDelay = enemy.userData.shootCooldown + (Math.random() * 0.5);
-        if (enemy.userData.lastShot >= shootDelay && distToPlayer > 3 && distToPlayer < 30) {
-          this._enemyShoot(enemy, playerPos);
-          enemy.userData.lastShot = 0;
-        }
-        continue;
+  // walk towards pos until within distance (faster when far behind), then reload and wait
+  _stayNear(enemy, pos, distance, dt) {
+    const dist = this._groundDistance(enemy.position, pos);
+    if (dist > distance) {
+      // aufholen, wenn das Ziel weit weg ist
+      const speed = enemy.userData.speed * (dist > distance * 3 ? 1.5 : 1);
+      if (!this._followPath(enemy, pos, speed, dt)) this._moveEnemyDirect(enemy, pos, speed, dt);
+    } else {
+      enemy.lookAt(pos.x, enemy.position.y, pos.z);
+      this._reloadInPlace(enemy, dt);
+    }
+  }
+
+  // wander/go to goal
+  _patrol(enemy, speed, dt) {
+    const enemyPos = enemy.position;
+    if (!enemy.userData.currentGoal || Math.random() < 0.01) {
+      const angle = Math.random() * Math.PI * 2;
+      const distance = 15 + Math.random() * 25;
+      enemy.userData.currentGoal = new THREE.Vector3(
+        enemyPos.x + Math.cos(angle) * distance,
+        0.5,
+        enemyPos.z + Math.sin(angle) * distance
+      );
+      // innerhalb des Levels (Navigationsgitter) bleiben und auf begehbare Fläche legen
+      const nav = this.navGrid;
+      if (nav) {
+        enemy.userData.currentGoal.x = Math.max(nav.minX, Math.min(nav.minX + nav.cols * nav.cellSize, enemy.userData.currentGoal.x));
+        enemy.userData.currentGoal.z = Math.max(nav.minZ, Math.min(nav.minZ + nav.rows * nav.cellSize, enemy.userData.currentGoal.z));
+      }
+      const walkable = nav && nav.nearestWalkable(enemy.userData.currentGoal.x, enemy.userData.currentGoal.z);
+      if (walkable) enemy.userData.currentGoal.set(walkable.x, 0.5, walkable.z);
+    }
+
+    const goal = enemy.userData.currentGoal;
+    const distToGoal = enemyPos.distanceTo(goal);
+    if (distToGoal > 2) {
+      if (!this._followPath(enemy, goal, speed, dt)) {
+        enemy.userData.currentGoal = null;
       }
+    } else {
+      enemy.userData.currentGoal = null;
+    }
+  }
+
 
-      // free roaming / look for enemies from other teams
-      enemy.userData.state = 'free_roaming';
-      let targetEnemy = null;
-      let closestEnemyDist = Infinity;
+  // tactical layer for an enemy fighting a threat at threatPos: advance, take cover,
+  // hide and peek, flank, reload behind cover and retreat when wounded.
+  // Moves the enemy and returns true when it may fire this step.
+  _updateTactics(enemy, threatPos, distToThreat, keepDistance, dt, speedFactor = 1) {
+    const data = enemy.userData;
+    const t = data.tactic;
+    const speed = data.speed * speedFactor;
+    t.timer -= dt;
 
-      for (const other of this.enemies) {
-        if (other === enemy || !other.userData.alive) continue;
-        if (other.userData.team === enemy.userData.team) continue;
-        const d = enemyPos.distanceTo(other.position);
-        if (d < 35 && d < closestEnemyDist) {
-          targetEnemy = other;
-          closestEnemyDist = d;
+    // Magazin leer: hinter Deckung nachladen
+    if (data.ammo <= 0 && t.mode !== 'reload') {
+      this._setTactic(enemy, 'reload', data.reloadTime, this._findCover(enemy, threatPos, 10));
+    }
+    // verwundet: einmal weiter weg in Deckung zurückziehen
+    if (data.health < data.maxHealth * WOUNDED_HEALTH && !t.retreated && t.mode !== 'reload') {
+      t.retreated = true;
+      const cover = this._findCover(enemy, threatPos, 25, true);
+      this._setTactic(enemy, 'retreat', cover ? 12 : 3, cover);
+    }
+    // the threat walked around our cover
+    if ((t.mode === 'hide' || t.mode === 'peek') && !CoverMap.shields(t.cover, threatPos.x, threatPos.z)) {
+      this._setTactic(enemy, 'advance', 0.5 + Math.random(), null);
+    }
+
+    switch (t.mode) {
+      case 'reload':
+        // nachgeladen wird erst in der Deckung (sofort, wenn es keine gibt)
+        if (t.cover && !this._moveToPoint(enemy, t.cover, speed * 1.2, dt)) t.timer = data.reloadTime;
+        if (t.timer <= 0) {
+          data.ammo = data.magazineSize;
+          if (t.cover) this._setTactic(enemy, 'hide', 0.3, t.cover);
+          else this._setTactic(enemy, 'advance', 1, null);
         }
-      }
+        return false;
 
-      if (targetEnemy) {
-        // fight another enemy
-        enemy.userData.state = 'fighting_enemy';
-        const dir = new THREE.Vector3().subVectors(targetEnemy.position, enemyPos);
-        dir.y = 0; dir.normalize();
-        const move = dir.clone().multiplyScalar(enemy.userData.speed * 0.8 * dt);
-        const nextPos = enemyPos.clone().add(move); nextPos.y = 0.5;
-        if (this._canMoveTo(enemyPos, nextPos)) {
-          enemy.position.x = nextPos.x; enemy.position.z = nextPos.z; enemy.position.y = 0.5;
+      case 'retreat':
+        if (t.cover) {
+          if (this._moveToPoint(enemy, t.cover, speed * 1.3, dt) || t.timer <= 0) this._setTactic(enemy, 'hide', 3 + Math.random() * 2, t.cover);
+          return false;
         }
-        enemy.lookAt(targetEnemy.position.x, enemy.position.y, targetEnemy.position.z);
+        // nowhere to hide: back off while firing
+        this._moveEnemyDirect(enemy, new THREE.Vector3(2 * enemy.position.x - threatPos.x, 0.5, 2 * enemy.position.z - threatPos.z), speed, dt);
+        if (t.timer <= 0) this._setTactic(enemy, 'advance', 2, null);
+        return true;
+
+      case 'take_cover':
+        if (this._moveToPoint(enemy, t.cover, speed * 1.1, dt) || t.timer <= 0) this._setTactic(enemy, 'hide', 1 + Math.random() * 1.5, t.cover);
+        return false;
+
+      case 'hide': {
+        this._moveToPoint(enemy, t.cover, speed, dt);
+        if (t.timer > 0) return false;
+        const peek = t.peeks < 3 ? this._findPeekSpot(t.cover, threatPos) : null;
+        if (peek) {
+          this._setTactic(enemy, 'peek', 1.5 + Math.random() * 1.5, t.cover);
+          t.peek = peek;
+          t.peeks++;
+        } else {
+          // kein Schussfeld mehr von hier: flankieren
+          this._startFlank(enemy, threatPos);
+        }
+        return false;
+      }
+
+      case 'peek':
+        this._moveToPoint(enemy, t.peek, speed, dt);
+        if (t.timer <= 0) this._setTactic(enemy, 'hide', 1 + Math.random() * 1.5, t.cover);
+        return true;
+
+      case 'flank':
+        if (this._moveToPoint(enemy, t.goal, speed * 1.1, dt) || t.timer <= 0) this._setTactic(enemy, 'advance', 2 + Math.random() * 2, null);
+        return true;
 
-        enemy.userData.lastShot += dt;
-        const fightDelay = enemy.userData.shootCooldown + (Math.random() * 1.0);
-        if (enemy.userData.lastShot >= fightDelay && closestEnemyDist > 2 && closestEnemyDist < 25) {
-          this._enemyShoot(enemy, targetEnemy.position);
-          enemy.userData.lastShot = 0;
+      default:
+        // advance: chase the threat, now and then look for cover on the way
+        if (distToThreat > keepDistance && !this._followPath(enemy, threatPos, speed, dt)) {
+          this._moveEnemyDirect(enemy, threatPos, speed, dt);
         }
-        continue;
+        if (t.timer <= 0) {
+          t.timer = 1.5 + Math.random() * 1.5;
+          const cover = distToThreat < 30 ? this._findCover(enemy, threatPos, 12) : null;
+          if (cover) this._setTactic(enemy, 'take_cover', 6, cover);
+        }
+        return true;
+    }
+  }
+
+  // reload without moving when the magazine is empty; true while reloading
+  _reloadInPlace(enemy, dt) {
+    const data = enemy.userData;
+    if (data.ammo > 0) return false;
+    data.reloadTimer = (data.reloadTimer || data.reloadTime) - dt;
+    if (data.reloadTimer > 0) return true;
+    data.reloadTimer = 0;
+    data.ammo = data.magazineSize;
+    return false;
+  }
+
+  // switch tactic mode; a new cover point is claimed so two enemies don't share it
+  _setTactic(enemy, mode, timer, cover) {
+    const t = enemy.userData.tactic;
+    if (cover !== t.cover) {
+      if (t.cover && t.cover.occupant === enemy) t.cover.occupant = null;
+      if (cover) cover.occupant = enemy;
+      t.cover = cover;
+      t.peeks = 0;
+    }
+    t.mode = mode;
+    t.timer = timer;
+  }
+
+  _resetTactics(enemy) {
+    const data = enemy.userData;
+    if (!data.tactic) return;
+    this._setTactic(enemy, 'advance', 0, null);
+    if (data.ammo <= 0) data.ammo = data.magazineSize; // beim Weitergehen nachgeladen
+  }
+
+  // best free cover point within maxDist that hides the enemy from the threat.
+  // away: only points farther from the threat than the enemy is now (retreat).
+  _findCover(enemy, threatPos, maxDist, away = false) {
+    if (!this.coverMap) return null;
+    const pos = enemy.position;
+    const threatDist = Math.hypot(pos.x - threatPos.x, pos.z - threatPos.z);
+    const scored = [];
+    for (const p of this.coverMap.query(pos.x, pos.z, maxDist)) {
+      if (p.occupant && p.occupant !== enemy && p.occupant.userData.alive) continue;
+      const dThreat = Math.hypot(p.x - threatPos.x, p.z - threatPos.z);
+      if (dThreat < 5 || !CoverMap.shields(p, threatPos.x, threatPos.z)) continue;
+      if (away && dThreat < threatDist) continue;
+      const dSelf = Math.hypot(p.x - pos.x, p.z - pos.z);
+      // near cover first; retreating prefers distance to the threat, otherwise don't fall back much
+      const score = dSelf + (away ? -dThreat * 0.5 : Math.max(0, dThreat - threatDist) * 0.5);
+      scored.push({ p, score });
+    }
+    scored.sort((a, b) => a.score - b.score);
+    // geduckt (0.6 m) muss die Sicht zur Bedrohung wirklich blockiert sein
+    const crouch = new THREE.Vector3();
+    for (let i = 0; i < Math.min(6, scored.length); i++) {
+      const p = scored[i].p;
+      if (!this._hasLineOfSight(crouch.set(p.x, 0.6, p.z), threatPos)) return p;
+    }
+    return null;
+  }
+
+  // spot next to a cover point with a clear shot at the threat: standing up behind
+  // low cover, or stepping out sideways past a wall edge
+  _findPeekSpot(cover, threatPos) {
+    const eye = new THREE.Vector3();
+    for (const offset of [0, 1.5, -1.5, 3, -3]) {
+      const x = cover.x - cover.nz * offset, z = cover.z + cover.nx * offset;
+      if (offset !== 0 && this.collision.overlapsCircle(x, z, ENEMY_RADIUS)) continue;
+      if (this._hasLineOfSight(eye.set(x, 0.5 + ENEMY_EYE_HEIGHT, z), threatPos)) return new THREE.Vector3(x, 0.5, z);
+    }
+    return null;
+  }
+
+  // pick a point beside the threat (around the block) and head there
+  _startFlank(enemy, threatPos) {
+    const dx = enemy.position.x - threatPos.x, dz = enemy.position.z - threatPos.z;
+    const len = Math.hypot(dx, dz) || 1;
+    const side = Math.random() < 0.5 ? 1 : -1;
+    const gx = threatPos.x + (dx / len) * 8 - (dz / len) * side * 15;
+    const gz = threatPos.z + (dz / len) * 8 + (dx / len) * side * 15;
+    const goal = this.navGrid ? this.navGrid.nearestWalkable(gx, gz) : new THREE.Vector3(gx, 0, gz);
+    if (!goal) {
+      this._setTactic(enemy, 'advance', 2, null);
+      return;
+    }
+    this._setTactic(enemy, 'flank', 10, null);
+    enemy.userData.tactic.goal = goal.setY(0.5);
+  }
+
+  // path to a point, the last few meters straight (cover points hug walls the grid blocks).
+  // Returns true once the enemy stands there.
+  _moveToPoint(enemy, point, speed, dt) {
+    const dist = Math.hypot(point.x - enemy.position.x, point.z - enemy.position.z);
+    if (dist < 0.6) return true;
+    const goal = this._tmpMoveGoal || (this._tmpMoveGoal = new THREE.Vector3());
+    goal.set(point.x, 0.5, point.z);
+    if (dist < 3 || !this._followPath(enemy, goal, speed, dt)) this._moveEnemyDirect(enemy, goal, speed, dt);
+    return false;
+  }
+
+  // walk to the last known player position and look around there.
+  // Returns false once the search is over (time up or no route).
+  _searchLastKnownPosition(enemy, dt) {
+    const data = enemy.userData;
+    const target = data.lastKnownPlayerPos;
+    data.searchTimer -= dt;
+    if (data.searchTimer <= 0) {
+      data.lastKnownPlayerPos = null;
+      return false;
+    }
+    const dist = this._groundDistance(enemy.position, target);
+    if (dist > 1.5) {
+      if (!this._followPath(enemy, target, data.speed * 0.9, dt)) {
+        data.lastKnownPlayerPos = null;
+        return false;
       }
+    } else {
+      // Umsehen: langsam drehen, damit der Sichtkegel die Umgebung absucht
+      enemy.rotateY(dt * 1.5);
+    }
+    return true;
+  }
 
-      // wander/go to goal
-      if (!enemy.userData.currentGoal || Math.random() < 0.01) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 15 + Math.random() * 25;
-        enemy.userData.currentGoal = new THREE.Vector3(
-          enemyPos.x + Math.cos(angle) * distance,
-          0.5,
-          enemyPos.z + Math.sin(angle) * distance
-        );
-        enemy.userData.currentGoal.x = Math.max(-100, Math.min(100, enemy.userData.currentGoal.x));
-        enemy.userData.currentGoal.z = Math.max(-100, Math.min(100, enemy.userData.currentGoal.z));
-      }
-
-      const goal = enemy.userData.currentGoal;
-      const distToGoal = enemyPos.distanceTo(goal);
-      if (distToGoal > 2) {
-        const dir = new THREE.Vector3().subVectors(goal, enemyPos);
-        dir.y = 0; dir.normalize();
-        dir.x += (Math.random() - 0.5) * 0.3;
-        dir.z += (Math.random() - 0.5) * 0.3;
-        dir.normalize();
-        const mv = dir.clone().multiplyScalar(enemy.userData.speed * 0.7 * dt);
-        const cand = enemyPos.clone().add(mv); cand.y = 0.5;
-        if (this._canMoveTo(enemyPos, cand)) {
-          enemy.position.x = cand.x; enemy.position.z = cand.z; enemy.position.y = 0.5;
-          enemy.lookAt(enemy.position.x + dir.x * 5, enemy.position.y, enemy.position.z + dir.z * 5);
-        } else {
-          enemy.userData.currentGoal = null;
+  // move an enemy along an A* path towards goal; returns false when no path exists.
+  // Paths are cached in userData and recomputed when the goal moves or the path goes stale.
+  _followPath(enemy, goal, speed, dt) {
+    if (!this.navGrid) return false;
+    const data = enemy.userData;
+    // durch Türen hinein, drinnen über die Knoten, wieder hinaus
+    if (data.inside || data.doorway || this._interiorAt(goal)) return this._followInteriorPath(enemy, goal, speed, dt);
+    data.repathTimer = (data.repathTimer || 0) - dt;
+    const goalMoved = !data.pathGoal || data.pathGoal.distanceToSquared(goal) > 4;
+    const needsPath = !data.path || (goalMoved && data.repathTimer <= 0);
+    // limit A* queries per step so many enemies don't spike one frame
+    if (needsPath && this._pathBudget > 0) {
+      this._pathBudget--;
+      data.path = this.navGrid.findPath(enemy.position, goal);
+      data.pathIndex = 0;
+      data.pathGoal = new THREE.Vector3(goal.x, 0, goal.z);
+      data.repathTimer = 0.75 + Math.random() * 0.5;
+      if (!data.path) return false;
+    }
+    if (!data.path) return true; // waiting for a query slot
+
+    let waypoint = data.path[data.pathIndex];
+    while (waypoint && Math.hypot(waypoint.x - enemy.position.x, waypoint.z - enemy.position.z) < 0.5) {
+      data.pathIndex++;
+      waypoint = data.path[data.pathIndex];
+    }
+    if (!waypoint) {
+      data.path = null;
+      return true;
+    }
+
+    const dir = new THREE.Vector3(waypoint.x - enemy.position.x, 0, waypoint.z - enemy.position.z);
+    const dist = dir.length();
+    dir.divideScalar(dist || 1);
+    const step = Math.min(dist, speed * dt);
+    const nextX = enemy.position.x + dir.x * step;
+    const nextZ = enemy.position.z + dir.z * step;
+    // grid cells along obstacle edges are blocked; an enemy already standing in one only collides with real geometry
+    const offGrid = !this.navGrid.isWalkable(nextX, nextZ) && this.navGrid.isWalkable(enemy.position.x, enemy.position.z);
+    if (offGrid || this._blockedByWorld(enemy.position, { x: nextX, z: nextZ }, enemy.userData.radius)) {
+      // world changed under the path (or we were pushed): plan again next time
+      data.path = null;
+      data.repathTimer = 0;
+      return true;
+    }
+    enemy.position.x = nextX;
+    enemy.position.z = nextZ;
+    enemy.lookAt(enemy.position.x + dir.x * 5, enemy.position.y, enemy.position.z + dir.z * 5);
+    return true;
+  }
+
+  // straight-line step with a single sidestep (fallback when there is no path)
+  _moveEnemyDirect(enemy, goal, speed, dt) {
+    if (enemy.userData.inside || enemy.userData.doorway || this._interiorAt(goal)) {
+      this._followInteriorPath(enemy, goal, speed, dt);
+      return;
+    }
+    const enemyPos = enemy.position;
+    const dir = new THREE.Vector3().subVectors(goal, enemyPos);
+    dir.y = 0;
+    dir.normalize();
+    const radius = enemy.userData.radius || ENEMY_RADIUS;
+    const candidatePos = enemyPos.clone().addScaledVector(dir, speed * dt);
+    if (this._canMoveTo(enemyPos, candidatePos, radius)) {
+      enemy.position.set(candidatePos.x, enemyPos.y, candidatePos.z);
+      return;
+    }
+    // try sidestep
+    const sidePos = enemyPos.clone().add(new THREE.Vector3(-dir.z, 0, dir.x).multiplyScalar(speed * dt));
+    if (this._canMoveTo(enemyPos, sidePos, radius)) {
+      enemy.position.set(sidePos.x, enemyPos.y, sidePos.z);
+    }
+  }
+
+  // Kollision mit Gebäuden, Bäumen, Laternen, Bänken und Brunnen
+  _blockedByWorld(currentPos, newPos, radius = ENEMY_RADIUS) {
+    const hit = this.collision.overlapsCircle(newPos.x, newPos.z, radius);
+    if (!hit) return false;
+    // already stuck inside (e.g. spawned there): only allow moves away from the obstacle
+    const c = hit.box3.getCenter(new THREE.Vector3());
+    const stuck = this.collision.overlapsCircle(currentPos.x, currentPos.z, radius, e => e === hit);
+    const movingAway = Math.hypot(newPos.x - c.x, newPos.z - c.z) > Math.hypot(currentPos.x - c.x, currentPos.z - c.z);
+    return !(stuck && movingAway);
+  }
+
+  // enemies entering, crossing and leaving buildings: walk to the door of the goal's building,
+  // open it and walk through the doorway, follow the interior nodes (stairs between storeys)
+  // and leave through the door closest to a goal outside. Returns false when there is no way in.
+  _followInteriorPath(enemy, goal, speed, dt) {
+    const data = enemy.userData, pos = enemy.position;
+    // mitten in der Tür: erst ganz durchgehen
+    if (data.doorway) {
+      const way = data.doorway, p = way.points[0];
+      if (this._stepEnemyTowards(enemy, p.x, 0.5, p.z, speed * dt)) {
+        way.points.shift();
+        if (!way.points.length) {
+          data.doorway = null;
+          data.inside = way.inside;
+          data.path = null;
+          data.interiorPath = null;
         }
+      }
+      return true;
+    }
+    if (data.riding) return this._rideElevator(enemy, speed, dt);
+    const target = this._interiorAt(goal);
+    const inside = data.inside;
+    if (!inside) {
+      const door = this._usableDoor(target, pos.x, pos.z);
+      if (!door) return false;
+      const spot = this._tmpDoorSpot || (this._tmpDoorSpot = new THREE.Vector3());
+      spot.set(door.outside.x, 0.5, door.outside.z);
+      const dist = Math.hypot(spot.x - pos.x, spot.z - pos.z);
+      if (dist > 0.8) {
+        if (dist < 3 || !this._followPath(enemy, spot, speed, dt)) this._moveEnemyDirect(enemy, spot, speed, dt);
       } else {
-        enemy.userData.currentGoal = null;
+        this._enterInterior(enemy, target, door);
+      }
+      return true;
+    }
+
+    // same storey and nothing in the way: straight there
+    const floor = inside.floorAt(pos.y);
+    if (target === inside && inside.floorAt(goal.y) === floor && inside.walkable(pos.x, pos.z, goal.x, goal.z, floor)) {
+      data.interiorPath = null;
+      const p = inside.clamp(goal.x, goal.z, 0.5);
+      this._stepEnemyTowards(enemy, p.x, pos.y, p.z, speed * dt);
+      return true;
+    }
+    const exit = target === inside ? null : this._usableDoor(inside, goal.x, goal.z);
+    const node = exit ? exit.inside : inside.nearestNode(goal.x, goal.y, goal.z);
+    if (!node) return false;
+    if (!data.interiorPath || data.interiorGoal !== node) {
+      data.interiorPath = inside.path(pos.x, pos.y, pos.z, node);
+      data.interiorGoal = node;
+      if (!data.interiorPath) return false;
+    }
+    const next = data.interiorPath[0];
+    // Aufzug zu einem anderen Stockwerk: an der Schachttür warten bis sie offen ist, dann einsteigen
+    if (next.kind === 'elevator' && next.floor !== floor && inside.elevator) {
+      const ev = inside.elevator;
+      if (ev.openAt(floor)) {
+        data.riding = { elevator: ev, from: floor, to: next, stage: 'boarding' };
+        data.interiorPath = null;
+      } else {
+        ev.request(floor);
+      }
+      return true;
+    }
+    // Treppen etwas langsamer
+    const climbing = Math.abs(next.y + 0.5 - pos.y) > 0.1;
+    if (this._stepEnemyTowards(enemy, next.x, next.y + 0.5, next.z, speed * dt * (climbing ? 0.6 : 1))) {
+      data.interiorPath.shift();
+      if (!data.interiorPath.length) {
+        data.interiorPath = null;
+        if (exit) this._leaveInterior(enemy, exit);
       }
     }
+    return true;
   }
 
-  _canMoveTo(currentPos, newPos) {
-    // Einfache Kollisionserkennung mit Gebäuden
-  // Buildings are arranged in a 20x20 grid
-    for (let x = 0; x < 20; x++) {
-      for (let z = 0; z < 20; z++) {
-        const buildingX = (x - 10) * 20;
-        const buildingZ = (z - 10) * 20;
-        
-        // Check if the new position is inside a building
-        if (newPos.x > buildingX - 8 && newPos.x < buildingX + 8 &&
-            newPos.z > buildingZ - 8 && newPos.z < buildingZ + 8) {
-          return false; // collision with building
+  // elevator ride of an enemy (data.riding): step into the car while its doors are open, ride to
+  // the storey of the target node, step out once the doors open there
+  _rideElevator(enemy, speed, dt) {
+    const data = enemy.userData, pos = enemy.position;
+    const ride = data.riding, ev = ride.elevator, to = ride.to;
+    if (ride.stage === 'boarding') {
+      // Türen zu bevor wir drin sind: neu planen
+      if (!ev.openAt(ride.from)) data.riding = null;
+      else if (this._stepEnemyTowards(enemy, ev.center.x, pos.y, ev.center.z, speed * dt)) {
+        ride.stage = 'aboard';
+        ev.request(to.floor);
+      }
+      return true;
+    }
+    if (ride.stage === 'aboard') {
+      if (ev.openAt(to.floor)) ride.stage = 'leaving';
+      else if (!ev.requested(to.floor)) ev.request(to.floor);
+      return true;
+    }
+    if (this._stepEnemyTowards(enemy, to.x, to.y + 0.5, to.z, speed * dt)) {
+      data.riding = null;
+      data.interiorPath = null;
+    }
+    return true;
+  }
+
+  // door of the building closest to x/z; doors blocked by a neighbouring building don't count
+  _usableDoor(interior, x, z) {
+    return interior.nearestDoor(x, z, d => !this._interiorAt({ x: d.outside.x, y: 0.5, z: d.outside.z }));
+  }
+
+  // move up to maxStep towards the point (no collision); returns true once there
+  _stepEnemyTowards(enemy, x, y, z, maxStep) {
+    const pos = enemy.position;
+    const dx = x - pos.x, dy = y - pos.y, dz = z - pos.z;
+    const dist = Math.hypot(dx, dy, dz);
+    if (dist < 0.3) return true;
+    const step = Math.min(dist, maxStep) / dist;
+    pos.set(pos.x + dx * step, pos.y + dy * step, pos.z + dz * step);
+    if (Math.hypot(dx, dz) > 0.05) enemy.lookAt(x, pos.y, z);
+    return false;
+  }
+
+  // through the doorway to the node inside; a closed door gets opened (and heard)
+  _enterInterior(enemy, interior, door) {
+    const data = enemy.userData;
+    this._openDoorFor(enemy, door);
+    data.doorway = { inside: interior, points: [door, door.inside] };
+    data.path = null;
+    data.interiorPath = null;
+  }
+
+  _leaveInterior(enemy, door) {
+    const data = enemy.userData;
+    this._openDoorFor(enemy, door);
+    data.doorway = { inside: null, points: [door, door.outside] };
+    data.path = null;
+    data.interiorPath = null;
+  }
+
+  _openDoorFor(enemy, door) {
+    if (!door.mesh || door.mesh.userData.open) return;
+    this._setDoorOpen(door.mesh, true);
+    this._emitNoise(new THREE.Vector3(door.x, enemy.position.y + ENEMY_EYE_HEIGHT, door.z), NOISE.door, enemy.userData.team);
+  }
+
+  // elevators run in the fixed step: the car carries the player and riding enemies along,
+  // the gates follow its doors and requested floors light up their buttons
+  _updateElevators(dt) {
+    const pos = this.yawObject.position;
+    const feetY = this.controller.feetY;
+    for (const ev of this.elevators) {
+      // stillstehend mit geschlossenen Türen ändert sich nichts
+      if (ev.state === 'idle' && !ev.queue.length) continue;
+      const aboard = ev.carries(pos.x, feetY, pos.z);
+      const dy = ev.update(dt);
+      if (aboard) pos.y += dy;
+      ev.mesh.position.y = ev.y;
+      for (const gate of ev.interior.gates) {
+        gate.mesh.userData.open = ev.openAt(gate.floor);
+        gate.mesh.scale.x = 1 - 0.95 * ev.doorsAt(gate.floor);
+      }
+      for (const b of ev.buttons) {
+        const lit = ev.requested(b.userData.elevatorButton.floor);
+        if (b.userData.lit !== lit) {
+          b.userData.lit = lit;
+          b.material.emissive.setHex(lit ? 0xffaa22 : 0x000000);
         }
       }
     }
+    for (const enemy of this.enemies) {
+      const riding = enemy.userData.riding;
+      if (riding && riding.stage === 'aboard') enemy.position.y = riding.elevator.y + 0.5;
+    }
+  }
+
+  // building whose inside (below the roof) contains the point, or null
+  _interiorAt(pos) {
+    if (!this.collision) return null;
+    const hit = this.collision.overlapsCircle(pos.x, pos.z, 0.01, e => !!e.interior && pos.y < e.topY && e.interior.contains(pos.x, pos.z));
+    return hit ? hit.interior : null;
+  }
+
+  // enemy standing height under a player eye or muzzle position (keeps the storey indoors)
+  _feetY(pos) {
+    return Math.max(0.5, pos.y - ENEMY_EYE_TO_FEET);
+  }
+
+  // horizontal distance; points storeys apart add their height difference
+  _groundDistance(from, to) {
+    const dy = Math.abs(to.y - from.y);
+    return Math.hypot(to.x - from.x, to.z - from.z) + (dy > 1.5 ? dy : 0);
+  }
+
+  // true when nothing static (building, tree, lamp, bench, fountain) is between the points.
+  // Buildings only block with their walls, closed doors and floors, so open doorways see through
+  _hasLineOfSight(from, to) {
+    return !this.collision.raycast(from, to);
+  }
+
+  // can the enemy see targetPos: within range, inside its vision cone
+  // (skipped when alert or very close) and with a free line of sight
+  _enemyCanSee(enemy, targetPos, range, alert = false) {
+    const eye = this._tmpEye || (this._tmpEye = new THREE.Vector3());
+    eye.set(enemy.position.x, enemy.position.y + ENEMY_EYE_HEIGHT, enemy.position.z);
+    const dx = targetPos.x - eye.x, dz = targetPos.z - eye.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist > range) return false;
+    if (!alert && dist > ENEMY_NEAR_SENSE) {
+      // lookAt() points the enemy's +Z axis at its target
+      const facing = enemy.getWorldDirection(this._tmpFacing || (this._tmpFacing = new THREE.Vector3()));
+      const cos = (facing.x * dx + facing.z * dz) / (Math.hypot(facing.x, facing.z) * dist || 1);
+      if (cos < Math.cos(enemy.userData.fov / 2)) return false;
+    }
+    return this._hasLineOfSight(eye, targetPos);
+  }
+
+  // sound event: enemies in earshot remember where it came from and investigate.
+  // source is a faction id or 'player'; only enemies hostile to it react (null = everyone)
+  _emitNoise(position, radius, source = null) {
+    const ear = this._noiseEar || (this._noiseEar = new THREE.Vector3());
+    for (const enemy of this.enemies) {
+      const data = enemy.userData;
+      if (!data.alive || data.boss) continue;
+      if (source && !this.diplomacy.isHostile(data.team, source)) continue;
+      const d = Math.hypot(enemy.position.x - position.x, enemy.position.z - position.z);
+      if (d > radius) continue;
+      // Wände dämpfen: jenseits des halben Radius nur mit freier Linie hörbar
+      ear.set(enemy.position.x, enemy.position.y + ENEMY_EYE_HEIGHT, enemy.position.z);
+      if (d > radius * 0.5 && !this._hasLineOfSight(ear, position)) continue;
+      if (!data.heardNoise) data.heardNoise = { position: new THREE.Vector3(), timer: 0 };
+      data.heardNoise.position.set(position.x, this._feetY(position), position.z);
+      data.heardNoise.timer = ENEMY_INVESTIGATE_TIME;
+    }
+  }
+
+  _canMoveTo(currentPos, newPos, radius = ENEMY_RADIUS) {
+    if (this._blockedByWorld(currentPos, newPos, radius)) return false;
     
     // Prüfe Kollision mit anderen Enemies
     for (const enemy of this.enemies) {
@@ -2137,7 +3099,8 @@ export default class Game {
     return true; // Bewegung erlaubt
   }
 
-  _enemyShoot(enemy, targetPos) {
+  // accuracyScale < 1 for suppressive fire
+  _enemyShoot(enemy, targetPos, accuracyScale = 1) {
     const currentTime = Date.now();
     const weaponType = enemy.userData.weaponType;
     
@@ -2154,7 +3117,9 @@ export default class Game {
       return; // Noch nicht bereit zum Schießen
     }
     
+    if (enemy.userData.ammo <= 0) return; // Magazin leer, erst nachladen
     enemy.userData.lastShot = currentTime;
+    enemy.userData.ammo--;
     
     // Muzzle Flash Effekt erstellen
     this._createEnemyMuzzleFlash(enemy);
@@ -2177,8 +3142,10 @@ export default class Game {
       case 'sniper': accuracy = distToTarget > 20 ? 0.7 : 0.2; break; // Nur auf lange Distanz gut
     }
     
-    // Distanz-Malus
-    accuracy *= Math.max(0.1, 1 - (distToTarget / 50));
+    // Archetyp-Treffsicherheit und Distanz-Malus (Scharfschützen reichen weiter)
+    const maxRange = weaponType === 'sniper' ? 80 : 40;
+    accuracy *= (enemy.userData.accuracy || 1) * accuracyScale;
+    accuracy *= Math.max(0.1, 1 - (distToTarget / (maxRange * 1.25)));
     
     // Streuung hinzufügen (Enemy verfehlt öfter)
     const spread = 0.3; // Große Streuung
@@ -2187,42 +3154,51 @@ export default class Game {
     direction.z += (Math.random() - 0.5) * spread;
     direction.normalize();
     
+    // Wände und Props blockieren den Schuss
+    const shotBlocked = !this._hasLineOfSight(startPos, targetPos);
+    
     // Prüfe ob Ziel getroffen wird (Spieler oder anderer Enemy)
-    if (Math.random() < accuracy && distToTarget < 40) {
-      // Prüfe ob das Ziel ein anderer Enemy ist
+    const targetIsPlayer = targetPos === this.yawObject.position;
+    if (!shotBlocked && Math.random() < accuracy && distToTarget < maxRange) {
+      // Prüfe ob das Ziel ein anderer Enemy ist (oder jemand direkt daneben steht)
       let hitEnemy = null;
       for (const otherEnemy of this.enemies) {
-        if (otherEnemy.userData.alive && otherEnemy.position.distanceTo(targetPos) < 2) {
+        if (otherEnemy !== enemy && otherEnemy.userData.alive && otherEnemy.position.distanceTo(targetPos) < 2) {
           hitEnemy = otherEnemy;
           break;
         }
       }
       
       if (hitEnemy) {
-        // Enemy vs Enemy Schaden
-        const damage = this._getWeaponDamage(weaponType);
-        hitEnemy.userData.health -= damage;
-        
-        // Blut-Effekt für Enemy
-        this._createBloodEffect(targetPos);
+        // Enemy vs Enemy Schaden, Friendly-Fire-Regeln der Fraktionen
+        const friendly = this.diplomacy.damageScale(enemy.userData.team, hitEnemy.userData.team);
+        if (friendly > 0) {
+          this._applyEnemyDamage(hitEnemy, this._getWeaponDamage(weaponType) * friendly);
+          // Blut-Effekt für Enemy
+          this._createBloodEffect(targetPos);
+        }
         
         if (hitEnemy.userData.health <= 0) {
           // Enemy getötet
           hitEnemy.userData.alive = false;
           this.scene.remove(hitEnemy);
           this.enemies.splice(this.enemies.indexOf(hitEnemy), 1);
+          this._onEnemyKilled(hitEnemy, false);
         }
-      } else {
+      } else if (targetIsPlayer) {
         // Spieler getroffen!
-        const damage = this._getWeaponDamage(weaponType);
-        this._damagePlayer(damage);
+        const damage = this._getWeaponDamage(weaponType) * this.diplomacy.damageScale(enemy.userData.team, 'player');
+        if (damage > 0) this._damagePlayer(damage);
       }
     }
     
     // Visueller Tracer (jetzt mit verschiedenen Farben je nach Waffe)
     try {
       const tracerColor = this._getTracerColor(weaponType);
-      const endPos = startPos.clone().add(direction.clone().multiplyScalar(40));
+      let endPos = startPos.clone().add(direction.clone().multiplyScalar(maxRange));
+      // Tracer endet an der Wand
+      const wallHit = this.collision.raycast(startPos, endPos);
+      if (wallHit) endPos = startPos.clone().lerp(endPos, wallHit.t);
       const geom = new THREE.BufferGeometry().setFromPoints([startPos, endPos]);
       const mat = new THREE.LineBasicMaterial({ 
         color: tracerColor, 
@@ -2284,6 +3260,13 @@ export default class Game {
     }, 80);
   }
 
+  // armour absorbs its share of the damage; returns the damage actually dealt
+  _applyEnemyDamage(enemy, damage) {
+    const dealt = damage * (1 - (enemy.userData.armor || 0));
+    enemy.userData.health -= dealt;
+    return dealt;
+  }
+
   _getWeaponDamage(weaponType) {
     switch(weaponType) {
       case 'rifle': return 8 + Math.random() * 6;
@@ -2379,54 +3362,84 @@ export default class Game {
     }
   }
 
+  // press the elevator button under the crosshair, otherwise use the nearest door
+  _interact() {
+    const button = this._elevatorButtonInView(2.5);
+    if (!button) {
+      this._interactWithNearestDoor();
+      return;
+    }
+    const { elevator, floor, inCar } = button.userData.elevatorButton;
+    elevator.request(floor);
+    this._showTemporaryMessage(inCar ? `Floor ${floor + 1}` : 'Elevator called', 1000);
+  }
+
+  // elevator button (call button or car panel) closest to the view ray within range, or null
+  _elevatorButtonInView(range) {
+    if (!this.elevatorButtons.length) return null;
+    const camPos = new THREE.Vector3(), camDir = new THREE.Vector3(), p = new THREE.Vector3();
+    this.camera.getWorldPosition(camPos);
+    this.camera.getWorldDirection(camDir);
+    let best = null, bestOff = 0.08; // Knöpfe sind klein, etwas Spielraum beim Zielen
+    for (const b of this.elevatorButtons) {
+      b.getWorldPosition(p).sub(camPos);
+      const t = p.dot(camDir);
+      if (t <= 0 || t > range) continue;
+      const off = Math.sqrt(Math.max(0, p.lengthSq() - t * t));
+      if (off >= bestOff) continue;
+      // nicht durch Wände oder geschlossene Schachttüren drücken
+      const front = camPos.clone().addScaledVector(camDir, t - 0.1);
+      if (this.collision.raycast(camPos, front)) continue;
+      best = b;
+      bestOff = off;
+    }
+    return best;
+  }
+
   _interactWithNearestDoor() {
-  // Find nearest door to open/close
-    let nearestDoor = null;
-    let nearestDist = 2.5 * 2.5;
-    
-    // Suche nach normalen Türen in der Nähe
-    this.scene.traverse((obj) => {
-      if (obj.userData && obj.userData.isDoor && !obj.userData.isBalconyDoor) {
-        const doorPos = new THREE.Vector3();
-        obj.getWorldPosition(doorPos);
-        const dist = doorPos.distanceToSquared(this.yawObject.position);
-        if (dist < nearestDist) {
-          nearestDoor = obj;
-          nearestDist = dist;
-        }
-      }
-    });
-    
-    if (nearestDoor) {
-      // Türe öffnen/schließen
-      const isOpen = nearestDoor.userData.open;
-      nearestDoor.userData.open = !isOpen;
-      
-      const currentRot = nearestDoor.rotation.y;
-      const targetRot = isOpen ? currentRot + Math.PI/2 : currentRot - Math.PI/2;
-      
-  // Animate door
-      const startTime = performance.now();
-      const duration = 400;
-      
-      const animateDoor = (now) => {
-        const progress = Math.min(1, (now - startTime) / duration);
-        const eased = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
-        
-        nearestDoor.rotation.y = currentRot + (targetRot - currentRot) * eased;
-        
-        if (progress < 1) {
-          requestAnimationFrame(animateDoor);
-        }
-      };
-      
-      requestAnimationFrame(animateDoor);
-  this._showTemporaryMessage(isOpen ? 'Door closed' : 'Door opened', 1000);
+    const door = this._nearestDoor(2.5);
+    if (door) {
+      const isOpen = door.mesh.userData.open;
+      this._setDoorOpen(door.mesh, !isOpen);
+      this._emitNoise(new THREE.Vector3(door.x, this.standingHeight, door.z), NOISE.door, 'player');
+      this._showTemporaryMessage(isOpen ? 'Door closed' : 'Door opened', 1000);
     } else {
-  this._showTemporaryMessage('No door nearby', 1000);
+      this._showTemporaryMessage('No door nearby', 1000);
     }
   }
 
+  // closest building door ({ x, z, mesh, ... } from interiors.js) within range of the player, or null
+  _nearestDoor(range) {
+    const pos = this.yawObject.position;
+    let best = null, bestDist = range * range;
+    for (const e of this.collision.queryRect(pos.x - range, pos.z - range, pos.x + range, pos.z + range)) {
+      if (!e.interior) continue;
+      for (const d of e.interior.doors) {
+        const dist = (d.x - pos.x) ** 2 + (d.z - pos.z) ** 2;
+        if (d.mesh && dist < bestDist) { best = d; bestDist = dist; }
+      }
+    }
+    return best;
+  }
+
+  // swing a door mesh open (inwards) or shut; collision follows userData.open right away
+  _setDoorOpen(door, open) {
+    if (door.userData.open === open) return;
+    door.userData.open = open;
+    const currentRot = door.rotation.y;
+    const targetRot = door.userData.closedRotation - (open ? Math.PI/2 : 0);
+    // Animate door
+    const startTime = performance.now();
+    const duration = 400;
+    const animateDoor = (now) => {
+      const progress = Math.min(1, (now - startTime) / duration);
+      const eased = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
+      door.rotation.y = currentRot + (targetRot - currentRot) * eased;
+      if (progress < 1) requestAnimationFrame(animateDoor);
+    };
+    requestAnimationFrame(animateDoor);
+  }
+
   _render() {
     this.renderer.render(this.scene, this.camera);
     this._updateMinimap();
@@ -2458,6 +3471,27 @@ export default class Game {
       y: this.minimapCenter.y + (worldZ - playerZ) * (canvas.height / this.minimapScale)
     });
     
+    // Reviere: Blöcke in Fraktionsfarbe, umkämpfte Blöcke blinken
+    if (this.territory) {
+      const t = this.territory;
+      const blink = Math.floor(now / 400) % 2 === 0;
+      for (const block of t.blocks) {
+        if (!block.owner) continue;
+        const min = worldToMinimap(block.x - t.pitchX / 2, block.z - t.pitchZ / 2);
+        const max = worldToMinimap(block.x + t.pitchX / 2, block.z + t.pitchZ / 2);
+        if (max.x < 0 || min.x > canvas.width || max.y < 0 || min.y > canvas.height) continue;
+        const hex = block.owner === 'player' ? 0x00ff64 : FACTIONS[block.owner].color;
+        ctx.fillStyle = `rgba(${hex >> 16}, ${(hex >> 8) & 255}, ${hex & 255}, 0.18)`;
+        ctx.fillRect(min.x, min.y, max.x - min.x, max.y - min.y);
+        if (block.capture && blink) {
+          const c = block.capture.side === 'player' ? 0x00ff64 : FACTIONS[block.capture.side].color;
+          ctx.strokeStyle = `rgba(${c >> 16}, ${(c >> 8) & 255}, ${c & 255}, 0.9)`;
+          ctx.lineWidth = 2;
+          ctx.strokeRect(min.x + 1, min.y + 1, max.x - min.x - 2, max.y - min.y - 2);
+        }
+      }
+    }
+
   // Draw buildings
     ctx.fillStyle = 'rgba(180, 180, 180, 0.8)';
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
@@ -2550,6 +3584,13 @@ export default class Game {
           ctx.closePath();
           ctx.fill();
           ctx.stroke();
+          // Verbündete mit weißem Ring
+          if (this.diplomacy.standing(enemy.userData.team) === 'allied') {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.beginPath();
+            ctx.arc(0, 0, 6, 0, Math.PI * 2);
+            ctx.stroke();
+          }
           
           ctx.restore();
         }
@@ -2616,77 +3657,24 @@ export default class Game {
     ctx.fillText('E', compassX + 8, compassY + 3);
   }
 
-  _openInterior(doorInfo) {
+  // walked in through a doorway: hunters that saw us follow
+  _enterBuilding(doorInfo) {
     if (!doorInfo) return;
     this.insideBuilding = doorInfo;
-    // simple interior: teleport to insidePos and dim sky
-    this.yawObject.position.copy(doorInfo.insidePos);
-    // animate door open if we have the door mesh
-    if (doorInfo.door && doorInfo.door.userData && !doorInfo.door.userData.open) {
-      doorInfo.door.userData.open = true;
-      const startRot = doorInfo.door.rotation.y;
-      const target = startRot - Math.PI/2;
-      const t0 = performance.now();
-      const dur = 280;
-      const tick = (now) => { const p = Math.min(1, (now - t0) / dur); doorInfo.door.rotation.y = startRot + (target - startRot) * p; if (p < 1) requestAnimationFrame(tick); };
-      requestAnimationFrame(tick);
-    }
-    // optional: hide world objects or move camera slightly
-    // if building has elevator, create a small UI to select floors
-    if (doorInfo.elevator) {
-      const ev = doorInfo.elevator;
-      // create UI overlay
-      this._elevatorEl = document.createElement('div');
-      this._elevatorEl.style.position = 'fixed'; this._elevatorEl.style.right = '12px'; this._elevatorEl.style.top = '50%'; this._elevatorEl.style.transform = 'translateY(-50%)'; this._elevatorEl.style.padding = '8px'; this._elevatorEl.style.background = 'rgba(10,10,12,0.85)'; this._elevatorEl.style.color = '#fff'; this._elevatorEl.style.zIndex = 10000;
-      this._elevatorEl.innerHTML = `<div style="font-weight:600;margin-bottom:6px">Elevator</div><div id="floors"></div><div style="margin-top:6px"><small>Click floor to go</small></div>`;
-      document.body.appendChild(this._elevatorEl);
-  const floorsEl = this._elevatorEl.querySelector('#floors');
-  for (let f = ev.floors - 1; f >= 0; f--) {
-        const btn = document.createElement('button'); btn.textContent = `${f+1}`; btn.style.display = 'block'; btn.style.margin = '4px 0'; btn.onclick = () => {
-          // require player to be inside elevator car to operate
-          if (!ev.car) return;
-          // robuster Check: prüfe XZ-Footprint + Y-Toleranz anstatt containsPoint (floating point issues)
-          const carBox = new THREE.Box3().setFromObject(ev.car);
-          const pos = this.yawObject.position;
-          const xIn = pos.x >= carBox.min.x - 0.3 && pos.x <= carBox.max.x + 0.3;
-          const zIn = pos.z >= carBox.min.z - 0.3 && pos.z <= carBox.max.z + 0.3;
-          const yIn = pos.y >= carBox.min.y - 0.6 && pos.y <= carBox.max.y + 0.6;
-          if (!(xIn && zIn && yIn)) {
-            // nudge player message
-            btn.textContent = 'Stand inside car';
-            setTimeout(() => { btn.textContent = `${f+1}`; }, 800);
-            return;
-          }
-          // animate elevator car to target floor and move player with it
-          const floorY = doorInfo.building.position.y - doorInfo.building.geometry.parameters.height/2 + (f + 0.5) * (doorInfo.building.geometry.parameters.height / Math.max(1, ev.floors));
-          const carStartY = ev.car.position.y;
-          const playerStartY = this.yawObject.position.y;
-          const dur = 0.9;
-          const startT = performance.now();
-          const tick = (now) => {
-            const p = Math.min(1, (now - startT) / (dur * 1000));
-            const eased = p < 0.5 ? 2*p*p : -1 + (4-2*p)*p; // simple ease
-            ev.car.position.y = carStartY + (floorY - carStartY) * eased;
-            this.yawObject.position.y = playerStartY + (floorY - playerStartY) * eased;
-            if (p < 1) requestAnimationFrame(tick); else { ev.currentFloor = f; }
-          };
-          requestAnimationFrame(tick);
-        };
-        floorsEl.appendChild(btn);
-      }
-    }
-  }
-
-  _closeInterior() {
-    if (!this.insideBuilding) return;
-    const outside = this.insideBuilding.outsidePos || new THREE.Vector3(0, 1.6, 5);
-    this.yawObject.position.copy(outside);
-    // animate door close if present
-    if (this.insideBuilding.door && this.insideBuilding.door.userData && this.insideBuilding.door.userData.open) {
-      const d = this.insideBuilding.door; d.userData.open = false; const startRot = d.rotation.y; const target = startRot + Math.PI/2; const t0 = performance.now(); const dur = 240; const tick = (now) => { const p = Math.min(1, (now - t0) / dur); d.rotation.y = startRot + (target - startRot) * p; if (p < 1) requestAnimationFrame(tick); }; requestAnimationFrame(tick);
+    const interior = doorInfo.interior;
+    const door = interior.nearestDoor(this.yawObject.position.x, this.yawObject.position.z);
+    // wer uns gerade im Visier hat, sieht wo wir reingehen und folgt
+    for (const enemy of this.enemies) {
+      const data = enemy.userData;
+      if (!data.alive || !data.targetPlayer || !door) continue;
+      data.lastKnownPlayerPos = new THREE.Vector3(door.inside.x, 0.5, door.inside.z);
+      data.searchTimer = ENEMY_SEARCH_TIME * 2; // der Weg durch die Tür dauert
     }
+  }
+
+  _leaveBuilding() {
+    if (!this.insideBuilding) return;
     this.insideBuilding = null;
-    if (this._elevatorEl) { try { document.body.removeChild(this._elevatorEl); } catch (e) {} this._elevatorEl = null; }
   }
 
   _showTemporaryMessage(message, duration = 2000) {
@@ -2723,24 +3711,16 @@ export default class Game {
   _updateInteractionPrompt() {
     if (!this.pointerLocked) return;
     
-  // Find nearest door
-    let nearestDoor = null;
-    let nearestDist = 3.5 * 3.5;
-    
-    for (const d of this.buildingDoors) {
-      const dist = d.doorPos.distanceToSquared(this.yawObject.position);
-      if (dist < nearestDist) {
-        nearestDoor = d;
-        nearestDist = dist;
-      }
-    }
+  // Find elevator button or nearest door
+    const button = this._elevatorButtonInView(2.5);
+    const nearestDoor = button ? null : this._nearestDoor(2.5);
     
     // Entferne vorherigen Prompt
     const existingPrompt = document.getElementById('interaction-prompt');
     if (existingPrompt) existingPrompt.remove();
     
-  // Show prompt when door is nearby
-    if (nearestDoor || this.insideBuilding) {
+  // Show prompt when a button or door is nearby
+    if (button || nearestDoor) {
       const promptEl = document.createElement('div');
       promptEl.id = 'interaction-prompt';
       promptEl.style.position = 'fixed';
@@ -2756,10 +3736,11 @@ export default class Game {
       promptEl.style.zIndex = '10000';
       promptEl.style.border = '2px solid rgba(255, 255, 255, 0.4)';
       
-      if (this.insideBuilding) {
-  promptEl.textContent = 'Press E to leave the building';
+      if (button) {
+        const { floor, inCar } = button.userData.elevatorButton;
+        promptEl.textContent = inCar ? `Press E for floor ${floor + 1}` : 'Press E to call the elevator';
       } else {
-  promptEl.textContent = 'Press E to enter the building';
+        promptEl.textContent = `Press E to ${nearestDoor.mesh.userData.open ? 'close' : 'open'} the door`;
       }
       
       document.body.appendChild(promptEl);
@@ -2771,12 +3752,34 @@ export default class Game {
     this.shopEl.style.display = this.shopOpen ? 'block' : 'none';
     // update money display
     const m = this.shopEl.querySelector('#money'); if (m) m.textContent = String(this.money);
+    this._updateAmmoShop();
     // when shop opens, release pointer lock so user can click buttons
     if (this.shopOpen) {
       try { document.exitPointerLock(); } catch (e) {}
     }
   }
 
+  _updateAmmoShop() {
+    if (!this.ammoBtn) return;
+    const weapon = this.weapons[this.currentWeaponIndex];
+    const full = this.ammo[weapon.id].reserve >= weapon.maxReserve;
+    this.ammoBtn.disabled = full;
+    this.ammoBtn.textContent = full ? `${weapon.name} ammo (Full)` : `${weapon.name} ammo +${weapon.magazine} - $${weapon.ammoPrice}`;
+  }
+
+  // one magazine of reserve ammo for the weapon in hand
+  _buyAmmo() {
+    const weapon = this.weapons[this.currentWeaponIndex];
+    if (this.money < weapon.ammoPrice) {
+      this._showTemporaryMessage('Not enough money!');
+      return;
+    }
+    if (!this._addAmmo(1)) return;
+    this.money -= weapon.ammoPrice;
+    this._updateMoneyDisplay();
+    const m = this.shopEl.querySelector('#money'); if (m) m.textContent = String(this.money);
+  }
+
   _buyWeapon(id, cost) {
     if (this.unlocked[id]) return;
     if (this.money < cost) {
@@ -2786,21 +3789,83 @@ export default class Game {
     }
     this.money -= cost;
     this.unlocked[id] = true;
+    const def = this.weapons.find(w => w.id === id);
+    this.ammo[id] = { mag: def.magazine, reserve: def.reserve };
     // apply weapon unlock: prefer not to switch automatically, but allow immediate equip
-    for (let i = 0; i < this.weapons.length; i++) {
-      if (this.weapons[i].id === id) { 
-        this.currentWeaponIndex = i; 
-        this.fireRate = this.weapons[i].fireRate; 
-        this.scopeFov = this.weapons[i].scopeFov; 
-        this._updateWeaponDisplay();
-      }
-    }
+    this._selectWeapon(this.weapons.findIndex(w => w.id === id));
     // update UI
     const m = this.shopEl.querySelector('#money'); if (m) m.textContent = String(this.money);
     const btn = this.shopEl.querySelector(`[data-weapon="${id}"]`);
-    if (btn) { btn.disabled = true; btn.textContent = `${id.toUpperCase()} (Owned)`; }
+    if (btn) { btn.disabled = true; btn.textContent = `${def.name} (Owned)`; }
     console.log(`Bought ${id}`);
-    this._showTemporaryMessage(`${this.weapons.find(w => w.id === id).name} gekauft!`);
+    this._showTemporaryMessage(`${def.name} gekauft!`);
+  }
+
+  _toggleFactions() {
+    this.factionsOpen = !this.factionsOpen;
+    this.factionEl.style.display = this.factionsOpen ? 'block' : 'none';
+    this._updateFactionPanel();
+    if (this.factionsOpen) {
+      try { document.exitPointerLock(); } catch (e) {}
+    }
+  }
+
+  _updateFactionPanel() {
+    if (!this.factionEl) return;
+    const diplomacy = this.diplomacy;
+    const member = diplomacy.playerFaction ? FACTIONS[diplomacy.playerFaction].name : 'none';
+    const turf = this.territory ? this.territory.counts() : {};
+    this.factionEl.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+        <h3 style="margin:0">Factions</h3>
+        <div>Member of: ${member} • Your blocks: ${turf.player || 0}</div>
+      </div>
+      <div id="faction-list" style="display:flex;flex-direction:column;gap:8px">
+      </div>
+      <div style="margin-top:8px"><small>Shooting a faction's members costs reputation, killing their rivals earns it. Clear a block of its owners to capture it. Press J to close</small></div>
+    `;
+    const list = this.factionEl.querySelector('#faction-list');
+    for (const id of Diplomacy.gangs()) {
+      const row = document.createElement('div');
+      row.style.display = 'flex'; row.style.alignItems = 'center'; row.style.gap = '8px';
+      const color = '#' + FACTIONS[id].color.toString(16).padStart(6, '0');
+      row.innerHTML = `
+        <span style="width:12px;height:12px;background:${color}"></span>
+        <span style="flex:1">${FACTIONS[id].name}</span>
+        <span>${turf[id] || 0} blocks</span>
+        <span>${diplomacy.standing(id)} (${diplomacy.reputation[id]})</span>
+      `;
+      const btn = document.createElement('button');
+      btn.style.padding = '6px 10px';
+      if (id === diplomacy.playerFaction) {
+        btn.textContent = 'Leave';
+        btn.onclick = () => { this._announceStandings(diplomacy.leave()); this._updateFactionPanel(); };
+      } else {
+        btn.textContent = 'Join';
+        btn.disabled = !diplomacy.canJoin(id);
+        btn.onclick = () => this._joinFaction(id);
+      }
+      row.appendChild(btn);
+      list.appendChild(row);
+    }
+  }
+
+  _joinFaction(id) {
+    if (!this.diplomacy.canJoin(id)) {
+      this._showTemporaryMessage(`${FACTIONS[id].name} don't trust you yet!`);
+      return;
+    }
+    const changes = this.diplomacy.join(id);
+    this.followers.length = 0;
+    this._updateFactionPanel();
+    const news = changes.filter(c => c.faction !== id).map(c => `${FACTIONS[c.faction].name} now ${c.to}`);
+    this._showTemporaryMessage([`Joined the ${FACTIONS[id].name}!`, ...news].join(' • '), 3000);
+  }
+
+  // one message for all standing changes, e.g. after a kill
+  _announceStandings(changes) {
+    if (!changes.length) return;
+    this._showTemporaryMessage(changes.map(c => `${FACTIONS[c.faction].name} now ${c.to}`).join(' • '), 2500);
   }
 
   _onResize() {
@@ -2824,7 +3889,7 @@ export default class Game {
 
     // runtime defaults
     this.fireRate = this.weapons[this.currentWeaponIndex].fireRate;
-    this.scopeFov = this.weapons[this.currentWeaponIndex].scopeFov || this.camera.fov;
+    this.scopeFov = this.weapons[this.currentWeaponIndex].scopeFov;
     this.normalFov = this.camera.fov;
     this.currentFov = this.normalFov;
     this.scopeSensitivityScale = 0.35;
@@ -2833,12 +3898,12 @@ export default class Game {
     this.targetPitch = 0; this.targetYaw = 0; this.smoothedPitch = 0; this.smoothedYaw = 0; this.smoothSpeed = 12.0;
     this.recoil = 0;
 
-    // set up UI, controls, weapon and spawn a few targets
+    // set up UI, controls, weapon and enemies (targets come with the level)
     this._setupUI();
     this._setupControls();
     this._createWeapon();
-    this._spawnTargets(6);
     this._spawnEnemies(16); // Mehr Enemies für dichtere Action
+    this.editor = new Editor(this);
 
     // events
     window.addEventListener('resize', this._onResize.bind(this));
@@ -2858,6 +3923,11 @@ export default class Game {
   }
 
   _handleEnemyRespawn() {
+    // Eskalation: nach genug Abschüssen erscheint ein Boss
+    if (!this.boss && this.kills >= this.nextBossAt) this._spawnBoss(BOSS_SCHEDULE.type);
+    // Gangs ohne Revier bekommen keinen Nachschub mehr
+    if (!this._gangsWithTurf().length) return;
+
     const currentTime = Date.now();
     const aliveEnemies = this.enemies.filter(e => e.userData.alive).length;
     
@@ -2865,37 +3935,446 @@ export default class Game {
     if (aliveEnemies < this.maxEnemies && 
         (aliveEnemies < 12 || currentTime - this.lastEnemyRespawn > this.enemyRespawnInterval)) {
       
-      const respawnCount = Math.min(4, this.maxEnemies - aliveEnemies); // Max 4 auf einmal
+      const respawnCount = Math.min(4, this.maxEnemies - aliveEnemies); // Max 4 auf einmal, als ein Trupp
       
-      for (let i = 0; i < respawnCount; i++) {
-        // Wähle Spawn-Zone weit weg vom Spieler
-        const playerPos = this.yawObject.position;
-        const spawnZones = [
-          { x: 70, z: 70 },   { x: -70, z: 70 },  { x: 70, z: -70 },  { x: -70, z: -70 },
-          { x: 90, z: 0 },    { x: -90, z: 0 },   { x: 0, z: 90 },    { x: 0, z: -90 },
-          { x: 60, z: 40 },   { x: -60, z: 40 },  { x: 60, z: -40 },  { x: -60, z: -40 }
-        ];
-        
-        // Sortiere nach Distanz zum Spieler (fernste zuerst)
+      // Wähle Spawn-Zone weit weg vom Spieler, keine Verstärkung in Blöcken, die dem Spieler gehören
+      const playerPos = this.yawObject.position;
+      const spawnZones = this._getEnemySpawnZones('respawn').filter(z => !this._isPlayerTurf(z.x, z.z));
+      if (spawnZones.length) {
+        // Sortiere nach Distanz zum Spieler (fernste zuerst), eine der drei fernsten
         spawnZones.sort((a, b) => {
           const distA = Math.sqrt((a.x - playerPos.x) ** 2 + (a.z - playerPos.z) ** 2);
           const distB = Math.sqrt((b.x - playerPos.x) ** 2 + (b.z - playerPos.z) ** 2);
           return distB - distA;
         });
-        
-        const zone = spawnZones[i % spawnZones.length];
-        const x = zone.x + (Math.random() - 0.5) * 20;
-        const z = zone.z + (Math.random() - 0.5) * 20;
-        const y = 0.5;
-        
-        // Prüfe Position
-        if (this._isValidSpawnPosition(x, z)) {
-          const enemy = this._createEnemy(x, y, z);
-          this.enemies.push(enemy);
-        }
+        const zone = spawnZones[Math.floor(this.random() * Math.min(3, spawnZones.length))];
+        this._spawnSquad(zone, respawnCount, ENEMY_SPAWN_TABLES.respawn, { attempts: 3 });
       }
       
       this.lastEnemyRespawn = currentTime;
     }
   }
+
+
+  // bookkeeping when an enemy dies; player kills count towards the next boss
+  _onEnemyKilled(enemy, byPlayer) {
+    if (enemy.userData.boss) {
+      this._onBossDefeated(enemy, byPlayer);
+      return;
+    }
+    if (byPlayer) this.kills++;
+    if (this.random() < AMMO_DROP.chance) this._dropAmmo(enemy);
+  }
+
+  // ammo box where an enemy fell (see AMMO_DROP)
+  _dropAmmo(enemy) {
+    if (!this._ammoBoxGeometry) {
+      this._ammoBoxGeometry = new THREE.BoxGeometry(0.4, 0.22, 0.25);
+      this._ammoBoxMaterial = new THREE.MeshStandardMaterial({ color: 0x4a5a2a, emissive: 0x222200, roughness: 0.7 });
+    }
+    const mesh = new THREE.Mesh(this._ammoBoxGeometry, this._ammoBoxMaterial);
+    mesh.position.set(enemy.position.x, enemy.position.y - 0.5 * enemy.scale.y + 0.11, enemy.position.z);
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+    this.ammoDrops.push({ mesh, ttl: AMMO_DROP.lifetime });
+  }
+
+  // dropped boxes turn, vanish after a while and are picked up by walking over them; they
+  // refill the reserve of the weapon in hand and stay when it is full
+  _updateAmmoDrops(dt) {
+    const pos = this.yawObject.position;
+    const feetY = this.controller.feetY;
+    for (let i = this.ammoDrops.length - 1; i >= 0; i--) {
+      const d = this.ammoDrops[i];
+      d.ttl -= dt;
+      d.mesh.rotation.y += dt * 1.5;
+      let gone = d.ttl <= 0;
+      if (!gone && Math.hypot(d.mesh.position.x - pos.x, d.mesh.position.z - pos.z) < AMMO_DROP.radius && Math.abs(d.mesh.position.y - feetY) < 1) {
+        gone = this._addAmmo(AMMO_DROP.magazines);
+      }
+      if (gone) {
+        this.scene.remove(d.mesh);
+        this.ammoDrops.splice(i, 1);
+      }
+    }
+  }
+
+  // magazines of reserve ammo for the weapon in hand, up to its maxReserve; false when full
+  _addAmmo(magazines) {
+    const weapon = this.weapons[this.currentWeaponIndex];
+    const ammo = this.ammo[weapon.id];
+    const n = Math.min(weapon.magazine * magazines, weapon.maxReserve - ammo.reserve);
+    if (n <= 0) return false;
+    ammo.reserve += n;
+    this._updateAmmoDisplay();
+    this._updateAmmoShop();
+    this._showTemporaryMessage(`+${n} ${weapon.name} ammo`, 1200);
+    return true;
+  }
+
+  // reputation after the player hit or killed a faction member
+  _onPlayerAttackedFaction(enemy, killed) {
+    const changes = this.diplomacy.onPlayerAttack(enemy.userData.team, killed);
+    if (!changes.length) return;
+    this._announceStandings(changes);
+    this._updateFactionPanel();
+  }
+
+  // spawn a boss in the respawn zone farthest from the player
+  _spawnBoss(type) {
+    const def = BOSS_TYPES[type];
+    if (!def) return null;
+    const playerPos = this.yawObject.position;
+    const zones = this._getEnemySpawnZones('respawn').slice().sort((a, b) =>
+      Math.hypot(b.x - playerPos.x, b.z - playerPos.z) - Math.hypot(a.x - playerPos.x, a.z - playerPos.z));
+    let enemy = null;
+    for (const zone of zones) {
+      enemy = this._spawnEnemyInZone(zone, def.archetype);
+      if (enemy) break;
+    }
+    if (!enemy) return null;
+
+    const data = enemy.userData;
+    enemy.scale.multiplyScalar(def.scale);
+    enemy.position.y = 0.55 * def.scale - 0.05; // Füße auf dem Boden
+    Object.assign(data, {
+      boss: true,
+      bossType: type,
+      health: def.health,
+      maxHealth: def.health,
+      armor: def.armor,
+      speed: def.speed,
+      baseSpeed: def.speed,
+      shootCooldown: def.cooldown,
+      detectionRange: 80,
+      fov: Math.PI * 2,
+      radius: ENEMY_RADIUS * def.scale,
+      team: 'boss',
+      behavior: 'boss',
+      phase: -1,
+      grenadeTimer: 0,
+      summonTimer: 0
+    });
+
+    // Schwachstellen: Kopf und leuchtender Energiekern auf dem Rücken
+    const head = enemy.getObjectByName('head');
+    if (head && def.weakPoints.head) head.userData.weakPoint = def.weakPoints.head;
+    if (def.weakPoints.core) {
+      const core = new THREE.Mesh(new THREE.SphereGeometry(0.07, 10, 10), new THREE.MeshStandardMaterial({ color: 0xff7a00, emissive: 0xff5500, emissiveIntensity: 1.5 }));
+      core.position.set(0, 0.25, -0.12);
+      core.userData.weakPoint = def.weakPoints.core;
+      enemy.add(core);
+    }
+
+    this.boss = enemy;
+    this._showTemporaryMessage(`⚠ ${def.name} is coming!`, 3000);
+    return enemy;
+  }
+
+  // the next boss is scheduled either way, the reward only goes to the player's kill
+  _onBossDefeated(enemy, byPlayer) {
+    const def = BOSS_TYPES[enemy.userData.bossType];
+    if (this.boss === enemy) this.boss = null;
+    this.nextBossAt = this.kills + BOSS_SCHEDULE.everyKills;
+    if (!byPlayer) {
+      this._showTemporaryMessage(`${def.name} was killed by someone else`, 3000);
+      return;
+    }
+    this.money += def.reward;
+    this._updateMoneyDisplay();
+    this._showTemporaryMessage(`${def.name} defeated! +$${def.reward}`, 3000);
+  }
+
+  // phase changes and special attacks, run every step from the boss behaviour tree
+  _updateBossPhase(enemy, dt) {
+    const data = enemy.userData;
+    const def = BOSS_TYPES[data.bossType];
+    const share = data.health / data.maxHealth;
+    let index = def.phases.findIndex(p => share > p.above);
+    if (index < 0) index = def.phases.length - 1;
+    if (index !== data.phase) {
+      const first = data.phase < 0;
+      data.phase = index;
+      data.speed = data.baseSpeed * def.phases[index].speed;
+      data.grenadeTimer = 2;
+      data.summonTimer = 1;
+      if (!first) this._showTemporaryMessage(`${def.name} enraged! (Phase ${index + 1})`, 2000);
+    }
+
+    const phase = def.phases[data.phase];
+    const playerPos = this.yawObject.position;
+    if (phase.grenadeEvery) {
+      data.grenadeTimer -= dt;
+      if (data.grenadeTimer <= 0 && enemy.position.distanceTo(playerPos) < 45) {
+        this._throwGrenadeBarrage(enemy, playerPos, phase.grenades);
+        data.grenadeTimer = phase.grenadeEvery;
+      }
+    }
+    if (phase.summonEvery) {
+      data.summonTimer -= dt;
+      if (data.summonTimer <= 0) {
+        this._summonReinforcements(enemy, phase.summon);
+        data.summonTimer = phase.summonEvery;
+      }
+    }
+  }
+
+  // lob several grenades around the target (player eye), onto the floor it stands on
+  _throwGrenadeBarrage(enemy, targetPos, count) {
+    const from = enemy.position.clone();
+    from.y += 1.2;
+    const floorY = this._feetY(targetPos) - 0.4; // enemy.position sits 0.5 over the floor
+    for (let i = 0; i < count; i++) {
+      const target = new THREE.Vector3(
+        targetPos.x + (Math.random() - 0.5) * 8,
+        floorY,
+        targetPos.z + (Math.random() - 0.5) * 8
+      );
+      this._throwGrenade(from, target, 1.2 + Math.random() * 0.6, enemy);
+    }
+  }
+
+  // ballistic throw that lands on target after flightTime seconds
+  _throwGrenade(from, target, flightTime, owner) {
+    if (!this._grenadeGeo) {
+      this._grenadeGeo = new THREE.SphereGeometry(0.12, 8, 8);
+      this._grenadeMat = new THREE.MeshStandardMaterial({ color: 0x2f3a22, roughness: 0.6 });
+    }
+    const mesh = new THREE.Mesh(this._grenadeGeo, this._grenadeMat);
+    mesh.position.copy(from);
+    this.scene.add(mesh);
+    const velocity = new THREE.Vector3(
+      (target.x - from.x) / flightTime,
+      (target.y - from.y + 0.5 * GRAVITY * flightTime * flightTime) / flightTime,
+      (target.z - from.z) / flightTime
+    );
+    this.grenades.push({ mesh, velocity, fuse: flightTime + 0.4, owner });
+  }
+
+  _updateGrenades(dt) {
+    for (let i = this.grenades.length - 1; i >= 0; i--) {
+      const g = this.grenades[i];
+      const pos = g.mesh.position;
+      const prevX = pos.x, prevY = pos.y, prevZ = pos.z;
+      g.velocity.y -= GRAVITY * dt;
+      pos.addScaledVector(g.velocity, dt);
+      // springt auf Straße, Decken, Dächern, Balkonen und Props auf
+      const ground = this.controller.groundAt(this.collision, pos.x, pos.z, prevY - 0.12) + 0.12;
+      if (pos.y < ground) {
+        pos.y = ground;
+        g.velocity.set(g.velocity.x * 0.4, Math.abs(g.velocity.y) * 0.2, g.velocity.z * 0.4);
+      }
+      // prallt an Wänden und Props ab; in Gebäuden zählen nur deren Wände, nicht die Hülle
+      const hit = this.collision.overlapsCircle(pos.x, pos.z, 0.12, e => e.interior
+        ? e.interior.topAt(pos.x, pos.z, pos.y - 0.1, pos.y + 0.1) > -Infinity
+        : pos.y < e.topY);
+      if (hit) {
+        pos.x = prevX;
+        pos.z = prevZ;
+        g.velocity.x *= -0.3;
+        g.velocity.z *= -0.3;
+      }
+      g.fuse -= dt;
+      if (g.fuse <= 0) {
+        this.scene.remove(g.mesh);
+        this.grenades.splice(i, 1);
+        this._explode(pos.clone(), 6, 60, g.owner);
+      }
+    }
+  }
+
+  // explosion damage with linear falloff; walls between blast and victim protect
+  _explode(position, radius, damage, owner) {
+    const flash = new THREE.Mesh(new THREE.SphereGeometry(radius * 0.5, 12, 12), new THREE.MeshBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.7 }));
+    flash.position.copy(position);
+    this.scene.add(flash);
+    setTimeout(() => { this.scene.remove(flash); }, 200);
+
+    const center = position.clone();
+    center.y += 0.5;
+    this._emitNoise(center, NOISE.explosion);
+    const playerPos = this.yawObject.position;
+    const playerDist = center.distanceTo(playerPos);
+    const ownerTeam = owner ? owner.userData.team : null;
+    const playerScale = ownerTeam ? this.diplomacy.damageScale(ownerTeam, 'player') : 1;
+    if (playerDist < radius && playerScale > 0 && this._hasLineOfSight(center, playerPos)) {
+      this._damagePlayer(damage * playerScale * (1 - playerDist / radius));
+    }
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (enemy === owner || !enemy.userData.alive) continue;
+      const scale = ownerTeam ? this.diplomacy.damageScale(ownerTeam, enemy.userData.team) : 1;
+      const d = center.distanceTo(enemy.position);
+      if (scale <= 0 || d >= radius || !this._hasLineOfSight(center, enemy.position)) continue;
+      this._applyEnemyDamage(enemy, damage * scale * (1 - d / radius));
+      enemy.userData.lastDamageTime = Date.now();
+      if (enemy.userData.health <= 0) {
+        enemy.userData.alive = false;
+        this.scene.remove(enemy);
+        this.enemies.splice(i, 1);
+        this._onEnemyKilled(enemy, false);
+      }
+    }
+  }
+
+  // reinforcements from the respawn zones closest to the boss, already hunting the player
+  _summonReinforcements(boss, count) {
+    if (this.enemies.length >= this.maxEnemies + 6) return;
+    const zones = this._getEnemySpawnZones('respawn').slice().sort((a, b) =>
+      Math.hypot(a.x - boss.position.x, a.z - boss.position.z) - Math.hypot(b.x - boss.position.x, b.z - boss.position.z));
+    const playerPos = this.yawObject.position;
+    let summoned = 0;
+    for (let i = 0; i < count; i++) {
+      const enemy = this._spawnEnemyInZone(zones[i % zones.length], pickArchetype(ENEMY_SPAWN_TABLES.respawn, this.random));
+      if (!enemy) continue;
+      enemy.userData.team = boss.userData.team;
+      enemy.userData.lastKnownPlayerPos = new THREE.Vector3(playerPos.x, this._feetY(playerPos), playerPos.z);
+      enemy.userData.searchTimer = ENEMY_SEARCH_TIME * 3;
+      summoned++;
+    }
+    if (summoned > 0) this._showTemporaryMessage(`${BOSS_TYPES[boss.userData.bossType].name} calls reinforcements!`, 2000);
+  }
+
+  _updateBossBar() {
+    if (!this.bossBarEl) return;
+    const boss = this.boss && this.boss.userData.alive ? this.boss : null;
+    this.bossBarEl.style.display = boss ? 'block' : 'none';
+    if (!boss) return;
+    const data = boss.userData;
+    this.bossNameEl.textContent = `${BOSS_TYPES[data.bossType].name} - Phase ${data.phase + 1}`;
+    this.bossFillEl.style.width = `${Math.max(0, data.health / data.maxHealth) * 100}%`;
+  }
+
+  _updateSquads(dt) {
+    for (let i = this.squads.length - 1; i >= 0; i--) {
+      this.squads[i].update(dt);
+      if (!this.squads[i].members.length) this.squads.splice(i, 1);
+    }
+  }
+
+  // tell squad mates within calloutRange where the player is (at most four times a second)
+  _squadCallOut(enemy, playerPos) {
+    const squad = enemy.userData.squad;
+    const recent = squad.blackboard.playerAge < 0.25;
+    squad.spotPlayer(playerPos);
+    if (recent) return;
+    for (const mate of squad.members) {
+      const data = mate.userData;
+      if (mate === enemy || data.targetPlayer || mate.position.distanceTo(enemy.position) > SQUAD.calloutRange) continue;
+      if (!data.lastKnownPlayerPos) data.lastKnownPlayerPos = new THREE.Vector3();
+      data.lastKnownPlayerPos.set(playerPos.x, this._feetY(playerPos), playerPos.z);
+      data.searchTimer = ENEMY_SEARCH_TIME;
+    }
+  }
+
+  // the side the player captures blocks for: its faction, or the player alone
+  _playerSide() {
+    return this.diplomacy.playerFaction || 'player';
+  }
+
+  // gangs that still own blocks (all of them when the level has no blocks)
+  _gangsWithTurf() {
+    if (!this.territory || !this.territory.blocks.length) return Diplomacy.gangs();
+    const counts = this.territory.counts();
+    return Diplomacy.gangs().filter(id => counts[id]);
+  }
+
+  _isPlayerTurf(x, z) {
+    const block = this.territory && this.territory.blockAt(x, z);
+    return !!block && (block.owner === 'player' || block.owner === this.diplomacy.playerFaction);
+  }
+
+  // who stands in which block, capture progress and squads sent across the borders
+  _updateTerritory(dt) {
+    const territory = this.territory;
+    if (!territory || !territory.blocks.length) return;
+    this._territoryTimer += dt;
+    if (this._territoryTimer >= 0.5) {
+      const step = this._territoryTimer;
+      this._territoryTimer = 0;
+      // Anwesenheit: Seiten pro Block (Boss-Truppen erobern nichts)
+      const presence = new Map();
+      const add = (block, side) => {
+        if (!block) return;
+        if (!presence.has(block)) presence.set(block, new Set());
+        presence.get(block).add(side);
+      };
+      for (const enemy of this.enemies) {
+        const team = enemy.userData.team;
+        if (enemy.userData.alive && FACTIONS[team] && FACTIONS[team].joinable) add(territory.blockAt(enemy.position.x, enemy.position.z), team);
+      }
+      const playerPos = this.yawObject.position;
+      this._playerBlock = this.health > 0 && !this.insideBuilding ? territory.blockAt(playerPos.x, playerPos.z) : null;
+      add(this._playerBlock, this._playerSide());
+      for (const block of territory.blocks) this._updateBlockCapture(block, presence.get(block), step);
+    }
+
+    this._squadTimer -= dt;
+    if (this._squadTimer <= 0) {
+      this._squadTimer = TERRITORY.attackEvery;
+      this._sendSquad();
+    }
+  }
+
+  // a block changes hands when hostile sides hold it without defenders for captureTime
+  _updateBlockCapture(block, sides, dt) {
+    const diplomacy = this.diplomacy;
+    let attacker = null;
+    if (sides) {
+      for (const side of sides) {
+        if (!block.owner) { attacker = attacker || side; continue; }
+        const relation = diplomacy.relation(side, block.owner);
+        if (relation === 'allied') { block.capture = null; return; } // verteidigt
+        if (relation !== 'hostile') continue;
+        // zwei verfeindete Angreifer blockieren sich gegenseitig
+        if (attacker && diplomacy.isHostile(attacker, side)) return;
+        if (!attacker || (block.capture && block.capture.side === side)) attacker = side;
+      }
+    }
+    if (!attacker) { block.capture = null; return; }
+    if (!block.capture || block.capture.side !== attacker) block.capture = { side: attacker, progress: 0 };
+    block.capture.progress += dt;
+    if (block.capture.progress >= TERRITORY.captureTime) this._onBlockCaptured(block, attacker);
+  }
+
+  _onBlockCaptured(block, side) {
+    const previous = block.owner;
+    block.owner = side;
+    block.capture = null;
+    const playerSide = this._playerSide();
+    const name = (id) => (id === 'player' ? 'You' : FACTIONS[id].name);
+    if (side === playerSide && block === this._playerBlock) {
+      this.money += TERRITORY.captureReward;
+      this._updateMoneyDisplay();
+      this._showTemporaryMessage(`Block captured! +$${TERRITORY.captureReward}`, 2500);
+    } else if (previous === playerSide) {
+      this._showTemporaryMessage(`${name(side)} took one of your blocks!`, 2500);
+    }
+    if (previous && previous !== 'player' && !this.territory.counts()[previous]) {
+      this._showTemporaryMessage(`${FACTIONS[previous].name} lost all their turf!`, 3000);
+    }
+    this._updateFactionPanel();
+  }
+
+  // a random gang sends a squad from a border block into a neighbouring block it is hostile to
+  _sendSquad() {
+    if (!this.maxEnemies || this.enemies.length >= this.maxEnemies + TERRITORY.squadSize) return;
+    const gangs = this._gangsWithTurf();
+    if (!gangs.length) return;
+    const attacker = gangs[Math.floor(this.random() * gangs.length)];
+    const playerPos = this.yawObject.position;
+    // nicht direkt neben dem Spieler auftauchen
+    const fronts = this.territory.borders(attacker, owner => !owner || this.diplomacy.isHostile(attacker, owner))
+      .filter(f => Math.hypot(f.from.x - playerPos.x, f.from.z - playerPos.z) > 40);
+    if (!fronts.length) return;
+    const front = fronts[Math.floor(this.random() * fronts.length)];
+    // ganzer Block samt Straßen, die Mitte ist meist bebaut
+    const zone = { x: front.from.x, z: front.from.z, radius: Math.min(this.territory.pitchX, this.territory.pitchZ) * 0.45 };
+    const squad = this._spawnSquad(zone, TERRITORY.squadSize, ENEMY_SPAWN_TABLES.respawn, { team: attacker, groundOnly: true });
+    if (!squad) return;
+    for (const enemy of squad.members) enemy.userData.objective = front.to;
+    if (front.to.owner === this._playerSide()) {
+      this._showTemporaryMessage(`${FACTIONS[attacker].name} are attacking your turf!`, 2500);
+    }
+  }
 }
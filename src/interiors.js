@@ -0,0 +1,522 @@
+// Building interiors: hollow buildings with outer walls and door openings, a floor slab per
+// storey (open over the stairs and the elevator shaft), a stair flight between neighbouring
+// storeys and from the top storey through a hatch onto the roof, an elevator shaft, a
+// walled room on the storeys the level lists and balconies outside the x+ wall.
+// Everything is laid out in building-local coordinates (x along the width, z along the depth,
+// y up from the ground). The Game builds the meshes and line of sight from `solids`, the player
+// controller (character.js) collides with them and stands on slabs, `flights`, balconies and
+// the roof (groundAt), and enemies walk along the waypoint `nodes` (Game._followInteriorPath).
+//
+// wall, slab, roof      thickness of outer walls, floor slabs and the roof
+// step                  highest ledge the player steps onto; solids lower than this above the
+//                       feet do not block sideways
+// doorWidth, doorHeight size of door openings (outer walls and rooms)
+// doorStep              distance of the node inside / the spot outside a door from the wall
+// windowWidth/Height    size of window openings; a 'window' solid fills each one, it stops walking
+//                       but not sight lines or rounds (the Game puts the glass in)
+// elevatorWait          path cost (metres of walking) enemies add for waiting on the elevator
+// garrisonShare         share of the first wave that spawns garrisoned in buildings
+// garrisonSize          members per garrisoned building
+// garrisonMinDist       minimum distance of a garrisoned building from the player
+
+import { segmentBox } from './spatial.js';
+
+export const INTERIOR = {
+  wall: 0.25,
+  slab: 0.2,
+  roof: 0.4,
+  step: 0.35,
+  doorWidth: 1.2,
+  doorHeight: 2.2,
+  doorStep: 1.2,
+  windowWidth: 1.2,
+  windowHeight: 1.4,
+  elevatorWait: 8,
+  garrisonShare: 0.25,
+  garrisonSize: 2,
+  garrisonMinDist: 40
+};
+
+const CLEARANCE = 0.3; // enemies keep this far from walls between nodes
+const SURFACES = new Set(['slab', 'roof', 'balcony']); // solids one stands on (groundAt)
+
+export default class Interior {
+  // def: building from the level (x, z, width, depth, height, rotation, doors, interior)
+  constructor(def) {
+    this.x = def.x;
+    this.z = def.z;
+    this.width = def.width;
+    this.depth = def.depth;
+    this.height = def.height;
+    this.floors = Math.max(1, def.interior.floors);
+    this.floorHeight = def.height / this.floors;
+    this.roofY = def.height + INTERIOR.roof;
+    this._cos = Math.cos(def.rotation || 0);
+    this._sin = Math.sin(def.rotation || 0);
+    this.solids = [];
+    this.nodes = [];
+    this.doors = [];
+    this._blockers = [];
+
+    const bw = def.width, bd = def.depth, bh = def.height, h = this.floorHeight;
+    const hw = bw / 2, hd = bd / 2, t = INTERIOR.wall;
+    // stairwell along the x- side, elevator shaft in the x+/z- quarter, room in the x+/z+ quarter
+    const sw = Math.min(2.2, bw * 0.4);
+    const run = Math.max(2, Math.min(bd - 5, h * 1.6));
+    this.stairs = { x0: -bw / 4 - sw / 2, x1: -bw / 4 + sw / 2, z0: -run / 2, z1: run / 2 };
+    this.shaft = def.interior.elevator ? { x0: bw / 4 - 0.7, x1: bw / 4 + 0.7, z0: -bd / 4 - 0.7, z1: -bd / 4 + 0.7 } : null;
+    this.carY = 0; // floor level of the elevator car, kept up to date by its Elevator (elevators.js)
+    this.gates = []; // elevator doors per storey: { floor, x, z, mesh }
+    // one flight per storey rising towards z+, the last one ends on the roof
+    this.flights = [];
+    for (let f = 0; f < this.floors; f++) {
+      const y1 = f < this.floors - 1 ? this.floorY(f + 1) : this.roofY;
+      this.flights.push({ ...this.stairs, y0: this.floorY(f), y1 });
+    }
+    this.room = { x0: bw * 0.1, x1: hw - t, z0: bd * 0.1, z1: hd - t };
+
+    // outer walls, door openings on the ground floor
+    const gaps = { 'x+': [], 'x-': [], 'z+': [], 'z-': [] };
+    const step = INTERIOR.doorStep;
+    for (const d of def.doors) {
+      let lx = d.offset, lz = hd, nx = 0, nz = 1;
+      if (d.face === 'x+') { lx = hw; lz = d.offset; nx = 1; nz = 0; }
+      else if (d.face === 'x-') { lx = -hw; lz = d.offset; nx = -1; nz = 0; }
+      else if (d.face === 'z-') { lz = -hd; nz = -1; }
+      const door = {
+        kind: d.kind,
+        ...this.toWorld(lx, lz),
+        inside: this._addNode('door', 0, lx - nx * step, lz - nz * step),
+        outside: this.toWorld(lx + nx * step, lz + nz * step),
+        mesh: null
+      };
+      this.doors.push(door);
+      gaps[gaps[d.face] ? d.face : 'z+'].push({ at: d.face === 'x+' || d.face === 'x-' ? lz : lx, width: INTERIOR.doorWidth, height: INTERIOR.doorHeight, door });
+    }
+    // window rows on the z faces, wide buildings also get them on the x faces
+    this.windows = []; // { face, at (along the wall), y (centre), width, height }
+    const perRow = Math.floor(bw / 3.5), rows = Math.floor(bh / 3.5);
+    const faces = bw > 12 ? ['z+', 'z-', 'x-', 'x+'] : ['z+', 'z-'];
+    for (let row = 1; row <= rows; row++) {
+      const y = row * bh / (rows + 1);
+      for (let k = 0; k < perRow; k++) {
+        const at = -hw + bw / (perRow + 1) * (k + 1);
+        for (const face of faces) {
+          const w = { face, at: face[0] === 'x' ? at * 0.8 : at, y, width: INTERIOR.windowWidth, height: INTERIOR.windowHeight };
+          this.windows.push(w);
+          gaps[face].push({ at: w.at, width: w.width, bottom: y - w.height / 2, height: w.height, pane: true });
+        }
+      }
+    }
+    this._wall('wall', 'z', -hd, hd, hw - t, hw, 0, bh, gaps['x+']);
+    this._wall('wall', 'z', -hd, hd, -hw, -hw + t, 0, bh, gaps['x-']);
+    this._wall('wall', 'x', -hw + t, hw - t, hd - t, hd, 0, bh, gaps['z+']);
+    this._wall('wall', 'x', -hw + t, hw - t, -hd, -hd + t, 0, bh, gaps['z-']);
+
+    // balconies: a platform with a railing on the x+ wall; their floor counts 3 m storeys
+    const bs = bh / Math.max(1, Math.floor(bh / 3));
+    const bl = Math.min(4, bd * 0.7) / 2, bx = hw + 1.5;
+    this.balconies = [];
+    for (const b of def.balconies || []) {
+      const y = b.floor * bs;
+      this.balconies.push({ floor: b.floor, y });
+      this._solid('balcony', hw, bx, y - 0.3, y, -bl, bl);
+      this._solid('railing', bx - 0.1, bx, y, y + 1, -bl, bl);
+      this._solid('railing', hw, bx - 0.1, y, y + 1, -bl, -bl + 0.1);
+      this._solid('railing', hw, bx - 0.1, y, y + 1, bl - 0.1, bl);
+    }
+
+    // storey slabs, the top one is the ceiling under the roof; the stairwell goes up to a hatch
+    for (let f = 1; f <= this.floors; f++) {
+      const holes = f < this.floors ? [this.stairs, this.shaft].filter(Boolean) : [this.stairs];
+      this._slab('slab', f * h - INTERIOR.slab, f * h, holes, t);
+    }
+    this._slab('roof', bh, this.roofY, [this.stairs], 0);
+
+    // elevator shaft, a gate towards +z on every storey; gates count as doors (open while the
+    // car stands there with its doors open)
+    const s = this.shaft;
+    if (s) {
+      this._solid('shaft', s.x0, s.x0 + 0.1, 0, bh, s.z0, s.z1);
+      this._solid('shaft', s.x1 - 0.1, s.x1, 0, bh, s.z0, s.z1);
+      this._solid('shaft', s.x0 + 0.1, s.x1 - 0.1, 0, bh, s.z0, s.z0 + 0.1);
+      for (let f = 0; f < this.floors; f++) {
+        const y0 = this.floorY(f), y1 = f < this.floors - 1 ? this.floorY(f + 1) : bh;
+        const gate = { floor: f, ...this.toWorld((s.x0 + s.x1) / 2, s.z1 - 0.05), mesh: null };
+        this.gates.push(gate);
+        this._solid('door', s.x0 + 0.1, s.x1 - 0.1, y0, y0 + INTERIOR.doorHeight, s.z1 - 0.1, s.z1, { door: gate });
+        this._solid('shaft', s.x0 + 0.1, s.x1 - 0.1, y0 + INTERIOR.doorHeight, y1, s.z1 - 0.1, s.z1);
+      }
+    }
+
+    // rooms: two inner walls, the doorway faces the stairs
+    const r = this.room;
+    const roomFloors = new Set(def.interior.rooms.map(room => room.floor));
+    const doorZ = (r.z0 + r.z1) / 2;
+    for (let f = 0; f < this.floors; f++) {
+      if (!roomFloors.has(f)) continue;
+      const y0 = f * h, y1 = (f + 1) * h - INTERIOR.slab;
+      this._wall('room', 'z', r.z0, r.z1, r.x0, r.x0 + 0.15, y0, y1, [{ at: doorZ, width: INTERIOR.doorWidth, height: INTERIOR.doorHeight }]);
+      this._wall('room', 'x', r.x0 + 0.15, r.x1, r.z0, r.z0 + 0.15, y0, y1);
+    }
+
+    // waypoints per storey, linked where nothing is in the way; flights link the storeys
+    const st = this.stairs;
+    let flight = null;
+    for (let f = 0; f < this.floors; f++) {
+      this._addNode('hall', f, 0, bd / 4);
+      if (st) {
+        const sx = (st.x0 + st.x1) / 2;
+        const landing = this._addNode(flight ? 'landing' : 'hall', f, sx, st.z1 + 0.8);
+        if (flight) this._link(flight, landing);
+        flight = f < this.floors - 1 ? this._addNode('stair', f, sx, st.z0 - 0.8) : null;
+        this._addNode('stairside', f, st.x1 + 0.7, st.z0 - 0.8);
+        this._addNode('stairside', f, st.x1 + 0.7, st.z1 + 0.8);
+      }
+      if (s) this._addNode('elevator', f, (s.x0 + s.x1) / 2, s.z1 + 0.8);
+      if (roomFloors.has(f)) {
+        this._addNode('roomdoor', f, r.x0 - 0.8, doorZ);
+        this._addNode('room', f, (r.x0 + r.x1) / 2, doorZ);
+      }
+    }
+    for (const a of this.nodes) {
+      for (const b of this.nodes) {
+        if (a === b || a.floor !== b.floor || a.links.includes(b)) continue;
+        if (this._clear(a.lx, a.lz, b.lx, b.lz, a.floor)) this._link(a, b);
+      }
+    }
+    // the elevator connects all storeys
+    const stops = this.nodes.filter(n => n.kind === 'elevator');
+    for (const a of stops) {
+      for (const b of stops) if (a.floor < b.floor) this._link(a, b);
+    }
+    // cornered nodes (a door right next to the stairwell): link the closest one anyway
+    for (const a of this.nodes) {
+      if (a.links.some(b => b.floor === a.floor)) continue;
+      let best = null, bestD = Infinity;
+      for (const b of this.nodes) {
+        const d = (b.lx - a.lx) ** 2 + (b.lz - a.lz) ** 2;
+        if (b !== a && b.floor === a.floor && d < bestD) { bestD = d; best = b; }
+      }
+      if (best) this._link(a, best);
+    }
+
+    // local box around all solids (balconies stick out of the walls, the roof above the height)
+    this.bounds = { x0: -hw, x1: hw, y0: 0, y1: this.roofY, z0: -hd, z1: hd };
+    for (const so of this.solids) {
+      this.bounds.x0 = Math.min(this.bounds.x0, so.x0);
+      this.bounds.x1 = Math.max(this.bounds.x1, so.x1);
+      this.bounds.y0 = Math.min(this.bounds.y0, so.y0);
+      this.bounds.z0 = Math.min(this.bounds.z0, so.z0);
+      this.bounds.z1 = Math.max(this.bounds.z1, so.z1);
+    }
+  }
+
+  // building-local (x, z) -> world { x, z }
+  toWorld(lx, lz) {
+    return { x: this.x + lx * this._cos + lz * this._sin, z: this.z - lx * this._sin + lz * this._cos };
+  }
+
+  // world (x, z) -> building-local { x, z }
+  toLocal(x, z) {
+    const dx = x - this.x, dz = z - this.z;
+    return { x: dx * this._cos - dz * this._sin, z: dx * this._sin + dz * this._cos };
+  }
+
+  // is the point within the footprint (shrunk by margin)
+  contains(x, z, margin = 0) {
+    const l = this.toLocal(x, z);
+    return Math.abs(l.x) <= this.width / 2 - margin && Math.abs(l.z) <= this.depth / 2 - margin;
+  }
+
+  // closest point within the footprint (shrunk by margin)
+  clamp(x, z, margin = 0) {
+    const l = this.toLocal(x, z);
+    const hx = Math.max(0, this.width / 2 - margin), hz = Math.max(0, this.depth / 2 - margin);
+    return this.toWorld(Math.max(-hx, Math.min(hx, l.x)), Math.max(-hz, Math.min(hz, l.z)));
+  }
+
+  // storey index for a height (feet or eyes), clamped to the building
+  floorAt(y) {
+    return Math.max(0, Math.min(this.floors - 1, Math.floor(y / this.floorHeight)));
+  }
+
+  // floor level of a storey
+  floorY(floor) {
+    return floor * this.floorHeight;
+  }
+
+  // highest surface to stand on (slab, stair flight, roof, balcony, elevator car) at the world
+  // point that is not above maxY; 0 (the street) when there is none
+  groundAt(x, z, maxY) {
+    const l = this.toLocal(x, z), b = this.bounds;
+    if (l.x < b.x0 || l.x > b.x1 || l.z < b.z0 || l.z > b.z1) return 0;
+    let best = 0;
+    for (const s of this.solids) {
+      if (!SURFACES.has(s.kind) || s.y1 > maxY || s.y1 <= best) continue;
+      if (l.x >= s.x0 && l.x <= s.x1 && l.z >= s.z0 && l.z <= s.z1) best = s.y1;
+    }
+    for (const f of this.flights) {
+      if (l.x < f.x0 || l.x > f.x1 || l.z < f.z0 || l.z > f.z1) continue;
+      const y = f.y0 + (l.z - f.z0) / (f.z1 - f.z0) * (f.y1 - f.y0);
+      if (y <= maxY && y > best) best = y;
+    }
+    const c = this.shaft;
+    if (c && this.carY <= maxY && this.carY > best && l.x > c.x0 && l.x < c.x1 && l.z > c.z0 && l.z < c.z1) best = this.carY;
+    return best;
+  }
+
+  // lowest slab, roof or balcony underside above minY at the world point, Infinity when open to the sky
+  ceilingAt(x, z, minY) {
+    const l = this.toLocal(x, z);
+    let best = Infinity;
+    for (const s of this.solids) {
+      if (!SURFACES.has(s.kind) || s.y0 < minY || s.y0 >= best) continue;
+      if (l.x >= s.x0 && l.x <= s.x1 && l.z >= s.z0 && l.z <= s.z1) best = s.y0;
+    }
+    return best;
+  }
+
+  // top of the highest closed solid at the world point that reaches into y0..y1 (walls,
+  // railings, slabs, anything), -Infinity when there is none; used for vaulting
+  topAt(x, z, y0, y1) {
+    const l = this.toLocal(x, z);
+    let top = -Infinity;
+    for (const s of this.solids) {
+      if (s.y1 <= y0 || s.y0 >= y1 || s.y1 <= top || this._open(s)) continue;
+      if (l.x >= s.x0 && l.x <= s.x1 && l.z >= s.z0 && l.z <= s.z1) top = s.y1;
+    }
+    return top;
+  }
+
+  // balcony floor at the world point between minY and maxY (a ledge to climb onto), or -Infinity
+  ledgeAt(x, z, minY, maxY) {
+    const l = this.toLocal(x, z);
+    let top = -Infinity;
+    for (const s of this.solids) {
+      if (s.kind !== 'balcony' || s.y1 < minY || s.y1 > maxY || s.y1 <= top) continue;
+      if (l.x >= s.x0 && l.x <= s.x1 && l.z >= s.z0 && l.z <= s.z1) top = s.y1;
+    }
+    return top;
+  }
+
+  // stair flight whose surface is at height y at the world point: its steepness in radians and
+  // the world direction down it, or null (floors, roofs and the car are level)
+  slopeAt(x, z, y) {
+    const l = this.toLocal(x, z);
+    for (const f of this.flights) {
+      if (l.x < f.x0 || l.x > f.x1 || l.z < f.z0 || l.z > f.z1) continue;
+      if (Math.abs(f.y0 + (l.z - f.z0) / (f.z1 - f.z0) * (f.y1 - f.y0) - y) > 1e-3) continue;
+      // Läufe steigen nach z+, abwärts geht es nach z-
+      return { angle: Math.atan2(f.y1 - f.y0, f.z1 - f.z0), x: -this._sin, z: -this._cos };
+    }
+    return null;
+  }
+
+  // can an enemy walk straight between two world points on a storey
+  walkable(x0, z0, x1, z1, floor) {
+    const a = this.toLocal(x0, z0), b = this.toLocal(x1, z1);
+    return this._clear(a.x, a.z, b.x, b.z, floor);
+  }
+
+  // closest node on the storey of y, preferring nodes in straight reach (filter optional)
+  nearestNode(x, y, z, filter = null) {
+    const floor = this.floorAt(y);
+    let best = null, bestD = Infinity;
+    for (const n of this.nodes) {
+      if (n.floor !== floor || (filter && !filter(n))) continue;
+      const d = (n.x - x) ** 2 + (n.z - z) ** 2 + (this.walkable(x, z, n.x, n.z, floor) ? 0 : 1e4);
+      if (d < bestD) { bestD = d; best = n; }
+    }
+    return best;
+  }
+
+  // door closest to the point (filter optional), or null for buildings without doors
+  nearestDoor(x, z, filter = null) {
+    let best = null, bestD = Infinity;
+    for (const d of this.doors) {
+      if (filter && !filter(d)) continue;
+      const dist = (d.outside.x - x) ** 2 + (d.outside.z - z) ** 2;
+      if (dist < bestD) { bestD = dist; best = d; }
+    }
+    return best;
+  }
+
+  // shortest node list from a position (nodes in straight reach on its storey) to goal,
+  // goal included; null when the goal cannot be reached
+  path(x, y, z, goal) {
+    const floor = this.floorAt(y);
+    const dist = new Map(), prev = new Map(), open = [];
+    for (const n of this.nodes) {
+      if (n.floor !== floor || !this.walkable(x, z, n.x, n.z, floor)) continue;
+      dist.set(n, Math.hypot(n.x - x, n.z - z));
+      open.push(n);
+    }
+    // pushed off the walkable area: start at the closest node anyway
+    if (!open.length) {
+      const n = this.nearestNode(x, y, z);
+      if (!n) return null;
+      dist.set(n, Math.hypot(n.x - x, n.z - z));
+      open.push(n);
+    }
+    while (open.length) {
+      let bi = 0;
+      for (let i = 1; i < open.length; i++) if (dist.get(open[i]) < dist.get(open[bi])) bi = i;
+      const n = open.splice(bi, 1)[0];
+      if (n === goal) break;
+      for (const m of n.links) {
+        const d = dist.get(n) + (this.rides(n, m) ? Math.abs(m.y - n.y) + INTERIOR.elevatorWait : Math.hypot(m.x - n.x, m.y - n.y, m.z - n.z));
+        if (dist.has(m) && dist.get(m) <= d) continue;
+        if (!dist.has(m)) open.push(m);
+        dist.set(m, d);
+        prev.set(m, n);
+      }
+    }
+    if (!dist.has(goal)) return null;
+    const out = [goal];
+    for (let n = prev.get(goal); n; n = prev.get(n)) out.unshift(n);
+    return out;
+  }
+
+  // is the link between two nodes an elevator ride
+  rides(a, b) {
+    return a.kind === 'elevator' && b.kind === 'elevator' && a.floor !== b.floor;
+  }
+
+  // push a circle at pos (world, x/z changed in place) out of the solids between feetY and
+  // headY; open doors let it through. Returns the outer wall or door solid it touched, or null
+  collide(pos, radius, feetY, headY) {
+    const l = this.toLocal(pos.x, pos.z);
+    const b = this.bounds;
+    if (l.x < b.x0 - radius || l.x > b.x1 + radius || l.z < b.z0 - radius || l.z > b.z1 + radius) return null;
+    let x = l.x, z = l.z, outer = null;
+    for (const s of this.solids) {
+      if (s.y1 <= feetY + INTERIOR.step || s.y0 >= headY || this._open(s)) continue;
+      const cx = Math.max(s.x0, Math.min(x, s.x1)), cz = Math.max(s.z0, Math.min(z, s.z1));
+      const dx = x - cx, dz = z - cz, d2 = dx * dx + dz * dz;
+      if (d2 >= radius * radius) continue;
+      if (d2 > 1e-8) {
+        const d = Math.sqrt(d2);
+        x = cx + dx / d * radius;
+        z = cz + dz / d * radius;
+      } else {
+        // Mittelpunkt im Block: auf kürzestem Weg hinaus
+        const pen = [x - s.x0, s.x1 - x, z - s.z0, s.z1 - z];
+        const i = pen.indexOf(Math.min(...pen));
+        if (i === 0) x = s.x0 - radius;
+        else if (i === 1) x = s.x1 + radius;
+        else if (i === 2) z = s.z0 - radius;
+        else z = s.z1 + radius;
+      }
+      if (s.kind === 'wall' || s.kind === 'door' || s.kind === 'window') outer = s;
+    }
+    const w = this.toWorld(x, z);
+    pos.x = w.x;
+    pos.z = w.z;
+    return outer;
+  }
+
+  // first solid on the segment between two world points (anything with x/y/z):
+  // fraction 0..1 along it, or null when nothing is in the way; window panes let it through
+  raycast(from, to) {
+    const a = this.toLocal(from.x, from.z), b = this.toLocal(to.x, to.z);
+    const o = [a.x, from.y, a.z], d = [b.x - a.x, to.y - from.y, b.z - a.z];
+    const bb = this.bounds;
+    if (segmentBox(o, d, bb.x0, bb.x1, bb.y0, bb.y1, bb.z0, bb.z1) === null) return null;
+    let best = null;
+    for (const s of this.solids) {
+      if (s.kind === 'window' || this._open(s)) continue;
+      const t = segmentBox(o, d, s.x0, s.x1, s.y0, s.y1, s.z0, s.z1);
+      if (t !== null && (best === null || t < best)) best = t;
+    }
+    return best;
+  }
+
+  _open(solid) {
+    return !!solid.door && (!solid.door.mesh || solid.door.mesh.userData.open);
+  }
+
+  _solid(kind, x0, x1, y0, y1, z0, z1, extra = null) {
+    const s = { kind, x0, x1, y0, y1, z0, z1 };
+    if (extra) Object.assign(s, extra);
+    this.solids.push(s);
+    return s;
+  }
+
+  // wall running along x or z from a0 to a1, c0..c1 thick, with openings
+  // ({ at, width, height, bottom, door, pane }, bottom above y0, default 0); a door fills its
+  // opening with a 'door' solid while closed, a pane with a 'window' solid
+  _wall(kind, along, a0, a1, c0, c1, y0, y1, gaps = []) {
+    const add = (kindOf, p0, p1, q0, q1, extra) => along === 'x'
+      ? this._solid(kindOf, p0, p1, q0, q1, c0, c1, extra)
+      : this._solid(kindOf, c0, c1, q0, q1, p0, p1, extra);
+    // strips between the opening edges, each solid from y0 to y1 except for its openings
+    const cuts = [...new Set([a0, a1, ...gaps.flatMap(g => [g.at - g.width / 2, g.at + g.width / 2])])]
+      .filter(v => v >= a0 && v <= a1).sort((p, q) => p - q);
+    for (let i = 0; i + 1 < cuts.length; i++) {
+      const p0 = cuts[i], p1 = cuts[i + 1];
+      const openings = gaps.filter(g => g.at - g.width / 2 <= p0 && p1 <= g.at + g.width / 2)
+        .map(g => ({ ...g, lo: y0 + (g.bottom || 0), hi: Math.min(y1, y0 + (g.bottom || 0) + g.height) }))
+        .sort((p, q) => p.lo - q.lo);
+      let y = y0;
+      for (const g of openings) {
+        if (g.lo > y) add(kind, p0, p1, y, g.lo);
+        if (g.door) add('door', p0, p1, g.lo, g.hi, { door: g.door });
+        else if (g.pane) add('window', p0, p1, Math.max(y, g.lo), g.hi);
+        y = Math.max(y, g.hi);
+      }
+      if (y < y1) add(kind, p0, p1, y, y1);
+    }
+  }
+
+  // slab over the footprint (shrunk by inset) with rectangular holes
+  _slab(kind, y0, y1, holes, inset) {
+    const x0 = -this.width / 2 + inset, x1 = this.width / 2 - inset, z0 = -this.depth / 2 + inset, z1 = this.depth / 2 - inset;
+    const cuts = (lo, hi, keys) => [...new Set([lo, hi, ...holes.flatMap(hole => keys.map(k => hole[k]))])]
+      .filter(v => v >= lo && v <= hi).sort((p, q) => p - q);
+    const xs = cuts(x0, x1, ['x0', 'x1']), zs = cuts(z0, z1, ['z0', 'z1']);
+    for (let i = 0; i + 1 < xs.length; i++) {
+      let start = null;
+      for (let j = 0; j + 1 <= zs.length; j++) {
+        const solid = j + 1 < zs.length && !holes.some(hole =>
+          hole.x0 <= xs[i] && xs[i + 1] <= hole.x1 && hole.z0 <= zs[j] && zs[j + 1] <= hole.z1);
+        if (solid && start === null) start = zs[j];
+        if (!solid && start !== null) {
+          this._solid(kind, xs[i], xs[i + 1], y0, y1, start, zs[j]);
+          start = null;
+        }
+      }
+    }
+  }
+
+  // blocking rectangles at walking height of a storey (local, grown by CLEARANCE)
+  _blockersOn(floor) {
+    if (this._blockers[floor]) return this._blockers[floor];
+    const y = this.floorY(floor) + 1;
+    const rects = [];
+    const grow = (r) => rects.push({ x0: r.x0 - CLEARANCE, x1: r.x1 + CLEARANCE, z0: r.z0 - CLEARANCE, z1: r.z1 + CLEARANCE });
+    if (this.stairs) grow(this.stairs);
+    for (const s of this.solids) {
+      if (s.kind !== 'slab' && s.kind !== 'roof' && s.kind !== 'door' && s.y0 <= y && s.y1 >= y) grow(s);
+    }
+    this._blockers[floor] = rects;
+    return rects;
+  }
+
+  _clear(ax, az, bx, bz, floor) {
+    const o = [ax, 0, az], d = [bx - ax, 0, bz - az];
+    return !this._blockersOn(floor).some(r => segmentBox(o, d, r.x0, r.x1, -1, 1, r.z0, r.z1) !== null);
+  }
+
+  _addNode(kind, floor, lx, lz) {
+    const w = this.toWorld(lx, lz);
+    const node = { kind, floor, x: w.x, y: this.floorY(floor), z: w.z, lx, lz, links: [] };
+    this.nodes.push(node);
+    return node;
+  }
+
+  _link(a, b) {
+    a.links.push(b);
+    b.links.push(a);
+  }
+}
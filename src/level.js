@@ -0,0 +1,268 @@
+// Level data: procedural generator + JSON import/export helpers.
+// The Game builds all city meshes from this description, so a generated city
+// can be exported, edited by hand and loaded again. Format: see LEVELS.md
+
+import { INTERIOR } from './interiors.js';
+
+export const LEVEL_VERSION = 1;
+
+const PALETTE = [0xd9e6f2, 0xe8d8c3, 0xcfe3d6, 0xd0cbe6, 0xe6e0c9];
+const DOOR_FACES = ['x+', 'x-', 'z+', 'z-'];
+const PROP_TYPES = ['tree', 'lamp', 'bench'];
+
+// generate the default city layout from a seeded random function
+export function generateLevel(random, seed) {
+  const grid = { cols: 10, rows: 10, blockW: 28, blockD: 28, gap: 6 };
+  grid.startX = -((grid.cols * (grid.blockW + grid.gap)) / 2) + (grid.blockW + grid.gap) / 2;
+  grid.startZ = -((grid.rows * (grid.blockD + grid.gap)) / 2) - 120 + (grid.blockD + grid.gap) / 2;
+  const { cols, rows, blockW, blockD, gap, startX, startZ } = grid;
+
+  const level = {
+    version: LEVEL_VERSION,
+    seed: seed !== undefined ? seed : null,
+    grid,
+    blocks: [],
+    park: null,
+    fountain: null,
+    buildings: [],
+    sidewalks: [],
+    props: [],
+    targets: [],
+    playerSpawns: [],
+    enemySpawnZones: []
+  };
+
+  // Kleinerer zentraler Park mit Brunnen
+  const parkX = startX + (cols / 2) * (blockW + gap) - (blockW + gap) / 2;
+  const parkZ = startZ + (rows / 2) * (blockD + gap) - (blockD + gap) / 2;
+  level.park = { x: parkX, z: parkZ, radius: 45 };
+  level.fountain = { x: parkX, z: parkZ, radius: 4, height: 0.6 };
+
+  for (let cx = 0; cx < cols; cx++) {
+    for (let cz = 0; cz < rows; cz++) {
+      const px = startX + cx * (blockW + gap);
+      const pz = startZ + cz * (blockD + gap);
+      level.blocks.push({ cx, cz, x: px, z: pz });
+
+      // park center: trees near the middle of the block
+      if (Math.abs(cx - cols / 2) < 1 && Math.abs(cz - rows / 2) < 1) {
+        for (let t = 0; t < 6; t++) {
+          level.props.push({
+            type: 'tree',
+            x: px + (random() - 0.5) * blockW * 0.4,
+            z: pz + (random() - 0.5) * blockD * 0.4,
+            radius: 1.4
+          });
+        }
+      }
+
+      // 1-2 buildings per block, placed neatly
+      const count = 1 + Math.floor(random() * 2);
+      for (let i = 0; i < count; i++) {
+        const width = 10 + random() * 12;
+        const depth = 10 + random() * 10;
+        const height = 6 + random() * 18;
+        const color = PALETTE[Math.floor(random() * PALETTE.length)];
+        const x = px + (i === 0 ? -8 : 8) + (random() - 0.5) * 6;
+        const z = pz + (random() - 0.5) * 6;
+
+        // Haupteingang plus Hinter-/Seiteneingänge bei größeren Gebäuden
+        const face = random() > 0.5 ? 'x+' : 'z+';
+        const doors = [{ kind: 'main', face, offset: 0 }];
+        if (width > 12 && depth > 12) {
+          doors.push(face === 'x+'
+            ? { kind: 'back', face: 'x-', offset: depth / 4 }
+            : { kind: 'back', face: 'z-', offset: -width / 4 });
+        }
+        if (width > 16 && depth > 16) {
+          doors.push({ kind: 'side', face: 'z+', offset: width / 4 });
+        }
+
+        // 40% Chance für Balkon pro Stockwerk
+        const balconies = [];
+        const numFloors = balconyLimit(height);
+        for (let floor = 1; floor < numFloors; floor++) {
+          if (random() > 0.6) balconies.push({ floor });
+        }
+
+        // interior: one room per floor, occasionally with a target
+        const floors = storeysFor(height);
+        const rooms = [];
+        for (let f = 0; f < floors; f++) {
+          rooms.push({ floor: f, target: random() > 0.5 });
+        }
+
+        level.buildings.push({
+          id: `b${level.buildings.length}`,
+          block: [cx, cz],
+          x, z, width, depth, height, color,
+          doors,
+          balconies,
+          interior: { floors, elevator: true, rooms }
+        });
+      }
+    }
+  }
+
+  // sidewalks along roads
+  for (let i = -6; i <= 6; i += 6) {
+    level.sidewalks.push({ x: i * 10 - 100, z: -100, width: 1000, depth: 3 });
+  }
+
+  // street lamps (nur auf Gehwegen, nicht auf Straßen)
+  for (let i = -6; i <= 6; i += 4) {
+    level.props.push({ type: 'lamp', x: i * 12, z: -25 });
+  }
+
+  // benches (nur in Parks und Gehwegen)
+  for (let i = 0; i < 8; i++) {
+    level.props.push({ type: 'bench', x: -80 + i * 20, z: -15 + (i % 2) * 10, rotation: 0 });
+  }
+
+  // trees along sidewalks: try to find a position that is not on a road
+  for (let i = 0; i < 25; i++) {
+    let x, z;
+    let onRoad = true;
+    let attempts = 0;
+    do {
+      x = -150 + random() * 300;
+      z = -150 + random() * 300;
+      const roadSpacing = 44;
+      const isOnHorizontalRoad = Math.abs((z + 100) % roadSpacing - roadSpacing / 2) < 4;
+      const isOnVerticalRoad = Math.abs(x % roadSpacing - roadSpacing / 2) < 4;
+      onRoad = isOnHorizontalRoad || isOnVerticalRoad;
+      attempts++;
+    } while (onRoad && attempts < 20);
+    if (!onRoad) level.props.push({ type: 'tree', x, z, radius: 1.2 });
+  }
+
+  // Spawn-Punkte in verschiedenen Stadtgebieten
+  level.playerSpawns = [
+    { x: 15, y: 1.6, z: 15 },   // Nord-Ost Distrikt
+    { x: -15, y: 1.6, z: 15 },  // Nord-West Distrikt
+    { x: 15, y: 1.6, z: -15 },  // Süd-Ost Distrikt
+    { x: -15, y: 1.6, z: -15 }, // Süd-West Distrikt
+    { x: 35, y: 1.6, z: 0 },    // Ost-Außenbezirk
+    { x: -35, y: 1.6, z: 0 },   // West-Außenbezirk
+    { x: 0, y: 1.6, z: 35 },    // Nord-Außenbezirk
+    { x: 0, y: 1.6, z: -35 }    // Süd-Außenbezirk
+  ];
+
+  // enemy spawn zones: 'initial' for the first wave, 'respawn' for reinforcements
+  const initialZones = [[50, 50], [-50, 50], [50, -50], [-50, -50], [0, 80], [0, -80], [80, 0], [-80, 0]];
+  for (const [x, z] of initialZones) level.enemySpawnZones.push({ x, z, radius: 15, kind: 'initial' });
+  const respawnZones = [
+    [70, 70], [-70, 70], [70, -70], [-70, -70],
+    [90, 0], [-90, 0], [0, 90], [0, -90],
+    [60, 40], [-60, 40], [60, -40], [-60, -40]
+  ];
+  for (const [x, z] of respawnZones) level.enemySpawnZones.push({ x, z, radius: 10, kind: 'respawn' });
+
+  // floating practice targets near the start area
+  for (let i = 0; i < 6; i++) {
+    level.targets.push({ x: (random() - 0.5) * 40, y: 0.5 + random() * 4, z: -10 - random() * 60 });
+  }
+
+  return level;
+}
+
+// storeys of a building: about 6 m each and at least two, but never lower than a door plus slab
+export function storeysFor(height) {
+  const fit = Math.max(1, Math.floor(height / (INTERIOR.doorHeight + INTERIOR.slab)));
+  return Math.min(fit, Math.max(2, Math.floor(height / 6)));
+}
+
+// balconies count 3 m storeys (interiors.js); floors from this one up would be at or above the roof
+export function balconyLimit(height) {
+  return Math.floor(height / 3);
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function fail(msg) {
+  throw new Error(`Invalid level: ${msg}`);
+}
+
+function requirePoint(obj, where) {
+  if (!obj || !isNum(obj.x) || !isNum(obj.z)) fail(`${where} needs numeric x and z`);
+}
+
+// validate a level (JSON string or object) and fill in optional fields.
+// Throws an Error describing the first problem found.
+export function parseLevel(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try { data = JSON.parse(input); } catch (e) { fail(`not valid JSON (${e.message})`); }
+  }
+  if (!data || typeof data !== 'object') fail('expected an object');
+  if (data.version !== LEVEL_VERSION) fail(`unsupported version ${data.version} (expected ${LEVEL_VERSION})`);
+
+  // work on a copy so the caller's object is never modified by the game
+  const level = JSON.parse(JSON.stringify(data));
+  const grid = level.grid || {};
+  level.grid = {
+    cols: grid.cols || 0, rows: grid.rows || 0,
+    blockW: grid.blockW || 28, blockD: grid.blockD || 28, gap: grid.gap || 6,
+    startX: grid.startX || 0, startZ: grid.startZ || 0
+  };
+
+  for (const key of ['blocks', 'buildings', 'sidewalks', 'props', 'targets', 'playerSpawns', 'enemySpawnZones']) {
+    if (level[key] === undefined) level[key] = [];
+    if (!Array.isArray(level[key])) fail(`${key} must be an array`);
+  }
+
+  level.blocks.forEach((b, i) => requirePoint(b, `blocks[${i}]`));
+  if (level.park) requirePoint(level.park, 'park');
+  if (level.fountain) requirePoint(level.fountain, 'fountain');
+
+  level.buildings.forEach((b, i) => {
+    const where = `buildings[${i}]`;
+    requirePoint(b, where);
+    for (const k of ['width', 'depth', 'height']) {
+      if (!isNum(b[k]) || b[k] <= 0) fail(`${where}.${k} must be a positive number`);
+    }
+    if (!b.id) b.id = `b${i}`;
+    if (!isNum(b.rotation)) b.rotation = 0;
+    if (!isNum(b.color)) b.color = PALETTE[i % PALETTE.length];
+    if (!Array.isArray(b.doors) || b.doors.length === 0) b.doors = [{ kind: 'main', face: 'z+', offset: 0 }];
+    b.doors.forEach((d, j) => {
+      if (!DOOR_FACES.includes(d.face)) fail(`${where}.doors[${j}].face must be one of ${DOOR_FACES.join(', ')}`);
+      if (!d.kind) d.kind = j === 0 ? 'main' : 'side';
+      if (!isNum(d.offset)) d.offset = 0;
+    });
+    if (!Array.isArray(b.balconies)) b.balconies = [];
+    const floors = storeysFor(b.height);
+    const interior = b.interior || {};
+    b.interior = {
+      floors: isNum(interior.floors) && interior.floors >= 1 ? Math.floor(interior.floors) : floors,
+      elevator: interior.elevator !== false,
+      rooms: Array.isArray(interior.rooms) ? interior.rooms : []
+    };
+  });
+
+  level.sidewalks.forEach((s, i) => {
+    requirePoint(s, `sidewalks[${i}]`);
+    if (!isNum(s.width) || !isNum(s.depth)) fail(`sidewalks[${i}] needs width and depth`);
+  });
+  level.props.forEach((p, i) => {
+    requirePoint(p, `props[${i}]`);
+    if (!PROP_TYPES.includes(p.type)) fail(`props[${i}].type must be one of ${PROP_TYPES.join(', ')}`);
+    if (!isNum(p.rotation)) p.rotation = 0;
+    if (!isNum(p.scale) || p.scale <= 0) p.scale = 1;
+  });
+  level.targets.forEach((t, i) => {
+    requirePoint(t, `targets[${i}]`);
+    if (!isNum(t.y)) t.y = 1;
+  });
+  level.playerSpawns.forEach((p, i) => {
+    requirePoint(p, `playerSpawns[${i}]`);
+    if (!isNum(p.y)) p.y = 1.6;
+  });
+  if (level.playerSpawns.length === 0) level.playerSpawns.push({ x: 0, y: 1.6, z: 0 });
+  level.enemySpawnZones.forEach((z, i) => {
+    requirePoint(z, `enemySpawnZones[${i}]`);
+    if (!isNum(z.radius)) z.radius = 10;
+    if (z.kind !== 'initial' && z.kind !== 'respawn') z.kind = 'initial';
+  });
+  return level;
+}
@@ -3,11 +3,43 @@ import Game from './game.js';
 const overlay = document.getElementById('overlay');
 const startBtn = document.getElementById('startBtn');
 
+// optional ?seed=... in the URL reproduces a specific city
+const params = new URLSearchParams(window.location.search);
+const seed = params.get('seed');
+// optional ?level=path/to/level.json loads a hand-authored city (see LEVELS.md)
+const levelUrl = params.get('level');
+let levelData = null;
+let levelError = null;
+if (levelUrl) {
+  // Start wartet auf das Level, sonst gibt es still eine generierte Stadt
+  startBtn.disabled = true;
+  fetch(levelUrl)
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    })
+    .then((text) => { levelData = text; })
+    .catch((err) => { levelError = err; })
+    .finally(() => { startBtn.disabled = false; });
+}
+
 let game;
 startBtn.addEventListener('click', () => {
   overlay.classList.add('hidden');
   if (!game) {
-    game = new Game();
+    if (!levelError) {
+      // parseLevel runs first in the constructor, a bad file throws before anything is built
+      try {
+        game = new Game({ seed, level: levelData });
+      } catch (err) {
+        levelError = err;
+      }
+    }
+    if (levelError) {
+      console.warn(`Could not load level ${levelUrl}:`, levelError);
+      game = new Game({ seed });
+      game._showTemporaryMessage(`Could not load level ${levelUrl} (${levelError.message}), playing a generated city`, 5000);
+    }
     game.start();
     // request pointer lock as part of the user gesture (click)
     game.lockPointer();
@@ -19,5 +51,9 @@ startBtn.addEventListener('click', () => {
 
 // expose for debugging
 window.__GAME__ = {
-  get: () => game
+  get: () => game,
+  seed: () => game && game.seed,
+  // copy(__GAME__.exportLevel()) in the console to grab the current city as JSON
+  exportLevel: () => game && JSON.stringify(game.exportLevel(), null, 2),
+  loadLevel: (json) => game && game.loadLevel(json)
 };
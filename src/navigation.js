@@ -0,0 +1,283 @@
+import * as THREE from 'three';
+
+// Navigation grid for enemy pathfinding.
+// The walkable area is rasterized into square cells: building footprints are blocked,
+// roads and sidewalks are cheaper to walk on than open ground, so enemies prefer streets.
+// findPath() runs A* over the 8-connected cells and smooths the result with line-of-sight checks.
+
+const SQRT2 = Math.SQRT2;
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+const ROAD_COST = 1.0;
+const GROUND_COST = 1.4;
+
+export default class NavGrid {
+  constructor(bounds, cellSize = 2) {
+    this.cellSize = cellSize;
+    this.minX = bounds.minX;
+    this.minZ = bounds.minZ;
+    this.cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+    this.rows = Math.max(1, Math.ceil((bounds.maxZ - bounds.minZ) / cellSize));
+    const n = this.cols * this.rows;
+    this.blocked = new Uint8Array(n);
+    this.cost = new Float32Array(n).fill(GROUND_COST);
+    // A* scratch buffers, reused between queries (stamp avoids clearing them)
+    this._g = new Float32Array(n);
+    this._from = new Int32Array(n);
+    this._stamp = new Uint32Array(n);
+    this._closed = new Uint32Array(n);
+    this._search = 0;
+  }
+
+  // build the grid for a level: roads/sidewalks from the level data, obstacles
+  // from { box3 } entries (the building boxes or the game's collision index entries)
+  static fromLevel(level, obstacles, options = {}) {
+    const cellSize = options.cellSize || 2;
+    const agentRadius = options.agentRadius !== undefined ? options.agentRadius : 0.4;
+    const margin = options.margin !== undefined ? options.margin : 30;
+
+    // bounds: everything enemies or the player can reach, plus a margin
+    const box = new THREE.Box2();
+    const grow = (x, z, r = 0) => {
+      box.expandByPoint(new THREE.Vector2(x - r, z - r));
+      box.expandByPoint(new THREE.Vector2(x + r, z + r));
+    };
+    const g = level.grid;
+    for (const b of level.blocks) grow(b.x, b.z, (Math.max(g.blockW, g.blockD) + g.gap) / 2);
+    for (const bb of obstacles) { grow(bb.box3.min.x, bb.box3.min.z); grow(bb.box3.max.x, bb.box3.max.z); }
+    for (const z of level.enemySpawnZones) grow(z.x, z.z, z.radius);
+    for (const p of level.playerSpawns) grow(p.x, p.z);
+    if (box.isEmpty()) grow(0, 0, 100);
+
+    const nav = new NavGrid({
+      minX: box.min.x - margin, minZ: box.min.y - margin,
+      maxX: box.max.x + margin, maxZ: box.max.y + margin
+    }, cellSize);
+
+    // roads (one horizontal and one vertical strip per block) and sidewalks are preferred
+    for (const b of level.blocks) {
+      const rx = b.z - (g.blockD / 2 + g.gap / 2);
+      nav.setCost(b.x - (g.blockW + g.gap) / 2, rx - g.gap / 2, b.x + (g.blockW + g.gap) / 2, rx + g.gap / 2, ROAD_COST);
+      const rz = b.x - (g.blockW / 2 + g.gap / 2);
+      nav.setCost(rz - g.gap / 2, b.z - (g.blockD + g.gap) / 2, rz + g.gap / 2, b.z + (g.blockD + g.gap) / 2, ROAD_COST);
+    }
+    for (const s of level.sidewalks) {
+      nav.setCost(s.x - s.width / 2, s.z - s.depth / 2, s.x + s.width / 2, s.z + s.depth / 2, ROAD_COST);
+    }
+
+    for (const bb of obstacles) {
+      nav.blockRect(bb.box3.min.x - agentRadius, bb.box3.min.z - agentRadius, bb.box3.max.x + agentRadius, bb.box3.max.z + agentRadius);
+    }
+    return nav;
+  }
+
+  _clampCol(i) { return Math.max(0, Math.min(this.cols - 1, i)); }
+  _clampRow(j) { return Math.max(0, Math.min(this.rows - 1, j)); }
+
+  // cells overlapping the rectangle (inclusive index range)
+  _rect(minX, minZ, maxX, maxZ) {
+    return {
+      i0: this._clampCol(Math.floor((minX - this.minX) / this.cellSize)),
+      i1: this._clampCol(Math.floor((maxX - this.minX) / this.cellSize)),
+      j0: this._clampRow(Math.floor((minZ - this.minZ) / this.cellSize)),
+      j1: this._clampRow(Math.floor((maxZ - this.minZ) / this.cellSize))
+    };
+  }
+
+  blockRect(minX, minZ, maxX, maxZ) {
+    const { i0, i1, j0, j1 } = this._rect(minX, minZ, maxX, maxZ);
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) this.blocked[j * this.cols + i] = 1;
+    }
+  }
+
+  setCost(minX, minZ, maxX, maxZ, cost) {
+    const { i0, i1, j0, j1 } = this._rect(minX, minZ, maxX, maxZ);
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) this.cost[j * this.cols + i] = cost;
+    }
+  }
+
+  // cell index for a world position, -1 when outside the grid
+  cellAt(x, z) {
+    const i = Math.floor((x - this.minX) / this.cellSize);
+    const j = Math.floor((z - this.minZ) / this.cellSize);
+    if (i < 0 || j < 0 || i >= this.cols || j >= this.rows) return -1;
+    return j * this.cols + i;
+  }
+
+  cellCenter(index, out = new THREE.Vector3()) {
+    const i = index % this.cols;
+    const j = (index - i) / this.cols;
+    return out.set(this.minX + (i + 0.5) * this.cellSize, 0, this.minZ + (j + 0.5) * this.cellSize);
+  }
+
+  isWalkable(x, z) {
+    const c = this.cellAt(x, z);
+    return c >= 0 && !this.blocked[c];
+  }
+
+  // closest walkable cell center (spiral search), or null if none within maxRadius meters
+  nearestWalkable(x, z, maxRadius = 20) {
+    if (this.isWalkable(x, z)) return new THREE.Vector3(x, 0, z);
+    const ci = Math.floor((x - this.minX) / this.cellSize);
+    const cj = Math.floor((z - this.minZ) / this.cellSize);
+    const maxRing = Math.ceil(maxRadius / this.cellSize);
+    for (let r = 1; r <= maxRing; r++) {
+      let best = -1, bestD = Infinity;
+      for (let j = cj - r; j <= cj + r; j++) {
+        for (let i = ci - r; i <= ci + r; i++) {
+          if (Math.max(Math.abs(i - ci), Math.abs(j - cj)) !== r) continue;
+          if (i < 0 || j < 0 || i >= this.cols || j >= this.rows) continue;
+          const c = j * this.cols + i;
+          if (this.blocked[c]) continue;
+          const d = (i - ci) ** 2 + (j - cj) ** 2;
+          if (d < bestD) { bestD = d; best = c; }
+        }
+      }
+      if (best >= 0) return this.cellCenter(best);
+    }
+    return null;
+  }
+
+  // walk the segment in half-cell steps and check every cell it touches
+  hasLineOfSight(ax, az, bx, bz) {
+    const dx = bx - ax, dz = bz - az;
+    const len = Math.sqrt(dx * dx + dz * dz);
+    const steps = Math.max(1, Math.ceil(len / (this.cellSize * 0.5)));
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      if (!this.isWalkable(ax + dx * t, az + dz * t)) return false;
+    }
+    return true;
+  }
+
+  // A* from -> to (anything with x/z). Returns smoothed waypoints (THREE.Vector3, y = 0)
+  // ending at the goal, or null when no route exists. If the search hits maxIterations
+  // the path to the explored cell closest to the goal is returned instead.
+  findPath(from, to, maxIterations = 12000) {
+    const startPos = this.nearestWalkable(from.x, from.z, 6);
+    const goalPos = this.nearestWalkable(to.x, to.z, 12);
+    if (!startPos || !goalPos) return null;
+    const start = this.cellAt(startPos.x, startPos.z);
+    const goal = this.cellAt(goalPos.x, goalPos.z);
+    if (start === goal) return [goalPos];
+
+    const search = ++this._search;
+    const cols = this.cols;
+    const gi = goal % cols, gj = (goal - gi) / cols;
+    const h = (c) => {
+      const i = c % cols, j = (c - i) / cols;
+      const dx = Math.abs(i - gi), dz = Math.abs(j - gj);
+      // octile distance at the cheapest cost keeps the heuristic admissible
+      return (Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz)) * ROAD_COST;
+    };
+
+    const heap = new MinHeap();
+    this._g[start] = 0;
+    this._from[start] = -1;
+    this._stamp[start] = search;
+    heap.push(start, h(start));
+    let best = start, bestH = h(start);
+    let iterations = 0;
+    let found = false;
+
+    while (heap.size > 0 && iterations++ < maxIterations) {
+      const current = heap.pop();
+      if (this._closed[current] === search) continue;
+      this._closed[current] = search;
+      if (current === goal) { found = true; break; }
+      const hc = h(current);
+      if (hc < bestH) { bestH = hc; best = current; }
+
+      const ci = current % cols, cj = (current - ci) / cols;
+      for (const [di, dj, stepLen] of NEIGHBORS) {
+        const ni = ci + di, nj = cj + dj;
+        if (ni < 0 || nj < 0 || ni >= cols || nj >= this.rows) continue;
+        const next = nj * cols + ni;
+        if (this.blocked[next] || this._closed[next] === search) continue;
+        // no corner cutting past blocked cells
+        if (di !== 0 && dj !== 0 && (this.blocked[cj * cols + ni] || this.blocked[nj * cols + ci])) continue;
+        const g = this._g[current] + stepLen * this.cost[next];
+        if (this._stamp[next] !== search || g < this._g[next]) {
+          this._stamp[next] = search;
+          this._g[next] = g;
+          this._from[next] = current;
+          heap.push(next, g + h(next));
+        }
+      }
+    }
+
+    const end = found ? goal : best;
+    if (end === start) return null;
+    const cells = [];
+    for (let c = end; c !== -1; c = this._from[c]) cells.push(c);
+    cells.reverse();
+    const points = cells.map(c => this.cellCenter(c));
+    if (found) points[points.length - 1] = goalPos;
+    points[0] = startPos;
+    return this._smooth(points);
+  }
+
+  // string pulling: drop waypoints that can be skipped with a clear straight line
+  _smooth(points) {
+    if (points.length <= 2) return points.slice(1);
+    const result = [];
+    let anchor = points[0];
+    let i = 1;
+    while (i < points.length) {
+      let j = points.length - 1;
+      while (j > i && !this.hasLineOfSight(anchor.x, anchor.z, points[j].x, points[j].z)) j--;
+      result.push(points[j]);
+      anchor = points[j];
+      i = j + 1;
+    }
+    return result;
+  }
+}
+
+// binary min-heap of (cell, priority) pairs
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.prio = [];
+  }
+
+  get size() { return this.items.length; }
+
+  push(item, priority) {
+    const items = this.items, prio = this.prio;
+    let i = items.length;
+    items.push(item); prio.push(priority);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (prio[parent] <= priority) break;
+      items[i] = items[parent]; prio[i] = prio[parent];
+      i = parent;
+    }
+    items[i] = item; prio[i] = priority;
+  }
+
+  pop() {
+    const items = this.items, prio = this.prio;
+    const top = items[0];
+    const lastItem = items.pop(), lastPrio = prio.pop();
+    const n = items.length;
+    if (n > 0) {
+      let i = 0;
+      while (true) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i, mp = lastPrio;
+        if (l < n && prio[l] < mp) { m = l; mp = prio[l]; }
+        if (r < n && prio[r] < mp) { m = r; mp = prio[r]; }
+        if (m === i) break;
+        items[i] = items[m]; prio[i] = prio[m];
+        i = m;
+      }
+      items[i] = lastItem; prio[i] = lastPrio;
+    }
+    return top;
+  }
+}
@@ -0,0 +1,36 @@
+// Seeded pseudo random number generator (mulberry32).
+// Used for everything that shapes the world (city layout, sky, clouds, spawns)
+// so a seed always produces the same map.
+
+// turn any seed value (number or string) into an unsigned 32 bit integer
+export function hashSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+  const str = String(value);
+  // numeric strings (e.g. from ?seed=1234) map to the same seed as the number
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// pick a fresh seed when none was given
+export function randomSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+// returns a function with the same contract as Math.random (float in [0, 1))
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = hashSeed(seed);
+  return rng;
+}
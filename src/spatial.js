@@ -0,0 +1,109 @@
+// Spatial hash over the world's static obstacles (buildings, trees, lamps, benches, fountain).
+// Entries are { box3, kind, ... } records; queries work on the XZ footprint so enemy
+// movement, spawning and the navigation grid all collide against the same geometry.
+// raycast() tests the full 3D boxes (or an entry's own raycast(from, to) for hollow buildings)
+// and is used for line of sight and blocked shots.
+
+export default class SpatialIndex {
+  constructor(cellSize = 8) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.entries = [];
+    this._query = 0;
+  }
+
+  _key(i, j) {
+    return (i + 32768) * 65536 + (j + 32768);
+  }
+
+  _range(minX, minZ, maxX, maxZ) {
+    const s = this.cellSize;
+    return { i0: Math.floor(minX / s), i1: Math.floor(maxX / s), j0: Math.floor(minZ / s), j1: Math.floor(maxZ / s) };
+  }
+
+  insert(entry) {
+    const b = entry.box3;
+    const { i0, i1, j0, j1 } = this._range(b.min.x, b.min.z, b.max.x, b.max.z);
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        const key = this._key(i, j);
+        let cell = this.cells.get(key);
+        if (!cell) { cell = []; this.cells.set(key, cell); }
+        cell.push(entry);
+      }
+    }
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // all entries whose footprint overlaps the rectangle
+  queryRect(minX, minZ, maxX, maxZ, out = []) {
+    const stamp = ++this._query;
+    const { i0, i1, j0, j1 } = this._range(minX, minZ, maxX, maxZ);
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        const cell = this.cells.get(this._key(i, j));
+        if (!cell) continue;
+        for (const e of cell) {
+          if (e._stamp === stamp) continue;
+          e._stamp = stamp;
+          const b = e.box3;
+          if (b.max.x < minX || b.min.x > maxX || b.max.z < minZ || b.min.z > maxZ) continue;
+          out.push(e);
+        }
+      }
+    }
+    return out;
+  }
+
+  // first entry whose footprint intersects the circle, or null
+  overlapsCircle(x, z, radius, filter = null) {
+    const hits = this.queryRect(x - radius, z - radius, x + radius, z + radius);
+    for (const e of hits) {
+      if (filter && !filter(e)) continue;
+      const b = e.box3;
+      const cx = Math.max(b.min.x, Math.min(x, b.max.x));
+      const cz = Math.max(b.min.z, Math.min(z, b.max.z));
+      if ((x - cx) ** 2 + (z - cz) ** 2 < radius * radius) return e;
+    }
+    return null;
+  }
+
+  // first entry hit by the segment from -> to (anything with x/y/z), or null.
+  // Returns { entry, distance, t } where t is the fraction along the segment.
+  raycast(from, to, filter = null) {
+    const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+    const hits = this.queryRect(Math.min(from.x, to.x), Math.min(from.z, to.z), Math.max(from.x, to.x), Math.max(from.z, to.z));
+    let best = null, bestT = Infinity;
+    const o = [from.x, from.y, from.z], d = [dx, dy, dz];
+    for (const e of hits) {
+      if (filter && !filter(e)) continue;
+      const b = e.box3;
+      let t = segmentBox(o, d, b.min.x, b.max.x, b.min.y, b.max.y, b.min.z, b.max.z);
+      // hollow entries (buildings with interiors) test their own parts inside the box
+      if (t !== null && e.raycast) t = e.raycast(from, to);
+      if (t !== null && t < bestT) { bestT = t; best = e; }
+    }
+    if (!best) return null;
+    return { entry: best, t: bestT, distance: bestT * Math.sqrt(dx * dx + dy * dy + dz * dz) };
+  }
+}
+
+// slab test: entry fraction (0..1) of the segment o + d ([x, y, z] arrays) into the box,
+// null if it misses; shared with the interiors' own raycast
+export function segmentBox(o, d, x0, x1, y0, y1, z0, z1) {
+  let tMin = 0, tMax = 1;
+  const min = [x0, y0, z0], max = [x1, y1, z1];
+  for (let a = 0; a < 3; a++) {
+    if (Math.abs(d[a]) < 1e-9) {
+      if (o[a] < min[a] || o[a] > max[a]) return null;
+      continue;
+    }
+    let t1 = (min[a] - o[a]) / d[a], t2 = (max[a] - o[a]) / d[a];
+    if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+    if (t1 > tMin) tMin = t1;
+    if (t2 < tMax) tMax = t2;
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
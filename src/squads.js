@@ -0,0 +1,89 @@
+// Squads: enemies of one team that spawned together. Members share a leader and a
+// blackboard (last player sighting, current target), split into two fire teams that take
+// turns suppressing and advancing, and regroup around a new leader when the old one dies.
+//
+// size          [min, max] members per spawned squad
+// boundTime     seconds before the suppressing and advancing fire teams swap
+// calloutRange  members this close hear where a squad mate spotted the player
+// targetMemory  seconds a shared target stays valid without anyone seeing it
+// regroupTime   seconds the squad gathers around a new leader
+// followDistance distance members keep to the leader while moving
+
+export const SQUAD = {
+  size: [3, 4],
+  boundTime: 4,
+  calloutRange: 60,
+  targetMemory: 3,
+  regroupTime: 8,
+  followDistance: 4
+};
+
+let nextSquadId = 1;
+
+export default class Squad {
+  constructor(team) {
+    this.id = nextSquadId++;
+    this.team = team;
+    this.members = [];
+    this.leader = null;
+    // playerPos / target ages count up in seconds since the last sighting
+    this.blackboard = { playerPos: null, playerAge: Infinity, target: null, targetAge: Infinity };
+    this.phase = 0;
+    this.boundTimer = SQUAD.boundTime;
+    this.regroupTimer = 0;
+  }
+
+  add(enemy) {
+    this.members.push(enemy);
+    enemy.userData.squad = this;
+    if (!this.leader) this.leader = enemy;
+  }
+
+  // drop dead members, pick a new leader (the member closest to the fallen one) and
+  // advance the timers
+  update(dt) {
+    for (let i = this.members.length - 1; i >= 0; i--) {
+      if (!this.members[i].userData.alive) this.members.splice(i, 1);
+    }
+    if (this.leader && !this.leader.userData.alive) {
+      const fallen = this.leader.position;
+      this.leader = null;
+      let best = Infinity;
+      for (const m of this.members) {
+        const d = m.position.distanceToSquared(fallen);
+        if (d < best) { best = d; this.leader = m; }
+      }
+      if (this.leader) this.regroupTimer = SQUAD.regroupTime;
+    }
+    const bb = this.blackboard;
+    bb.playerAge += dt;
+    bb.targetAge += dt;
+    if (bb.target && (bb.targetAge > SQUAD.targetMemory || !bb.target.userData.alive)) bb.target = null;
+    if (this.regroupTimer > 0) this.regroupTimer -= dt;
+    this.boundTimer -= dt;
+    if (this.boundTimer <= 0) {
+      this.boundTimer = SQUAD.boundTime;
+      this.phase = 1 - this.phase;
+    }
+  }
+
+  // a member sees the player
+  spotPlayer(pos) {
+    const bb = this.blackboard;
+    if (!bb.playerPos) bb.playerPos = pos.clone();
+    else bb.playerPos.copy(pos);
+    bb.playerAge = 0;
+  }
+
+  // a member fights an enemy of another team
+  spotTarget(enemy) {
+    this.blackboard.target = enemy;
+    this.blackboard.targetAge = 0;
+  }
+
+  // fire team of a member: 'suppress' or 'advance', null when alone
+  role(enemy) {
+    if (this.members.length < 2) return null;
+    return (this.members.indexOf(enemy) + this.phase) % 2 ? 'suppress' : 'advance';
+  }
+}
@@ -0,0 +1,98 @@
+// Territory control: every city block (level.blocks) is owned by a faction or the player.
+// The Game counts who stands in each block; a side that holds a block alone long enough
+// takes it over. Factions send squads from their border blocks into neighbouring ones.
+//
+// captureTime   seconds a block has to be held without defenders before it changes hands
+// attackEvery   seconds between squads sent to contest a neighbouring block
+// squadSize     members per squad
+// captureReward money for the player per captured block
+
+export const TERRITORY = {
+  captureTime: 12,
+  attackEvery: 40,
+  squadSize: 3,
+  captureReward: 50
+};
+
+export default class TerritoryMap {
+  // blocks: [{ x, z }], pitch = block size plus road (grid.blockW + grid.gap)
+  constructor(blocks, pitchX, pitchZ) {
+    this.pitchX = pitchX;
+    this.pitchZ = pitchZ;
+    this.origin = blocks.length ? { x: blocks[0].x, z: blocks[0].z } : { x: 0, z: 0 };
+    this.cells = new Map();
+    this.blocks = blocks.map((b) => {
+      const i = Math.round((b.x - this.origin.x) / pitchX), j = Math.round((b.z - this.origin.z) / pitchZ);
+      const block = { x: b.x, z: b.z, i, j, owner: null, capture: null, neighbours: [] };
+      this.cells.set(this._key(i, j), block);
+      return block;
+    });
+    for (const block of this.blocks) {
+      for (const [di, dj] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const n = this.cells.get(this._key(block.i + di, block.j + dj));
+        if (n) block.neighbours.push(n);
+      }
+    }
+  }
+
+  // split the city into quadrants around its center, one per faction
+  static fromLevel(level, factions) {
+    const { blockW, blockD, gap } = level.grid;
+    const map = new TerritoryMap(level.blocks, blockW + gap, blockD + gap);
+    if (!map.blocks.length || !factions.length) return map;
+    const cx = map.blocks.reduce((s, b) => s + b.x, 0) / map.blocks.length;
+    const cz = map.blocks.reduce((s, b) => s + b.z, 0) / map.blocks.length;
+    for (const block of map.blocks) {
+      const quadrant = (block.x < cx ? 0 : 1) + (block.z < cz ? 0 : 2);
+      block.owner = factions[quadrant % factions.length];
+    }
+    return map;
+  }
+
+  // block of this map at the same spot as a block of another map (after a rebuild), or null
+  match(block) {
+    const b = this.blockAt(block.x, block.z);
+    return b && Math.abs(b.x - block.x) < 0.5 && Math.abs(b.z - block.z) < 0.5 ? b : null;
+  }
+
+  // take owners and running captures over from the map this one replaces
+  adopt(previous) {
+    for (const old of previous.blocks) {
+      const block = this.match(old);
+      if (!block) continue;
+      block.owner = old.owner;
+      block.capture = old.capture && { ...old.capture };
+    }
+  }
+
+  _key(i, j) {
+    return (i + 32768) * 65536 + (j + 32768);
+  }
+
+  // block whose area (half the surrounding roads included) contains x/z, or null
+  blockAt(x, z) {
+    const i = Math.round((x - this.origin.x) / this.pitchX), j = Math.round((z - this.origin.z) / this.pitchZ);
+    return this.cells.get(this._key(i, j)) || null;
+  }
+
+  // number of blocks per owner
+  counts() {
+    const out = {};
+    for (const b of this.blocks) {
+      if (b.owner) out[b.owner] = (out[b.owner] || 0) + 1;
+    }
+    return out;
+  }
+
+  // [{ from, to }] pairs of adjacent blocks where `owner` borders a block accepted by isTarget(owner)
+  borders(owner, isTarget) {
+    const out = [];
+    for (const b of this.blocks) {
+      if (b.owner !== owner) continue;
+      for (const n of b.neighbours) {
+        if (n.owner !== owner && isTarget(n.owner)) out.push({ from: b, to: n });
+      }
+    }
+    return out;
+  }
+}
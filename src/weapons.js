@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+
+// Player weapons: stats, first-person model, HUD colour, shop price and number key per weapon.
+// The Game builds its weapon list, number keys, Q / mouse wheel cycling, shop buttons and HUD
+// from this registry; adding an entry here is all a new weapon needs.
+//
+// name         shown in the HUD and the shop
+// slot         number key that selects it (and the order for cycling)
+// price        shop price; owned weapons are unlocked from the start
+// color        HUD colour of the weapon name
+// fireRate     shots per second, automatic = keeps firing while the button is held
+// pellets      rays per shot, spread = cone in radians (on top of the movement inaccuracy)
+// damage       per ray (x10 on enemies, see Game._shoot)
+// scopeFov     camera fov while aiming with the right mouse button (null = no zoom)
+// noise        gunshot loudness in m (see Game._emitNoise)
+// falloff      damage share over distance: [metres, share] points, linear in between, the last
+//              share holds beyond (none = full damage at any range)
+// penetration  thin surfaces (PENETRATION) a round passes through before it stops
+// headshotKill a head hit kills any enemy but a boss outright
+// ballistics   fire simulated bullets instead of hitscan rays: velocity (muzzle, m/s), gravity
+//              (m/s²) and life (s); they take time to arrive and drop, so aim ahead of moving
+//              targets and above far ones
+// magazine     rounds per magazine, reloadTime in seconds (R, or automatically when empty)
+// reserve      spare rounds carried when the weapon is bought, maxReserve the most it can carry
+// ammoPrice    shop price of one magazine of reserve ammo
+// model        first-person model, see buildWeaponModel:
+//              body [length, height] of the receiver, barrel length, scope, stock,
+//              mag 'box' | 'long' | 'drum' | 'tube' | 'grip', pump (shotgun forend), bipod, scale
+
+export const WEAPONS = {
+  shotgun: {
+    name: 'Shotgun', slot: 1, price: 150, color: '#ffaa00',
+    fireRate: 1.2, pellets: 9, spread: 0.14, damage: 1, automatic: false, scopeFov: null, noise: 60,
+    magazine: 6, reserve: 24, maxReserve: 48, reloadTime: 2.6, ammoPrice: 15,
+    falloff: [[0, 1], [8, 1], [25, 0.3], [45, 0]], penetration: 1,
+    model: { body: [0.6, 0.16], barrel: 0.9, scope: false, stock: true, mag: 'tube', pump: true }
+  },
+  sniper: {
+    name: 'Sniper', slot: 2, price: 200, color: '#ff6666',
+    fireRate: 0.6, pellets: 1, spread: 0, damage: 10, automatic: false, scopeFov: 12, noise: 80,
+    ballistics: { velocity: 280, gravity: 9.81, life: 3 }, headshotKill: true,
+    magazine: 5, reserve: 15, maxReserve: 30, reloadTime: 3, ammoPrice: 25,
+    penetration: 3,
+    model: { body: [0.7, 0.16], barrel: 1.0, scope: true, stock: true, mag: 'box' }
+  },
+  smg: {
+    name: 'SMG', slot: 3, owned: true, price: 120, color: '#00ff88',
+    fireRate: 14, pellets: 1, spread: 0.02, damage: 1, automatic: true, scopeFov: null, noise: 40,
+    magazine: 30, reserve: 90, maxReserve: 240, reloadTime: 1.8, ammoPrice: 12,
+    falloff: [[0, 1], [20, 1], [60, 0.5]], penetration: 1,
+    model: { body: [0.5, 0.15], barrel: 0.45, scope: false, stock: true, mag: 'long' }
+  },
+  pistol: {
+    name: 'Pistol', slot: 4, price: 60, color: '#cccccc',
+    fireRate: 5, pellets: 1, spread: 0.015, damage: 2, automatic: false, scopeFov: null, noise: 35,
+    magazine: 12, reserve: 48, maxReserve: 96, reloadTime: 1.4, ammoPrice: 6,
+    falloff: [[0, 1], [15, 1], [50, 0.5]], penetration: 1,
+    model: { body: [0.3, 0.12], barrel: 0.2, scope: false, stock: false, mag: 'grip', scale: 0.8 }
+  },
+  rifle: {
+    name: 'Assault Rifle', slot: 5, price: 250, color: '#66ccff',
+    fireRate: 10, pellets: 1, spread: 0.025, damage: 1.6, automatic: true, scopeFov: 55, noise: 55,
+    magazine: 30, reserve: 90, maxReserve: 210, reloadTime: 2.2, ammoPrice: 18,
+    falloff: [[0, 1], [40, 1], [120, 0.6]], penetration: 2,
+    model: { body: [0.65, 0.16], barrel: 0.7, scope: false, stock: true, mag: 'long' }
+  },
+  dmr: {
+    name: 'DMR', slot: 6, price: 300, color: '#cc88ff',
+    fireRate: 2.5, pellets: 1, spread: 0.005, damage: 4.5, automatic: false, scopeFov: 30, noise: 65,
+    ballistics: { velocity: 400, gravity: 9.81, life: 3 },
+    magazine: 10, reserve: 30, maxReserve: 60, reloadTime: 2.4, ammoPrice: 20,
+    falloff: [[0, 1], [80, 1], [250, 0.8]], penetration: 2,
+    model: { body: [0.7, 0.16], barrel: 0.85, scope: true, stock: true, mag: 'box' }
+  },
+  lmg: {
+    name: 'LMG', slot: 7, price: 350, color: '#ff8844',
+    fireRate: 11, pellets: 1, spread: 0.05, damage: 1.4, automatic: true, scopeFov: null, noise: 70,
+    magazine: 100, reserve: 100, maxReserve: 300, reloadTime: 4.5, ammoPrice: 45,
+    falloff: [[0, 1], [40, 1], [120, 0.6]], penetration: 2,
+    model: { body: [0.75, 0.2], barrel: 0.9, scope: false, stock: true, mag: 'drum', bipod: true }
+  }
+};
+
+// damage multipliers per hit zone of an enemy model (Game._createEnemy tags the parts; boss
+// weak points replace them), and the extra money for killing an enemy with a headshot
+export const HIT_ZONES = { head: 2.5, torso: 1, arm: 0.6, leg: 0.7 };
+export const HEADSHOT_BONUS = 10;
+
+// share of a round's damage kept after passing through a surface, by the material tag on
+// the hittable mesh (window glass, tree foliage, doors and elevator gates, balcony railings,
+// benches); building walls, floors, trunks and everything untagged stop rounds
+export const PENETRATION = { glass: 0.9, foliage: 0.85, door: 0.6, railing: 0.7, wood: 0.5 };
+
+// damage share of a weapon at distance (falloff above)
+export function damageFalloff(weapon, distance) {
+  const curve = weapon.falloff;
+  if (!curve || !curve.length) return 1;
+  if (distance <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [d1, s1] = curve[i];
+    if (distance <= d1) {
+      const [d0, s0] = curve[i - 1];
+      return s0 + (s1 - s0) * (distance - d0) / (d1 - d0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// ammo boxes dropped by killed enemies: chance per kill, magazines for the weapon in hand when
+// picked up, seconds before they vanish, pickup radius in m
+export const AMMO_DROP = { chance: 0.6, magazines: 1, lifetime: 45, radius: 1.2 };
+
+// shared by all weapon models (one texture and material set)
+export function createWeaponMaterials() {
+  // Canvas für Waffendetails
+  const canvas = document.createElement('canvas');
+  canvas.width = 1024; canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+
+  // Grundfarbe
+  ctx.fillStyle = '#1a1c20';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Metallische Streifen und Details
+  ctx.fillStyle = '#404448';
+  for (let i = 0; i < 16; i++) {
+    ctx.fillRect(10 + i * 60, 20, 35, 8);
+    ctx.fillRect(15 + i * 60, 35, 25, 4);
+  }
+
+  // Waffenmarkierungen
+  ctx.fillStyle = '#c8d2e0';
+  ctx.font = 'bold 24px monospace';
+  ctx.fillText('TACTICAL-X7', 20, 80);
+  ctx.font = '16px monospace';
+  ctx.fillText('.556 NATO', 20, 105);
+  ctx.fillText('FULL AUTO', 20, 125);
+
+  // Seriennummer
+  ctx.fillStyle = '#808080';
+  ctx.font = '12px monospace';
+  ctx.fillText('SN: TX7-2024-001', 20, 145);
+
+  const detailTex = new THREE.CanvasTexture(canvas);
+  detailTex.wrapS = detailTex.wrapT = THREE.RepeatWrapping;
+
+  return {
+    gunmetal: new THREE.MeshStandardMaterial({ color: 0x1a1d22, metalness: 0.9, roughness: 0.2, envMapIntensity: 1.0 }),
+    receiver: new THREE.MeshStandardMaterial({ color: 0x2d3037, metalness: 0.4, roughness: 0.5, map: detailTex }),
+    grip: new THREE.MeshStandardMaterial({ color: 0x1e1e1e, metalness: 0.1, roughness: 0.9, normalScale: new THREE.Vector2(0.5, 0.5) }),
+    groove: new THREE.MeshStandardMaterial({ color: 0x151515, metalness: 0.1, roughness: 0.95 }),
+    scope: new THREE.MeshStandardMaterial({ color: 0x0a0a0c, metalness: 0.8, roughness: 0.15 }),
+    frontLens: new THREE.MeshStandardMaterial({ color: 0x4477aa, metalness: 0.9, roughness: 0.02, transparent: true, opacity: 0.85, envMapIntensity: 1.5 }),
+    rearLens: new THREE.MeshStandardMaterial({ color: 0x2255aa, metalness: 0.9, roughness: 0.02, transparent: true, opacity: 0.9 }),
+    ring: new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.6, roughness: 0.4 }),
+    knob: new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.7, roughness: 0.3 }),
+    mag: new THREE.MeshStandardMaterial({ color: 0x2a2a2a, metalness: 0.3, roughness: 0.6 }),
+    spring: new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.7, roughness: 0.3 }),
+    stock: new THREE.MeshStandardMaterial({ color: 0x1e1e1e, metalness: 0.1, roughness: 0.8 }),
+    wood: new THREE.MeshStandardMaterial({ color: 0x5a3a22, metalness: 0.1, roughness: 0.7 })
+  };
+}
+
+// first-person model from a weapon's `model` entry; the barrel points along +x from the
+// receiver. Returns the group, the muzzle (where the flash and tracers start) and the
+// detachable magazine (null for the grip and tube magazines), which the reload animation moves.
+export function buildWeaponModel(model, mats) {
+  const gun = new THREE.Group();
+  const [length, height] = model.body || [0.7, 0.16];
+  const barrelLength = model.barrel ?? 1.0;
+
+  // Hauptkörper (Receiver)
+  const body = new THREE.Mesh(new THREE.BoxGeometry(0.5, height, length), mats.receiver);
+  body.position.set(0.25, -0.14, -0.35);
+  gun.add(body);
+
+  // Oberer Receiver Teil
+  const upperReceiver = new THREE.Mesh(new THREE.BoxGeometry(0.48, height / 2, length - 0.05), mats.gunmetal);
+  upperReceiver.position.set(0.25, -0.14 + height / 2, -0.35);
+  gun.add(upperReceiver);
+
+  // Lauf und Mündung
+  const end = 0.3 + barrelLength;
+  const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.028, barrelLength, 20), mats.gunmetal);
+  barrel.rotation.z = Math.PI / 2;
+  barrel.position.set(0.3 + barrelLength / 2, -0.14, -0.05);
+  gun.add(barrel);
+  const muzzleDevice = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.032, 0.12, 16), mats.gunmetal);
+  muzzleDevice.rotation.z = Math.PI / 2;
+  muzzleDevice.position.set(end - 0.08, -0.14, -0.05);
+  gun.add(muzzleDevice);
+
+  // Picatinny Rail mit Zähnen
+  const rail = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.04, 0.08), mats.gunmetal);
+  rail.position.set(0.3, -0.02, -0.14);
+  gun.add(rail);
+  for (let i = 0; i < 8; i++) {
+    const tooth = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.02, 0.06), mats.gunmetal);
+    tooth.position.set(0.1 + i * 0.04, 0.01, -0.14);
+    rail.add(tooth);
+  }
+
+  if (model.scope) {
+    // Zielfernrohr mit Linsen, Ringen und Verstellknöpfen
+    const scopeBody = new THREE.Mesh(new THREE.CylinderGeometry(0.055, 0.055, 0.35, 16), mats.scope);
+    scopeBody.rotation.z = Math.PI / 2;
+    scopeBody.position.set(0.6, -0.04, -0.08);
+    gun.add(scopeBody);
+    const frontLens = new THREE.Mesh(new THREE.CircleGeometry(0.048, 16), mats.frontLens);
+    frontLens.position.set(0.775, -0.04, -0.08);
+    frontLens.rotation.y = Math.PI / 2;
+    gun.add(frontLens);
+    const rearLens = new THREE.Mesh(new THREE.CircleGeometry(0.035, 16), mats.rearLens);
+    rearLens.position.set(0.425, -0.04, -0.08);
+    rearLens.rotation.y = -Math.PI / 2;
+    gun.add(rearLens);
+    for (let i = 0; i < 2; i++) {
+      const ring = new THREE.Mesh(new THREE.TorusGeometry(0.06, 0.008, 8, 16), mats.ring);
+      ring.position.set(0.5 + i * 0.2, -0.04, -0.08);
+      ring.rotation.z = Math.PI / 2;
+      gun.add(ring);
+    }
+    const elevationKnob = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.04, 8), mats.knob);
+    elevationKnob.position.set(0.6, 0.015, -0.08);
+    gun.add(elevationKnob);
+    const windageKnob = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.04, 8), mats.knob);
+    windageKnob.position.set(0.6, -0.04, -0.025);
+    windageKnob.rotation.x = Math.PI / 2;
+    gun.add(windageKnob);
+  } else {
+    // Kimme und Korn
+    const rearSight = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.04, 0.05), mats.gunmetal);
+    rearSight.position.set(0.15, 0.02, -0.14);
+    gun.add(rearSight);
+    const frontSight = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.05, 0.02), mats.gunmetal);
+    frontSight.position.set(end - 0.2, -0.09, -0.05);
+    gun.add(frontSight);
+  }
+
+  // Griff mit Rillen
+  const grip = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.22, 0.14), mats.grip);
+  grip.position.set(0.02, -0.32, -0.05);
+  grip.rotation.x = 0.18;
+  gun.add(grip);
+  for (let i = 0; i < 6; i++) {
+    const groove = new THREE.Mesh(new THREE.BoxGeometry(0.085, 0.02, 0.12), mats.groove);
+    groove.position.set(0, -0.1 + i * 0.03, 0);
+    grip.add(groove);
+  }
+
+  // Abzug und Abzugsbügel
+  const trigger = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.06, 0.02), mats.gunmetal);
+  trigger.position.set(0.02, -0.24, -0.08);
+  trigger.rotation.x = 0.2;
+  gun.add(trigger);
+  const triggerGuard = new THREE.Mesh(new THREE.TorusGeometry(0.05, 0.008, 8, 16), mats.gunmetal);
+  triggerGuard.position.set(0.02, -0.22, -0.08);
+  triggerGuard.rotation.x = Math.PI / 2;
+  gun.add(triggerGuard);
+
+  // Magazin (die Pistole hat es im Griff)
+  let mag = null;
+  switch (model.mag) {
+    case 'drum':
+      mag = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.08, 20), mats.mag);
+      mag.rotation.z = Math.PI / 2;
+      mag.position.set(0.15, -0.3, -0.3);
+      break;
+    case 'tube': {
+      // Röhrenmagazin unter dem Lauf, fest
+      const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.022, 0.022, barrelLength * 0.8, 12), mats.gunmetal);
+      tube.rotation.z = Math.PI / 2;
+      tube.position.set(0.3 + barrelLength * 0.4, -0.2, -0.05);
+      gun.add(tube);
+      break;
+    }
+    case 'grip':
+      break;
+    default: {
+      const long = model.mag === 'long';
+      mag = new THREE.Mesh(new THREE.BoxGeometry(0.1, long ? 0.26 : 0.18, 0.05), mats.mag);
+      mag.position.set(0.02, long ? -0.12 : -0.08, -0.28);
+      mag.rotation.x = long ? -0.25 : -0.1;
+      const magSpring = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.02, 0.03), mats.spring);
+      magSpring.position.set(0, long ? 0.12 : 0.08, 0);
+      mag.add(magSpring);
+    }
+  }
+  if (mag) gun.add(mag);
+
+  if (model.pump) {
+    // Vorderschaft zum Repetieren
+    const pump = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.08, 0.09), mats.wood);
+    pump.position.set(0.3 + barrelLength * 0.45, -0.19, -0.05);
+    gun.add(pump);
+  }
+
+  if (model.bipod) {
+    for (const side of [-1, 1]) {
+      const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.25, 6), mats.gunmetal);
+      leg.position.set(end - 0.25, -0.26, -0.05 + side * 0.04);
+      leg.rotation.x = side * 0.3;
+      gun.add(leg);
+    }
+  }
+
+  if (model.stock) {
+    // Schulterstütze
+    const stock = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.12, 0.08), model.pump ? mats.wood : mats.stock);
+    stock.position.set(-0.15, -0.14, -0.05);
+    gun.add(stock);
+  }
+
+  // Mündungsposition
+  const muzzle = new THREE.Object3D();
+  muzzle.position.set(end - 0.02, -0.14, -0.05);
+  gun.add(muzzle);
+
+  gun.scale.setScalar(model.scale || 1);
+  return { group: gun, muzzle, mag };
+}